@@ -1,3 +1,5 @@
 #!/usr/bin/env node
 
-import '../src/index.js';
+import { main } from '../src/cli.js';
+
+main();
@@ -0,0 +1,92 @@
+import {
+  measure,
+  overlapAreaSqMeters,
+  polygonsOverlap,
+  sqMetersToAcres,
+  validatePolygon
+} from './geometry.js';
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function analyzeFeature(feature, tolerance) {
+  const properties = feature.properties || {};
+  const result = {
+    id: feature.id ?? properties.id,
+    field: properties.field ?? null,
+    farmId: properties.farmId ?? null,
+    farm: properties.farm ?? null,
+    reportedAcres: properties.acres ?? null,
+    computedAcres: null,
+    hectares: null,
+    perimeterMeters: null,
+    centroid: null,
+    bbox: null,
+    differencePct: null,
+    issues: []
+  };
+  if (!feature.geometry) {
+    result.issues.push('no geometry');
+    return result;
+  }
+  const errors = validatePolygon(feature.geometry);
+  if (errors.length > 0) {
+    result.issues.push(...errors);
+    return result;
+  }
+  const stats = measure(feature.geometry);
+  Object.assign(result, {
+    computedAcres: round(stats.acres),
+    hectares: round(stats.hectares),
+    perimeterMeters: round(stats.perimeterMeters, 1),
+    centroid: { lat: round(stats.centroid.lat, 6), lon: round(stats.centroid.lon, 6) },
+    bbox: stats.bbox.map(value => round(value, 6))
+  });
+  if (typeof result.reportedAcres === 'number' && stats.acres > 0) {
+    result.differencePct = round(((result.reportedAcres - stats.acres) / stats.acres) * 100);
+    if (Math.abs(result.differencePct) > tolerance) {
+      result.issues.push(`acreage mismatch (${result.differencePct > 0 ? '+' : ''}${result.differencePct}%)`);
+    }
+  }
+  return result;
+}
+
+// Overlaps are only checked between boundaries on the same farm; fields on
+// different farms legitimately share ground in multi-operator accounts.
+function findOverlaps(features, results) {
+  const overlaps = [];
+  const groups = new Map();
+  features.forEach((feature, i) => {
+    if (!feature.geometry || results[i].computedAcres === null) return;
+    const farm = results[i].farmId ?? results[i].farm;
+    if (farm === null || farm === undefined) return;
+    if (!groups.has(farm)) groups.set(farm, []);
+    groups.get(farm).push(i);
+  });
+  groups.forEach(indexes => {
+    for (let x = 0; x < indexes.length; x++) {
+      for (let y = x + 1; y < indexes.length; y++) {
+        const a = indexes[x];
+        const b = indexes[y];
+        if (!polygonsOverlap(features[a].geometry, features[b].geometry)) continue;
+        const overlapAcres = round(sqMetersToAcres(overlapAreaSqMeters(features[a].geometry, features[b].geometry)));
+        overlaps.push({ a: results[a].id, b: results[b].id, farm: results[a].farm ?? results[a].farmId, overlapAcres });
+        results[a].issues.push(`overlaps ${results[b].id} by ~${overlapAcres} ac`);
+        results[b].issues.push(`overlaps ${results[a].id} by ~${overlapAcres} ac`);
+      }
+    }
+  });
+  return overlaps;
+}
+
+export function analyzeBoundaries(features, { tolerance = 5 } = {}) {
+  const results = features.map(feature => analyzeFeature(feature, tolerance));
+  const overlaps = findOverlaps(features, results);
+  return {
+    results,
+    overlaps,
+    issueCount: results.filter(result => result.issues.length > 0).length
+  };
+}
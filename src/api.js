@@ -1,168 +1,617 @@
 import axios from 'axios';
-import { getConfig } from './config.js';
+import {
+  AuthError,
+  ClimateError,
+  ConflictError,
+  NetworkError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  ValidationError,
+  responseDetails
+} from './errors.js';
+import { traceRequests } from './trace.js';
 
-const BASE_URL = 'https://platform.climate.com';
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30000;
 
-function getClient() {
-  const apiKey = getConfig('apiKey');
-  return axios.create({
-    baseURL: BASE_URL,
+export const DEFAULT_SETTINGS = {
+  baseUrl: 'https://platform.climate.com',
+  maxRetries: 3,
+  timeout: 30
+};
+
+const SETTING_RULES = {
+  maxRetries: { valid: value => Number.isInteger(value) && value >= 0, expected: 'a whole number of 0 or more' },
+  timeout: { valid: value => Number.isFinite(value) && value > 0, expected: 'a number of seconds greater than 0' }
+};
+
+// Checks a maxRetries or timeout value from a flag, the config file or the
+// environment; `source` names where it came from in the error.
+export function parseSetting(key, value, source = key) {
+  const number = typeof value === 'number' ? value : (String(value).trim() === '' ? NaN : Number(value));
+  if (!SETTING_RULES[key].valid(number)) throw new ValidationError(`Invalid ${source} "${value}". Use ${SETTING_RULES[key].expected}.`);
+  return number;
+}
+
+export const RESOURCE_PATHS = {
+  farms: '/v4/farms',
+  fields: '/v4/fields',
+  boundaries: '/v4/boundaries',
+  harvest: '/v4/activitySummaries/harvest',
+  planting: '/v4/activitySummaries/planting',
+  application: '/v4/activitySummaries/application',
+  scouting: '/v4/layers/scoutingObservations',
+  soil: '/v4/layers/soilSamplingResults',
+  webhooks: '/v4/webhooks'
+};
+
+const UPLOADS_PATH = '/v4/uploads';
+
+// ============================================================
+// CONNECTIONS
+// ============================================================
+
+// A connection supplies settings and credentials to every request:
+//   setting(key)          baseUrl, maxRetries, timeout
+//   apiKey(), accessToken()
+//   ensureValidToken(), refreshAccessToken(), canRefreshToken()
+// and may add local-cache hooks (cachedList, cachedRecord, storeRecord,
+// forgetRecord, isOffline). The CLI installs one backed by the config store;
+// ClimateClient passes its own to each call.
+let defaultConnection = null;
+
+export function setDefaultConnection(connection) {
+  defaultConnection = connection;
+}
+
+function connectionFor(connection) {
+  const resolved = connection || defaultConnection;
+  if (!resolved) throw new Error('No API connection configured. Use ClimateClient to call the API from code.');
+  return resolved;
+}
+
+function authHeaders(connection) {
+  const apiKey = connection.apiKey();
+  const accessToken = connection.accessToken();
+  if (!accessToken) return { 'Authorization': `Bearer ${apiKey}` };
+  return {
+    'Authorization': `Bearer ${accessToken}`,
+    ...(apiKey && { 'X-Api-Key': apiKey })
+  };
+}
+
+function getClient(connection) {
+  const client = axios.create({
+    baseURL: connection.setting('baseUrl'),
+    timeout: connection.setting('timeout') * 1000,
     headers: {
-      'Authorization': `Bearer ${apiKey}`,
       'Accept': 'application/json',
       'Content-Type': 'application/json'
     }
   });
+
+  // --verbose, --debug and --har; installed first so it sees every attempt
+  traceRequests(client);
+
+  // Refresh OAuth tokens shortly before they expire
+  client.interceptors.request.use(async (config) => {
+    await connection.ensureValidToken();
+    Object.assign(config.headers, authHeaders(connection));
+    return config;
+  });
+
+  // On a 401, refresh once and replay the original request
+  client.interceptors.response.use(null, async (error) => {
+    const original = error.config;
+    if (error.response?.status === 401 && original && !original._authRetried && connection.canRefreshToken()) {
+      original._authRetried = true;
+      await connection.refreshAccessToken();
+      return client(original);
+    }
+    throw error;
+  });
+
+  // Retry transient failures with exponential backoff and full jitter
+  client.interceptors.response.use(null, async (error) => {
+    const original = error.config;
+    if (!original || !shouldRetry(error)) throw error;
+    original._retryCount = (original._retryCount || 0) + 1;
+    if (original._retryCount > connection.setting('maxRetries')) throw error;
+    await sleep(retryDelay(error, original._retryCount));
+    return client(original);
+  });
+
+  return client;
+}
+
+function shouldRetry(error) {
+  const method = (error.config.method || 'get').toLowerCase();
+  const status = error.response?.status;
+  // A 429 means the request was never processed, so it is safe to replay any method
+  if (status === 429) return true;
+  if (!IDEMPOTENT_METHODS.includes(method)) return false;
+  if (!error.response) return !!error.request;
+  return RETRYABLE_STATUSES.includes(status);
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function retryDelay(error, attempt) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) return Math.min(retryAfter, BACKOFF_MAX_MS);
+  const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1));
+  return Math.random() * ceiling;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-function handleApiError(error) {
+function handleApiError(error, connection) {
   if (error.response) {
     const status = error.response.status;
     const data = error.response.data;
-    if (status === 401) throw new Error('Authentication failed. Check your API key.');
-    if (status === 403) throw new Error('Access forbidden. Check your API permissions.');
-    if (status === 404) throw new Error('Resource not found.');
-    if (status === 429) throw new Error('Rate limit exceeded. Please wait before retrying.');
+    const details = responseDetails(error.response);
+    if (status === 401) throw new AuthError('Authentication failed. Check your API key or run: climatecom auth login', details);
+    if (status === 403) throw new AuthError('Access forbidden. Check your API permissions.', details);
+    if (status === 404) throw new NotFoundError('Resource not found.', details);
+    if (status === 412) {
+      throw new ConflictError('The record was changed by someone else since it was read (ETag mismatch). Re-run the command to review the latest version.', details);
+    }
+    if (status === 429) {
+      const retryAfter = error.response.headers?.['retry-after'] ?? null;
+      throw new RateLimitError(`Rate limit exceeded. Please wait before retrying.${retryAfter ? ` (Retry-After: ${retryAfter})` : ''}`, { ...details, retryAfter });
+    }
     const message = data?.message || data?.error || JSON.stringify(data);
-    throw new Error(`API Error (${status}): ${message}`);
+    if (status === 409) throw new ConflictError(`API Error (${status}): ${message}`, details);
+    if (status >= 500) throw new ServerError(`API Error (${status}): ${message}`, details);
+    if (status === 400 || status === 422) throw new ValidationError(`API Error (${status}): ${message}`, details);
+    throw new ClimateError(`API Error (${status}): ${message}`, details);
+  } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    throw new NetworkError(`Request timed out after ${connection.setting('timeout')}s. Increase it with --timeout.`, { cause: error });
   } else if (error.request) {
-    throw new Error('No response from Climate FieldView API. Check your internet connection.');
+    throw new NetworkError('No response from Climate FieldView API. Check your internet connection.', { cause: error });
   } else {
     throw error;
   }
 }
 
+// Error bodies of binary downloads arrive as buffers; decode them so the
+// message and body survive into the thrown error
+function decodeBinaryError(error) {
+  const body = error.response?.data;
+  if (Buffer.isBuffer(body) || body instanceof ArrayBuffer) {
+    const text = Buffer.from(body).toString('utf8');
+    try { error.response.data = JSON.parse(text); } catch { error.response.data = { message: text }; }
+  }
+}
+
 // ============================================================
-// FIELDS
+// PAGINATION
 // ============================================================
 
-export async function listFields({ limit = 50 } = {}) {
-  const client = getClient();
-  try {
-    const response = await client.get('/v4/fields', { params: { limit } });
-    return response.data;
-  } catch (error) {
-    handleApiError(error);
-  }
+function extractResults(data) {
+  if (!data) return [];
+  return data.results || data.data || (Array.isArray(data) ? data : []);
 }
 
-export async function getField(fieldId) {
-  const client = getClient();
+async function fetchPage(path, { limit = 50, pageToken, params = {}, connection: given } = {}) {
+  const connection = connectionFor(given);
+  const client = getClient(connection);
   try {
-    const response = await client.get(`/v4/fields/${fieldId}`);
-    return response.data;
+    const response = await client.get(path, {
+      params: { ...params, limit },
+      headers: {
+        'X-Limit': String(limit),
+        ...(pageToken && { 'X-Next-Token': pageToken })
+      }
+    });
+    return {
+      results: extractResults(response.data),
+      nextToken: response.headers['x-next-token'] || null
+    };
   } catch (error) {
-    handleApiError(error);
+    handleApiError(error, connection);
   }
 }
 
-export async function createField({ name, acres, boundary } = {}) {
-  const client = getClient();
-  try {
-    const body = {
-      name,
-      ...(acres && { acres }),
-      ...(boundary && { boundary })
-    };
-    const response = await client.post('/v4/fields', body);
-    return response.data;
-  } catch (error) {
-    handleApiError(error);
+export async function* iteratePages(path, { limit = 50, pageToken, params, connection } = {}) {
+  const resolved = connectionFor(connection);
+  let token = pageToken;
+  do {
+    const page = await fetchPage(path, { limit, pageToken: token, params, connection: resolved });
+    token = page.nextToken;
+    yield page;
+  } while (token);
+}
+
+export async function* paginate(path, options = {}) {
+  for await (const page of iteratePages(path, options)) {
+    yield* page.results;
   }
 }
 
+// Follows next tokens when `all` or `max` is set. Page sizes shrink to stay
+// within `max`, so the returned nextToken always resumes right after the last
+// result instead of skipping the remainder of a truncated page.
+//
+// A client-side `filter` walks the whole stream (bounded by `max`). Matches
+// are never cut mid-page, so nextToken still resumes without gaps, but the
+// result can exceed `max` by up to one page of matches.
+async function listPaged(path, { limit = 50, pageToken, all = false, max, params, filter, connection } = {}) {
+  const results = [];
+  let token = pageToken || null;
+  do {
+    const remaining = max && !filter ? max - results.length : Infinity;
+    const page = await fetchPage(path, { limit: Math.min(limit, remaining), pageToken: token, params, connection });
+    results.push(...(filter ? page.results.filter(filter) : page.results));
+    token = page.nextToken;
+    if (!all && !max && !filter) break;
+  } while (token && (!max || results.length < max));
+  return { results, nextToken: token };
+}
+
 // ============================================================
-// FARMS
+// RECORDS
 // ============================================================
 
-export async function listFarms({ limit = 50 } = {}) {
-  const client = getClient();
+// List and get calls are answered from the connection's local cache when it
+// has a fresh copy (see store.js); `bypassCache` forces a live listing.
+function listResource(resource, options = {}) {
+  const connection = connectionFor(options.connection);
+  const cached = !options.bypassCache && connection.cachedList?.(resource, options);
+  return cached || listPaged(RESOURCE_PATHS[resource], { ...options, connection });
+}
+
+async function getRecord(resource, id, options = {}) {
+  const connection = connectionFor(options.connection);
+  const cached = connection.cachedRecord?.(resource, id);
+  if (cached) return cached;
+  const client = getClient(connection);
   try {
-    const response = await client.get('/v4/farms', { params: { limit } });
+    const response = await client.get(`${RESOURCE_PATHS[resource]}/${id}`);
     return response.data;
   } catch (error) {
-    handleApiError(error);
+    handleApiError(error, connection);
   }
 }
 
-export async function getFarm(farmId) {
-  const client = getClient();
+// Reads a record straight from the API, bypassing the local cache, together
+// with its ETag when the API sends one. Writes echo the ETag back as If-Match
+// so a concurrent edit fails with 412 instead of being overwritten.
+async function fetchVersion(resource, id, options = {}) {
+  const connection = connectionFor(options.connection);
+  if (connection.isOffline?.()) throw new ValidationError('Records cannot be changed with --offline.');
+  const client = getClient(connection);
   try {
-    const response = await client.get(`/v4/farms/${farmId}`);
+    const response = await client.get(`${RESOURCE_PATHS[resource]}/${id}`);
+    return { record: response.data, etag: response.headers.etag || null };
+  } catch (error) {
+    handleApiError(error, connection);
+  }
+}
+
+async function sendWrite(method, path, { body, etag, connection } = {}) {
+  const client = getClient(connection);
+  try {
+    const response = await client.request({
+      method,
+      url: path,
+      data: body,
+      headers: etag ? { 'If-Match': etag } : {}
+    });
     return response.data;
   } catch (error) {
-    handleApiError(error);
+    handleApiError(error, connection);
   }
 }
 
+async function createRecord(resource, body, options = {}) {
+  const connection = connectionFor(options.connection);
+  const record = await sendWrite('post', RESOURCE_PATHS[resource], { body, connection });
+  if (record?.id) connection.storeRecord?.(resource, record);
+  return record;
+}
+
+async function updateRecord(resource, id, changes, { etag, connection: given } = {}) {
+  const connection = connectionFor(given);
+  const record = await sendWrite('patch', `${RESOURCE_PATHS[resource]}/${id}`, { body: changes, etag, connection });
+  connection.storeRecord?.(resource, { id, ...record });
+  return record;
+}
+
+async function deleteRecord(resource, id, { etag, connection: given } = {}) {
+  const connection = connectionFor(given);
+  await sendWrite('delete', `${RESOURCE_PATHS[resource]}/${id}`, { etag, connection });
+  connection.forgetRecord?.(resource, id);
+}
+
+// ============================================================
+// FIELDS
+// ============================================================
+
+export async function listFields(options = {}) {
+  return listResource('fields', options);
+}
+
+export async function getField(fieldId, options = {}) {
+  return getRecord('fields', fieldId, options);
+}
+
+export async function createField({ name, acres, boundary, farmId } = {}, options = {}) {
+  return createRecord('fields', {
+    name,
+    ...(acres && { acres }),
+    ...(boundary && { boundary }),
+    ...(farmId && { farmId })
+  }, options);
+}
+
+export async function getFieldVersion(fieldId, options = {}) {
+  return fetchVersion('fields', fieldId, options);
+}
+
+export async function updateField(fieldId, changes, options = {}) {
+  return updateRecord('fields', fieldId, changes, options);
+}
+
+export async function deleteField(fieldId, options = {}) {
+  return deleteRecord('fields', fieldId, options);
+}
+
+// ============================================================
+// FARMS
+// ============================================================
+
+export async function listFarms(options = {}) {
+  return listResource('farms', options);
+}
+
+export async function getFarm(farmId, options = {}) {
+  return getRecord('farms', farmId, options);
+}
+
+export async function createFarm({ name } = {}, options = {}) {
+  return createRecord('farms', { name }, options);
+}
+
+export async function getFarmVersion(farmId, options = {}) {
+  return fetchVersion('farms', farmId, options);
+}
+
+export async function updateFarm(farmId, changes, options = {}) {
+  return updateRecord('farms', farmId, changes, options);
+}
+
+export async function deleteFarm(farmId, options = {}) {
+  return deleteRecord('farms', farmId, options);
+}
+
 // ============================================================
 // BOUNDARIES
 // ============================================================
 
-export async function listBoundaries({ limit = 50 } = {}) {
-  const client = getClient();
-  try {
-    const response = await client.get('/v4/boundaries', { params: { limit } });
-    return response.data;
-  } catch (error) {
-    handleApiError(error);
-  }
+export async function listBoundaries(options = {}) {
+  return listResource('boundaries', options);
+}
+
+export async function getBoundary(boundaryId, options = {}) {
+  return getRecord('boundaries', boundaryId, options);
+}
+
+export async function getBoundaryVersion(boundaryId, options = {}) {
+  return fetchVersion('boundaries', boundaryId, options);
 }
 
-export async function getBoundary(boundaryId) {
-  const client = getClient();
+export async function updateBoundary(boundaryId, changes, options = {}) {
+  return updateRecord('boundaries', boundaryId, changes, options);
+}
+
+// ============================================================
+// HARVEST ACTIVITIES
+// ============================================================
+
+export async function listHarvestActivities(options = {}) {
+  return listResource('harvest', options);
+}
+
+export async function getHarvestActivity(activityId, options = {}) {
+  return getRecord('harvest', activityId, options);
+}
+
+// ============================================================
+// PLANTING ACTIVITIES
+// ============================================================
+
+export async function listPlantingActivities(options = {}) {
+  return listResource('planting', options);
+}
+
+export async function getPlantingActivity(activityId, options = {}) {
+  return getRecord('planting', activityId, options);
+}
+
+// ============================================================
+// APPLICATION ACTIVITIES
+// ============================================================
+
+export async function listApplicationActivities(options = {}) {
+  return listResource('application', options);
+}
+
+export async function getApplicationActivity(activityId, options = {}) {
+  return getRecord('application', activityId, options);
+}
+
+// ============================================================
+// SCOUTING OBSERVATIONS
+// ============================================================
+
+export async function listScoutingObservations(options = {}) {
+  return listResource('scouting', options);
+}
+
+export async function getScoutingObservation(observationId, options = {}) {
+  return getRecord('scouting', observationId, options);
+}
+
+export async function listScoutingAttachments(observationId, options = {}) {
+  const connection = onlineConnection(options, 'Scouting attachments are not stored locally; they cannot be listed with --offline.');
+  return listPaged(`${RESOURCE_PATHS.scouting}/${observationId}/attachments`, { ...options, all: true, connection });
+}
+
+export async function fetchScoutingAttachment(observationId, attachmentId, options = {}) {
+  const connection = onlineConnection(options, 'Scouting attachments cannot be downloaded with --offline.');
+  const client = getClient(connection);
   try {
-    const response = await client.get(`/v4/boundaries/${boundaryId}`);
-    return response.data;
+    const response = await client.get(`${RESOURCE_PATHS.scouting}/${observationId}/attachments/${attachmentId}/contents`, {
+      responseType: 'arraybuffer',
+      headers: { 'Accept': '*/*' }
+    });
+    return { data: Buffer.from(response.data), contentType: response.headers['content-type'] || null };
   } catch (error) {
-    handleApiError(error);
+    decodeBinaryError(error);
+    handleApiError(error, connection);
   }
 }
 
 // ============================================================
-// HARVEST ACTIVITIES
+// SOIL SAMPLES
+// ============================================================
+
+export async function listSoilSamples(options = {}) {
+  return listResource('soil', options);
+}
+
+export async function getSoilSample(sampleId, options = {}) {
+  return getRecord('soil', sampleId, options);
+}
+
+// ============================================================
+// UPLOADS
 // ============================================================
 
-export async function listHarvestActivities({ limit = 50 } = {}) {
-  const client = getClient();
+// FieldView's chunked upload protocol: announce the file (MD5, length,
+// content type) to get an upload ID, PUT the bytes in Content-Range chunks,
+// then poll the status while FieldView processes the file.
+export async function createUpload({ md5, length, contentType }, options = {}) {
+  const connection = onlineConnection(options, 'Files cannot be uploaded with --offline.');
+  const data = await sendWrite('post', UPLOADS_PATH, { body: { md5, length, contentType }, connection });
+  return typeof data === 'string' ? { id: data } : data;
+}
+
+export async function putUploadChunk(uploadId, data, { start, total, connection: given } = {}) {
+  const connection = connectionFor(given);
+  const client = getClient(connection);
   try {
-    const response = await client.get('/v4/activitySummaries/harvest', { params: { limit } });
-    return response.data;
+    await client.put(`${UPLOADS_PATH}/${uploadId}`, data, {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Range': `bytes ${start}-${start + data.length - 1}/${total}`
+      }
+    });
   } catch (error) {
-    handleApiError(error);
+    handleApiError(error, connection);
   }
 }
 
-export async function getHarvestActivity(activityId) {
-  const client = getClient();
+export async function getUploadStatus(uploadId, options = {}) {
+  const connection = onlineConnection(options, 'Upload status cannot be checked with --offline.');
+  const client = getClient(connection);
   try {
-    const response = await client.get(`/v4/activitySummaries/harvest/${activityId}`);
-    return response.data;
+    const response = await client.get(`${UPLOADS_PATH}/${uploadId}/status`);
+    return { id: uploadId, ...response.data };
   } catch (error) {
-    handleApiError(error);
+    handleApiError(error, connection);
   }
 }
 
 // ============================================================
-// PLANTING ACTIVITIES
+// WEBHOOKS
 // ============================================================
 
-export async function listPlantingActivities({ limit = 50 } = {}) {
-  const client = getClient();
-  try {
-    const response = await client.get('/v4/activitySummaries/planting', { params: { limit } });
-    return response.data;
-  } catch (error) {
-    handleApiError(error);
-  }
+// Subscriptions are always read and changed live; they are not part of the
+// local sync store. Attachments and uploads above share this guard.
+function onlineConnection(options, message = 'Webhooks cannot be managed with --offline.') {
+  const connection = connectionFor(options.connection);
+  if (connection.isOffline?.()) throw new ValidationError(message);
+  return connection;
+}
+
+export async function listWebhooks(options = {}) {
+  return listPaged(RESOURCE_PATHS.webhooks, { ...options, connection: onlineConnection(options) });
+}
+
+export async function getWebhook(webhookId, options = {}) {
+  return getRecord('webhooks', webhookId, { ...options, connection: onlineConnection(options) });
+}
+
+export async function createWebhook({ url, events, secret } = {}, options = {}) {
+  return createRecord('webhooks', { url, events, secret }, { ...options, connection: onlineConnection(options) });
+}
+
+export async function deleteWebhook(webhookId, options = {}) {
+  return deleteRecord('webhooks', webhookId, { ...options, connection: onlineConnection(options) });
 }
 
-export async function getPlantingActivity(activityId) {
-  const client = getClient();
+// Asks FieldView to deliver a signed test event to the subscription's URL
+export async function testWebhook(webhookId, { event, ...options } = {}) {
+  const connection = onlineConnection(options);
+  return sendWrite('post', `${RESOURCE_PATHS.webhooks}/${webhookId}/test`, { body: event ? { event } : {}, connection });
+}
+
+// ============================================================
+// LAYER CONTENTS
+// ============================================================
+
+const LAYER_PATHS = {
+  harvest: 'asHarvested',
+  planting: 'asPlanted',
+  application: 'asApplied'
+};
+
+function parseContentRange(header) {
+  const match = /bytes (?:(\d+)-\d+|\*)\/(\d+|\*)/.exec(header || '');
+  if (!match) return { start: 0, total: null };
+  return {
+    start: match[1] !== undefined ? Number(match[1]) : null,
+    total: match[2] !== '*' ? Number(match[2]) : null
+  };
+}
+
+export async function fetchLayerChunk(activityType, activityId, { start = 0, end, connection: given } = {}) {
+  const connection = connectionFor(given);
+  const client = getClient(connection);
   try {
-    const response = await client.get(`/v4/activitySummaries/planting/${activityId}`);
-    return response.data;
+    const response = await client.get(`/v4/layers/${LAYER_PATHS[activityType]}/${activityId}/contents`, {
+      responseType: 'arraybuffer',
+      headers: {
+        'Accept': '*/*',
+        'Range': `bytes=${start}-${end ?? ''}`
+      }
+    });
+    const range = parseContentRange(response.headers['content-range']);
+    return {
+      data: Buffer.from(response.data),
+      partial: response.status === 206,
+      start: range.start ?? start,
+      total: range.total
+    };
   } catch (error) {
-    handleApiError(error);
+    // 416 means the requested range starts at or past the end: nothing left to fetch
+    if (error.response?.status === 416) {
+      return { data: Buffer.alloc(0), partial: true, start, total: parseContentRange(error.response.headers['content-range']).total };
+    }
+    decodeBinaryError(error);
+    handleApiError(error, connection);
   }
 }
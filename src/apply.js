@@ -0,0 +1,271 @@
+import { appendFile, readFile } from 'fs/promises';
+import {
+  createFarm,
+  createField,
+  getFarmVersion,
+  getFieldVersion,
+  listBoundaries,
+  listFarms,
+  listFields,
+  updateFarm,
+  updateField
+} from './api.js';
+import { diffRecords } from './diff.js';
+import { extractGeometry } from './export.js';
+import { readSingleBoundary } from './import.js';
+import { mapConcurrent } from './pool.js';
+import { ConflictError, ValidationError, fileError } from './errors.js';
+
+function lower(value) {
+  return value === undefined || value === null ? '' : String(value).toLowerCase();
+}
+
+function farmKey(farm) {
+  return `farm:${lower(farm.id || farm.name)}`;
+}
+
+function fieldKey(field) {
+  return field.id ? `field:${lower(field.id)}` : `field:${lower(field.farm)}/${lower(field.name)}`;
+}
+
+// ============================================================
+// RESULT LOG
+// ============================================================
+
+// The log is NDJSON, one line per item and run. Only the IDs of created
+// records are read back: they let a re-run recognise what an earlier,
+// partially failed run already created even if names no longer line up.
+export async function readApplyLog(path) {
+  let content;
+  try {
+    content = await readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Map();
+    throw fileError(error, path);
+  }
+  const created = new Map();
+  content.split('\n').filter(line => line.trim()).forEach((line, i) => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      throw new ValidationError(`Cannot read apply log ${path}: line ${i + 1} is not JSON.`);
+    }
+    if (entry.status === 'created' && entry.key && entry.id) created.set(entry.key, entry.id);
+  });
+  return created;
+}
+
+export async function appendApplyLog(path, results) {
+  if (results.length === 0) return;
+  await appendFile(path, results.map(result => JSON.stringify(result)).join('\n') + '\n');
+}
+
+// ============================================================
+// PLANNING
+// ============================================================
+
+function findFarm(farms, ref, created) {
+  const id = created.get(`farm:${lower(ref)}`);
+  return farms.find(farm => (id && farm.id === id) || lower(farm.id) === lower(ref) || lower(farm.name) === lower(ref));
+}
+
+function planFarm(declared, farms, created) {
+  const key = farmKey(declared);
+  const base = { key, kind: 'farm', name: declared.name ?? declared.id, farm: null };
+  const existing = declared.id
+    ? farms.find(farm => farm.id === declared.id)
+    : findFarm(farms, declared.name, created);
+  if (!existing) {
+    if (declared.id) return { ...base, action: 'error', error: `Farm ${declared.id} does not exist.` };
+    return { ...base, action: 'create', body: { name: declared.name }, changes: diffRecords(null, { name: declared.name }) };
+  }
+  const body = declared.id && declared.name ? { name: declared.name } : {};
+  const changes = diffRecords(existing, body);
+  return { ...base, id: existing.id, action: changes.length > 0 ? 'update' : 'noop', body, changes };
+}
+
+function matchField(declared, fields, farm, created) {
+  if (declared.id) return { field: fields.find(field => field.id === declared.id) };
+  const createdId = created.get(fieldKey(declared));
+  if (createdId) {
+    const field = fields.find(candidate => candidate.id === createdId);
+    if (field) return { field };
+  }
+  const candidates = fields.filter(field => lower(field.name) === lower(declared.name) &&
+    (!farm || field.farmId === farm.id || (!field.farmId && lower(field.farmName) === lower(farm.name))));
+  if (candidates.length > 1) {
+    return { error: `${candidates.length} fields are named "${declared.name}"${farm ? '' : ' across farms'}. Add a farm or an id.` };
+  }
+  return { field: candidates[0] };
+}
+
+async function planField(declared, { farms, fields, boundaries, farmPlans, created }) {
+  const key = fieldKey(declared);
+  const base = { key, kind: 'field', name: declared.name ?? declared.id, farm: declared.farm ?? null };
+  const farmPlan = declared.farm ? farmPlans.find(plan => plan.key === farmKey({ name: declared.farm }) || plan.id === declared.farm) : null;
+  const farm = declared.farm ? findFarm(farms, declared.farm, created) : null;
+  if (farmPlan?.action === 'error') return { ...base, action: 'error', error: `Farm ${declared.farm} cannot be resolved.` };
+
+  const match = matchField(declared, fields, farm, created);
+  if (match.error) return { ...base, action: 'error', error: match.error };
+  const existing = match.field;
+  if (!existing && declared.id) return { ...base, action: 'error', error: `Field ${declared.id} does not exist.` };
+  if (!existing && !declared.name) return { ...base, action: 'error', error: 'A new field needs a name.' };
+
+  let prepared = null;
+  if (declared.boundary) {
+    try {
+      prepared = await readSingleBoundary(declared.boundary, { acres: declared.acres, name: declared.name ?? existing?.name });
+    } catch (error) {
+      return { ...base, action: 'error', error: error.message };
+    }
+  }
+
+  // New farms have no ID until the first phase runs; `dependsOn` links them
+  const farmRef = farm
+    ? { farmId: farm.id }
+    : (farmPlan?.action === 'create' ? { dependsOn: farmPlan.key } : {});
+
+  if (!existing) {
+    const body = {
+      name: declared.name,
+      acres: prepared?.acres ?? declared.acres,
+      ...(prepared && { boundary: prepared.geometry }),
+      ...(farmRef.farmId && { farmId: farmRef.farmId })
+    };
+    const changes = diffRecords(null, { ...body, ...(farmRef.dependsOn && { farmId: `(new farm ${declared.farm})` }) });
+    return { ...base, action: 'create', body, changes, dependsOn: farmRef.dependsOn ?? null };
+  }
+
+  const current = { ...existing };
+  const body = {};
+  if (declared.id && declared.name) body.name = declared.name;
+  if (declared.acres !== undefined) body.acres = declared.acres;
+  if (farmRef.farmId && existing.farmId !== farmRef.farmId) body.farmId = farmRef.farmId;
+  if (prepared) {
+    const boundary = boundaries.find(candidate => candidate.id === existing.boundaryId || (candidate.fieldId && candidate.fieldId === existing.id));
+    current.boundary = extractGeometry(existing) || extractGeometry(boundary);
+    if (JSON.stringify(current.boundary) !== JSON.stringify(prepared.geometry)) {
+      body.boundary = prepared.geometry;
+      body.acres = prepared.acres;
+    }
+  }
+  const changes = diffRecords(current, body);
+  Object.keys(body).forEach(name => { if (!changes.some(change => change.key === name)) delete body[name]; });
+  if (farmRef.dependsOn) {
+    changes.push({ key: 'farmId', before: existing.farmId ?? null, after: `(new farm ${declared.farm})` });
+  }
+  return {
+    ...base,
+    id: existing.id,
+    action: changes.length > 0 ? 'update' : 'noop',
+    body,
+    changes,
+    dependsOn: farmRef.dependsOn ?? null
+  };
+}
+
+// Compares the manifest with the live API (never the local cache) and returns
+// one plan item per declared farm and field.
+export async function planManifest(manifest, { created = new Map() } = {}) {
+  const needsBoundaries = manifest.fields.some(field => field.boundary);
+  const [{ results: farms }, { results: fields }, { results: boundaries }] = await Promise.all([
+    listFarms({ all: true, bypassCache: true }),
+    listFields({ all: true, bypassCache: true }),
+    needsBoundaries ? listBoundaries({ all: true, bypassCache: true }) : { results: [] }
+  ]);
+
+  const farmPlans = manifest.farms.map(farm => planFarm(farm, farms, created));
+  const fieldPlans = [];
+  for (const field of manifest.fields) {
+    fieldPlans.push(await planField(field, { farms, fields, boundaries, farmPlans, created }));
+  }
+
+  const items = [...farmPlans, ...fieldPlans];
+  const seen = new Set();
+  items.forEach(item => {
+    if (seen.has(item.key)) Object.assign(item, { action: 'error', error: `Declared more than once (${item.key}).` });
+    seen.add(item.key);
+  });
+  return items;
+}
+
+export function summarizePlan(items) {
+  const count = (action) => items.filter(item => item.action === action).length;
+  return { create: count('create'), update: count('update'), unchanged: count('noop'), errors: count('error') };
+}
+
+// ============================================================
+// EXECUTION
+// ============================================================
+
+// Re-reads the record and refuses to write when a value the plan relied on
+// has moved since; the ETag then guards the short window until the write.
+async function freshVersion(item, getVersion) {
+  const { record, etag } = await getVersion(item.id);
+  const drifted = item.changes.find(change =>
+    change.key !== 'boundary' && !String(change.after).startsWith('(new farm') &&
+    JSON.stringify(record?.[change.key] ?? null) !== JSON.stringify(change.before));
+  if (drifted) throw new ConflictError(`${drifted.key} changed since the plan was made. Re-run apply to review the new plan.`);
+  return etag;
+}
+
+async function runItem(item, farmIds) {
+  if (item.action === 'noop') return { status: 'unchanged', id: item.id };
+  const body = { ...item.body };
+  if (item.dependsOn) {
+    const farmId = farmIds.get(item.dependsOn);
+    if (!farmId) return { status: 'skipped', error: `Farm ${item.farm} was not created.` };
+    body.farmId = farmId;
+  }
+  if (item.kind === 'farm') {
+    if (item.action === 'create') {
+      const farm = await createFarm(body);
+      return { status: 'created', id: farm?.id ?? null };
+    }
+    const etag = await freshVersion(item, getFarmVersion);
+    await updateFarm(item.id, body, { etag });
+    return { status: 'updated', id: item.id };
+  }
+  if (item.action === 'create') {
+    const field = await createField(body);
+    return { status: 'created', id: field?.id ?? null };
+  }
+  const etag = await freshVersion(item, getFieldVersion);
+  await updateField(item.id, body, { etag });
+  return { status: 'updated', id: item.id };
+}
+
+// Farms go first so new fields can reference newly created farms. Within each
+// phase at most `concurrency` requests are in flight; a failed item never
+// stops the others.
+export async function executePlan(items, { concurrency = 4, onResult } = {}) {
+  const farmIds = new Map(items.filter(item => item.kind === 'farm' && item.id).map(item => [item.key, item.id]));
+  const run = async (item) => {
+    let outcome;
+    try {
+      outcome = await runItem(item, farmIds);
+    } catch (error) {
+      outcome = { status: 'failed', error: error.message };
+    }
+    if (item.kind === 'farm' && outcome.id) farmIds.set(item.key, outcome.id);
+    const result = {
+      key: item.key,
+      kind: item.kind,
+      action: item.action,
+      name: item.name,
+      farm: item.farm,
+      id: outcome.id ?? item.id ?? null,
+      status: outcome.status,
+      error: outcome.error ?? null,
+      at: new Date().toISOString()
+    };
+    onResult?.(result);
+    return result;
+  };
+  const runnable = items.filter(item => item.action !== 'error');
+  const farms = await mapConcurrent(runnable.filter(item => item.kind === 'farm'), concurrency, run);
+  const fields = await mapConcurrent(runnable.filter(item => item.kind === 'field'), concurrency, run);
+  return [...farms, ...fields];
+}
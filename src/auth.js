@@ -0,0 +1,85 @@
+import { getConfig, setConfig, hasValidToken, canRefreshToken } from './config.js';
+import { exchangeToken, tokenExpiry } from './oauth.js';
+import { AuthError, ValidationError } from './errors.js';
+
+let pendingRefresh = null;
+
+function storeTokens(data) {
+  setConfig('accessToken', data.access_token);
+  if (data.refresh_token) setConfig('refreshToken', data.refresh_token);
+  setConfig('tokenExpiry', tokenExpiry(data));
+}
+
+async function requestToken(params) {
+  const data = await exchangeToken(params, {
+    tokenUrl: getConfig('tokenUrl'),
+    clientId: getConfig('clientId'),
+    clientSecret: getConfig('clientSecret')
+  });
+  storeTokens(data);
+  return data;
+}
+
+// ============================================================
+// TOKEN LIFECYCLE
+// ============================================================
+
+export async function login({ clientId, clientSecret, code, redirectUri, refreshToken } = {}) {
+  if (clientId) setConfig('clientId', clientId);
+  if (clientSecret) setConfig('clientSecret', clientSecret);
+  if (!canRefreshToken()) {
+    throw new ValidationError('Client ID and client secret are required. Use --client-id and --client-secret');
+  }
+  if (code) {
+    return requestToken({
+      grant_type: 'authorization_code',
+      code,
+      ...(redirectUri && { redirect_uri: redirectUri })
+    });
+  }
+  if (refreshToken) {
+    return requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+  }
+  return requestToken({ grant_type: 'client_credentials' });
+}
+
+export function refreshAccessToken() {
+  if (!canRefreshToken()) {
+    return Promise.reject(new AuthError('Cannot refresh token: client ID and secret not configured. Run: climatecom auth login'));
+  }
+  if (!pendingRefresh) {
+    const refreshToken = getConfig('refreshToken');
+    const params = refreshToken
+      ? { grant_type: 'refresh_token', refresh_token: refreshToken }
+      : { grant_type: 'client_credentials' };
+    pendingRefresh = requestToken(params).finally(() => { pendingRefresh = null; });
+  }
+  return pendingRefresh;
+}
+
+export async function ensureValidToken() {
+  if (getConfig('accessToken') && !hasValidToken() && canRefreshToken()) {
+    await refreshAccessToken();
+  }
+  return getConfig('accessToken');
+}
+
+export function logout() {
+  setConfig('accessToken', '');
+  setConfig('refreshToken', '');
+  setConfig('tokenExpiry', 0);
+}
+
+export function getAuthStatus() {
+  const accessToken = getConfig('accessToken');
+  const tokenExpiry = getConfig('tokenExpiry');
+  return {
+    method: accessToken ? 'oauth' : (getConfig('apiKey') ? 'apiKey' : 'none'),
+    clientId: getConfig('clientId') || null,
+    hasAccessToken: !!accessToken,
+    hasRefreshToken: !!getConfig('refreshToken'),
+    tokenValid: hasValidToken(),
+    tokenExpiry: tokenExpiry ? new Date(tokenExpiry).toISOString() : null,
+    canRefresh: canRefreshToken()
+  };
+}
@@ -0,0 +1,2262 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import ora from 'ora';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { basename, join } from 'path';
+import {
+  getConfig,
+  setConfig,
+  isConfigured,
+  getActiveProfile,
+  useProfile,
+  setActiveProfile,
+  listProfiles,
+  addProfile,
+  removeProfile
+} from './config.js';
+import { login, refreshAccessToken, logout, getAuthStatus } from './auth.js';
+import {
+  listFields,
+  getField,
+  getFieldVersion,
+  createField,
+  updateField,
+  deleteField,
+  listFarms,
+  getFarm,
+  getFarmVersion,
+  createFarm,
+  updateFarm,
+  deleteFarm,
+  listBoundaries,
+  getBoundary,
+  getBoundaryVersion,
+  updateBoundary,
+  listHarvestActivities,
+  getHarvestActivity,
+  listPlantingActivities,
+  getPlantingActivity,
+  listApplicationActivities,
+  getApplicationActivity,
+  listScoutingObservations,
+  getScoutingObservation,
+  listScoutingAttachments,
+  fetchScoutingAttachment,
+  listSoilSamples,
+  getSoilSample,
+  getUploadStatus,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  deleteWebhook,
+  testWebhook,
+  setDefaultConnection,
+  parseSetting
+} from './api.js';
+import { configureRequests, storeConnection } from './connection.js';
+import { configureTracing, finishTracing, traceLevel } from './trace.js';
+import { downloadLayer, parseLayerFile, writePoints } from './layers.js';
+import { EXPORT_FORMATS, collectBoundaryFeatures, collectFieldFeatures, exportFeatures, fetchFieldBoundary } from './export.js';
+import { readBoundaryFile, readSingleBoundary, importFields } from './import.js';
+import { analyzeBoundaries } from './analysis.js';
+import { buildActivityFilter, buildFieldFilter } from './filters.js';
+import { diffRecords, formatDiff } from './diff.js';
+import { confirm } from './prompt.js';
+import { readManifest } from './manifest.js';
+import { appendApplyLog, executePlan, planManifest, readApplyLog, summarizePlan } from './apply.js';
+import { DEFAULT_CONCURRENCY, buildTree, flattenTree, getFarmWithFields } from './relations.js';
+import { RESOURCES, configureCache, isOffline, clearStore, storePath, storeStatus } from './store.js';
+import { syncAll } from './sync.js';
+import { changeEnv, resetWatchState, validateWatch, watchResources, watchStatePath, watchStatus } from './watch.js';
+import { serveHttp, serveStdio } from './mcp.js';
+import { startMockServer } from './mock.js';
+import { analyzeYield, writeGrid, writeSummary } from './yieldmap.js';
+import { RATE_UNITS, buildPrescription, readRates, readZones, writePrescription } from './prescription.js';
+import { TERMINAL_STATUSES, UPLOAD_TYPES, resolveContentType, uploadFile, waitForUpload } from './uploads.js';
+import { WEBHOOK_EVENTS, appendEvent, generateSecret, runEventCommand, startReceiver } from './webhooks.js';
+import { AuthError, ClimateError, EXIT_CODES, NotFoundError, ValidationError, errorToJSON, exitCodeFor } from './errors.js';
+import { parseDuration } from './duration.js';
+import { REPORT_FORMATS, FIELD_COLUMNS, FARM_COLUMNS, buildSeasonReport, formatCell, renderHtml, renderMarkdown } from './report.js';
+import {
+  OUTPUT_FORMATS,
+  configureOutput,
+  outputFormat,
+  isTableOutput,
+  printList,
+  printItem,
+  printTable
+} from './output.js';
+
+const program = new Command();
+
+function printSuccess(message) {
+  console.log(chalk.green('✓') + ' ' + message);
+}
+
+function printError(message) {
+  console.error(chalk.red('✗') + ' ' + message);
+}
+
+// Set before each command runs: --json or a JSON --output turns errors into
+// JSON objects on stderr as well
+let jsonErrors = false;
+
+function fail(error) {
+  if (jsonErrors) console.error(JSON.stringify(errorToJSON(error)));
+  else printError(error.message);
+  if (traceLevel() === 'debug' && error?.stack) console.error(chalk.dim(error.stack));
+  finishTracing();
+  process.exit(exitCodeFor(error));
+}
+
+// listen, serve --port and mock-server keep serving after their action
+// returns, and watch polls until stopped. Ctrl-C or SIGTERM is their way
+// out, so that is where the --har file gets completed.
+let runsUntilStopped = false;
+
+function runUntilStopped() {
+  runsUntilStopped = true;
+  const stop = (code) => () => {
+    finishTracing();
+    process.exit(code);
+  };
+  process.once('SIGINT', stop(130));
+  process.once('SIGTERM', stop(143));
+}
+
+function positiveInteger(value, flag) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw new ValidationError(`Invalid ${flag} "${value}". Use a whole number of 1 or more.`);
+  return number;
+}
+
+function nonNegativeNumber(value, flag) {
+  const number = Number(value);
+  if (String(value).trim() === '' || !Number.isFinite(number) || number < 0) {
+    throw new ValidationError(`Invalid ${flag} "${value}". Use a number of 0 or more.`);
+  }
+  return number;
+}
+
+function positiveNumber(value, flag) {
+  const number = Number(value);
+  if (String(value).trim() === '' || !Number.isFinite(number) || number <= 0) {
+    throw new ValidationError(`Invalid ${flag} "${value}". Use a number greater than 0.`);
+  }
+  return number;
+}
+
+function paginationOptions(options) {
+  return {
+    limit: positiveInteger(options.limit, '--limit'),
+    pageToken: options.pageToken,
+    all: !!options.all,
+    max: options.max !== undefined ? positiveInteger(options.max, '--max') : undefined
+  };
+}
+
+async function withSpinner(message, fn) {
+  const spinner = ora(message).start();
+  try {
+    const result = await fn();
+    spinner.stop();
+    return result;
+  } catch (error) {
+    spinner.stop();
+    throw error;
+  }
+}
+
+function requireAuth() {
+  if (!isConfigured() && !isOffline()) {
+    if (jsonErrors) fail(new AuthError('Climate FieldView credentials not configured. Run: climatecom config set --api-key <key>'));
+    printError('Climate FieldView credentials not configured.');
+    console.error('\nRun the following to configure:');
+    console.error(chalk.cyan('  climatecom config set --api-key <key>'));
+    console.error('\nOr log in with OAuth2 client credentials:');
+    console.error(chalk.cyan('  climatecom auth login --client-id <id> --client-secret <secret>'));
+    finishTracing();
+    process.exit(EXIT_CODES.auth);
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+async function downloadActivityLayer(activityType, activityId, options) {
+  const dest = options.dest || `${activityType}-${activityId}.zip`;
+  const spinner = ora(`Downloading ${activityType} data...`).start();
+  let result;
+  try {
+    result = await downloadLayer(activityType, activityId, dest, {
+      chunkSize: Math.round(parseFloat(options.chunkSize) * 1024 * 1024),
+      restart: options.restart,
+      onProgress: ({ downloaded, total }) => {
+        spinner.text = total
+          ? `Downloading ${activityType} data... ${formatBytes(downloaded)} / ${formatBytes(total)} (${Math.floor(downloaded / total * 100)}%)`
+          : `Downloading ${activityType} data... ${formatBytes(downloaded)}`;
+      }
+    });
+  } finally {
+    spinner.stop();
+  }
+
+  let pointsPath = null;
+  let points = null;
+  if (options.parse || options.points) {
+    pointsPath = options.points || dest.replace(/\.[^./]+$/, '') + '.points.csv';
+    points = await withSpinner('Parsing layer data...', () => parseLayerFile(dest, activityType));
+    await writePoints(points, pointsPath, activityType);
+  }
+
+  if (!isTableOutput(options)) {
+    printItem({
+      activityId,
+      path: result.path,
+      bytes: result.bytes,
+      resumedFrom: result.resumedFrom,
+      ...(points && { pointsPath, pointCount: points.length })
+    }, options);
+    return;
+  }
+  printSuccess(`Downloaded ${formatBytes(result.bytes)} to ${chalk.bold(result.path)}`);
+  if (result.resumedFrom > 0) console.log(chalk.dim(`Resumed from ${formatBytes(result.resumedFrom)}`));
+  if (points) printSuccess(`Parsed ${points.length} point(s) to ${chalk.bold(pointsPath)}`);
+}
+
+async function exportGeometry(resource, id, options) {
+  const format = options.format.toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new ValidationError(`Unknown format "${options.format}". Use ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+  }
+  const dest = options.dest || `${id || resource}${EXPORT_FORMATS[format]}`;
+  const features = await withSpinner(`Fetching ${resource}...`, () =>
+    resource === 'fields' ? collectFieldFeatures(id) : collectBoundaryFeatures(id)
+  );
+  const result = await exportFeatures(features, format, dest);
+  if (!isTableOutput(options)) { printItem(result, options); return; }
+  printSuccess(`Exported ${result.exported} feature(s) to ${chalk.bold(result.path)}`);
+  if (result.skipped.length > 0) {
+    console.log(chalk.yellow(`Skipped ${result.skipped.length} without geometry: ${result.skipped.join(', ')}`));
+  }
+}
+
+// Shows the outgoing change, then stops for --dry-run or asks for
+// confirmation unless --yes was passed. Returns false when nothing should be
+// sent.
+async function reviewChange(options, { action, target, before, after }) {
+  const changes = diffRecords(before, after);
+  const plan = { action, target, dryRun: !!options.dryRun, changes };
+  if (changes.length === 0) {
+    if (isTableOutput(options)) console.log(chalk.yellow(`Nothing to change for ${target}.`));
+    else printItem(plan, options);
+    return false;
+  }
+  if (options.dryRun) {
+    if (!isTableOutput(options)) { printItem(plan, options); return false; }
+  }
+  if (isTableOutput(options) || !options.yes) {
+    const log = isTableOutput(options) ? console.log : console.error;
+    log(chalk.bold(`\n${action} ${target}\n`));
+    log(formatDiff(changes));
+    log('');
+  }
+  if (options.dryRun) {
+    console.log(chalk.dim('Dry run: nothing was sent.'));
+    return false;
+  }
+  if (!options.yes && !(await confirm(`${action} ${target}?`))) {
+    console.error(chalk.yellow('Cancelled.'));
+    return false;
+  }
+  return true;
+}
+
+// ============================================================
+// Program metadata
+// ============================================================
+
+program
+  .name('climatecom')
+  .description(chalk.bold('Climate FieldView CLI') + ' - Agricultural data from your terminal')
+  .version('1.0.0')
+  .option('--profile <name>', 'Use a named configuration profile')
+  .option('--retries <n>', 'Maximum retry attempts for transient API failures')
+  .option('--timeout <seconds>', 'Request timeout in seconds')
+  .option('--output <format>', `Output format: ${OUTPUT_FORMATS.join(', ')}`, 'table')
+  .option('--columns <paths>', 'Comma-separated columns to show, in order (dot-paths allowed, e.g. boundary.centroid.lat)')
+  .option('--no-header', 'Omit the header row in table, CSV and TSV output')
+  .option('--offline', 'Read list and get results from the local sync store only')
+  .option('--cache-ttl <duration>', 'Serve list and get results from the local store when synced within this window (e.g. 15m)')
+  .option('--verbose', 'Log each API request (method, URL, status, latency, request ID) to stderr')
+  .option('--debug', 'Like --verbose, plus request and response headers and bodies, and error stack traces')
+  .option('--har <file>', 'Record every API request and response of this run to a HAR file')
+  // Usage errors (unknown options, missing arguments) share the validation exit code
+  .exitOverride((error) => process.exit(error.exitCode === 0 ? 0 : EXIT_CODES.validation));
+
+program.hook('preAction', (thisCommand, actionCommand) => {
+  const opts = program.opts();
+  jsonErrors = !!actionCommand.opts().json || ['json', 'ndjson'].includes(String(opts.output).toLowerCase());
+  if (opts.profile) {
+    try {
+      useProfile(opts.profile);
+    } catch (error) {
+      fail(error);
+    }
+  }
+  try {
+    configureCache({
+      offline: !!opts.offline,
+      ttl: opts.cacheTtl ? parseDuration(opts.cacheTtl) : 0
+    });
+    configureOutput({
+      format: opts.output.toLowerCase(),
+      columns: opts.columns ? opts.columns.split(',').map(column => column.trim()).filter(Boolean) : null,
+      header: opts.header
+    });
+  } catch (error) {
+    fail(error);
+  }
+  configureTracing({
+    level: opts.debug ? 'debug' : (opts.verbose ? 'verbose' : 'off'),
+    har: opts.har || null
+  });
+  try {
+    configureRequests({
+      ...(opts.retries !== undefined && { maxRetries: parseSetting('maxRetries', opts.retries, '--retries') }),
+      ...(opts.timeout !== undefined && { timeout: parseSetting('timeout', opts.timeout, '--timeout') })
+    });
+  } catch (error) {
+    fail(error);
+  }
+});
+
+program.hook('postAction', () => {
+  if (!runsUntilStopped) finishTracing();
+});
+
+// ============================================================
+// CONFIG
+// ============================================================
+
+const configCmd = program.command('config').description('Manage CLI configuration');
+
+configCmd
+  .command('set')
+  .description('Set configuration values')
+  .option('--api-key <key>', 'Climate FieldView API key / access token')
+  .option('--client-id <id>', 'OAuth2 client ID')
+  .option('--client-secret <secret>', 'OAuth2 client secret')
+  .option('--base-url <url>', 'API base URL (e.g. a local mock server)')
+  .option('--max-retries <n>', 'Default retry attempts for transient API failures')
+  .option('--request-timeout <seconds>', 'Default request timeout in seconds')
+  .action((options) => {
+    try {
+      if (options.maxRetries) parseSetting('maxRetries', options.maxRetries, '--max-retries');
+      if (options.requestTimeout) parseSetting('timeout', options.requestTimeout, '--request-timeout');
+    } catch (error) {
+      fail(error);
+    }
+    if (options.apiKey) { setConfig('apiKey', options.apiKey); printSuccess('API key set'); }
+    if (options.clientId) { setConfig('clientId', options.clientId); printSuccess('Client ID set'); }
+    if (options.clientSecret) { setConfig('clientSecret', options.clientSecret); printSuccess('Client secret set'); }
+    if (options.baseUrl) { setConfig('baseUrl', options.baseUrl); printSuccess('Base URL set'); }
+    if (options.maxRetries) { setConfig('maxRetries', Number(options.maxRetries)); printSuccess('Max retries set'); }
+    if (options.requestTimeout) { setConfig('timeout', Number(options.requestTimeout)); printSuccess('Timeout set'); }
+    if (!options.apiKey && !options.clientId && !options.clientSecret && !options.baseUrl && !options.maxRetries && !options.requestTimeout) {
+      printError('No options provided. Use --api-key, --client-id, --client-secret, --base-url, --max-retries or --request-timeout');
+    }
+  });
+
+configCmd
+  .command('show')
+  .description('Show current configuration')
+  .action(() => {
+    const apiKey = getConfig('apiKey');
+    const clientId = getConfig('clientId');
+    const status = getAuthStatus();
+    console.log(chalk.bold('\nClimate FieldView CLI Configuration\n'));
+    console.log('Profile:   ', chalk.cyan(getActiveProfile()));
+    console.log('Base URL:  ', getConfig('baseUrl'));
+    console.log('API Key:   ', apiKey ? chalk.green('*'.repeat(8) + apiKey.slice(-4)) : chalk.red('not set'));
+    console.log('Client ID: ', clientId ? chalk.green(clientId) : chalk.red('not set'));
+    console.log('Retries:   ', getConfig('maxRetries'));
+    console.log('Timeout:   ', `${getConfig('timeout')}s`);
+    console.log('Token:     ', status.tokenValid ? chalk.green(`valid until ${new Date(status.tokenExpiry).toLocaleString()}`) : chalk.yellow(status.hasAccessToken ? 'expired' : 'none'));
+    console.log('');
+  });
+
+const profileCmd = configCmd.command('profile').description('Manage named configuration profiles');
+
+profileCmd
+  .command('add <name>')
+  .description('Add a profile')
+  .option('--api-key <key>', 'Climate FieldView API key / access token')
+  .option('--client-id <id>', 'OAuth2 client ID')
+  .option('--client-secret <secret>', 'OAuth2 client secret')
+  .option('--base-url <url>', 'API base URL')
+  .option('--use', 'Make this the active profile')
+  .action((name, options) => {
+    try {
+      addProfile(name, {
+        ...(options.apiKey && { apiKey: options.apiKey }),
+        ...(options.clientId && { clientId: options.clientId }),
+        ...(options.clientSecret && { clientSecret: options.clientSecret }),
+        ...(options.baseUrl && { baseUrl: options.baseUrl })
+      });
+      printSuccess(`Profile added: ${chalk.bold(name)}`);
+      if (options.use) { setActiveProfile(name); printSuccess(`Active profile: ${chalk.bold(name)}`); }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+profileCmd
+  .command('use <name>')
+  .description('Set the active profile')
+  .action((name) => {
+    try {
+      setActiveProfile(name);
+      printSuccess(`Active profile: ${chalk.bold(name)}`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+profileCmd
+  .command('list')
+  .description('List profiles')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    const profiles = listProfiles();
+    printList(profiles, [
+      { key: 'active', label: ' ', format: (v) => v ? '*' : '' },
+      { key: 'name', label: 'Profile' },
+      { key: 'baseUrl', label: 'Base URL' },
+      { key: 'hasApiKey', label: 'API Key', format: (v) => v ? 'yes' : 'no' },
+      { key: 'hasToken', label: 'Token', format: (v) => v ? 'yes' : 'no' }
+    ], options);
+  });
+
+profileCmd
+  .command('remove <name>')
+  .description('Remove a profile')
+  .action((name) => {
+    try {
+      removeProfile(name);
+      printSuccess(`Profile removed: ${chalk.bold(name)}`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// AUTH
+// ============================================================
+
+const authCmd = program.command('auth').description('Manage OAuth2 authentication');
+
+authCmd
+  .command('login')
+  .description('Exchange OAuth2 credentials for an access token')
+  .option('--client-id <id>', 'OAuth2 client ID')
+  .option('--client-secret <secret>', 'OAuth2 client secret')
+  .option('--code <code>', 'Authorization code from the FieldView login redirect')
+  .option('--redirect-uri <uri>', 'Redirect URI used to obtain the authorization code')
+  .option('--refresh-token <token>', 'Existing refresh token to exchange')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      await withSpinner('Requesting access token...', () => login(options));
+      if (!isTableOutput(options)) { printItem(getAuthStatus(), options); return; }
+      printSuccess('Logged in');
+      console.log('Token expires: ', new Date(getConfig('tokenExpiry')).toLocaleString());
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+authCmd
+  .command('refresh')
+  .description('Refresh the stored access token')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      await withSpinner('Refreshing access token...', () => refreshAccessToken());
+      if (!isTableOutput(options)) { printItem(getAuthStatus(), options); return; }
+      printSuccess('Access token refreshed');
+      console.log('Token expires: ', new Date(getConfig('tokenExpiry')).toLocaleString());
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+authCmd
+  .command('logout')
+  .description('Remove stored OAuth2 tokens')
+  .action(() => {
+    logout();
+    printSuccess('Logged out');
+  });
+
+authCmd
+  .command('status')
+  .description('Show authentication status')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    const status = getAuthStatus();
+    if (!isTableOutput(options)) { printItem(status, options); return; }
+    console.log(chalk.bold('\nAuthentication Status\n'));
+    console.log('Method:        ', status.method);
+    console.log('Client ID:     ', status.clientId || 'N/A');
+    console.log('Access token:  ', status.hasAccessToken ? (status.tokenValid ? chalk.green('valid') : chalk.yellow('expired')) : chalk.red('none'));
+    console.log('Refresh token: ', status.hasRefreshToken ? chalk.green('stored') : 'none');
+    console.log('Expires:       ', status.tokenExpiry ? new Date(status.tokenExpiry).toLocaleString() : 'N/A');
+    console.log('Auto-refresh:  ', status.canRefresh ? chalk.green('enabled') : 'disabled');
+    console.log('');
+  });
+
+// ============================================================
+// SYNC
+// ============================================================
+
+program
+  .command('sync [resources...]')
+  .description(`Mirror ${RESOURCES.join(', ')} into the local store for offline use`)
+  .option('--full', 'Re-download everything instead of only records updated since the last sync')
+  .option('--status', 'Show what is stored locally without syncing')
+  .option('--clear', 'Delete the local store for the active profile')
+  .option('--json', 'Output as JSON')
+  .action(async (resources, options) => {
+    try {
+      if (options.clear) {
+        clearStore();
+        printSuccess(`Cleared local store ${chalk.dim(storePath())}`);
+        return;
+      }
+      if (options.status) {
+        printList(storeStatus(), [
+          { key: 'resource', label: 'Resource' },
+          { key: 'records', label: 'Records' },
+          { key: 'syncedAt', label: 'Last sync', format: (v) => v ? new Date(v).toLocaleString() : 'never' }
+        ], options);
+        return;
+      }
+      requireAuth();
+      const spinner = ora('Syncing...').start();
+      let results;
+      try {
+        results = await syncAll(resources.length > 0 ? resources : RESOURCES, {
+          full: options.full,
+          onResource: (resource) => { spinner.text = `Syncing ${resource}...`; }
+        });
+      } finally {
+        spinner.stop();
+      }
+      printList(results, [
+        { key: 'resource', label: 'Resource' },
+        { key: 'mode', label: 'Mode' },
+        { key: 'fetched', label: 'Fetched' },
+        { key: 'records', label: 'Stored' },
+        { key: 'syncedAt', label: 'Synced at', format: (v) => new Date(v).toLocaleString() }
+      ], options);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// FIELDS
+// ============================================================
+
+const fieldsCmd = program.command('fields').description('Manage farm fields');
+
+fieldsCmd
+  .command('list')
+  .description('List all fields')
+  .option('--limit <n>', 'Results per page', '50')
+  .option('--page-token <token>', 'Resume from a next-page token')
+  .option('--all', 'Follow next-page tokens until every result is fetched')
+  .option('--max <n>', 'Stop after this many results across pages')
+  .option('--farm <farm>', 'Only fields of this farm (ID or name)')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      const data = await withSpinner('Fetching fields...', () =>
+        listFields({ ...paginationOptions(options), ...buildFieldFilter(options) })
+      );
+      printList(data, [
+        { key: 'id', label: 'ID', format: (v) => v ? String(v) : 'N/A' },
+        { key: 'name', label: 'Name', format: (v) => v || 'N/A' },
+        { key: 'acres', label: 'Acres', format: (v) => v !== undefined ? v.toFixed(2) : 'N/A' },
+        { key: 'farmName', label: 'Farm', format: (v) => v || 'N/A' }
+      ], options);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+fieldsCmd
+  .command('get <field-id>')
+  .description('Get a specific field')
+  .option('--json', 'Output as JSON')
+  .action(async (fieldId, options) => {
+    requireAuth();
+    try {
+      const field = await withSpinner('Fetching field...', () => getField(fieldId));
+      if (!isTableOutput(options)) { printItem(field, options); return; }
+      console.log(chalk.bold('\nField Details\n'));
+      console.log('ID:    ', chalk.cyan(field.id || fieldId));
+      console.log('Name:  ', field.name || 'N/A');
+      console.log('Acres: ', field.acres !== undefined ? `${field.acres.toFixed(2)} acres` : 'N/A');
+      console.log('Farm:  ', field.farmName || 'N/A');
+      console.log('');
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+fieldsCmd
+  .command('create')
+  .description('Create a new field')
+  .requiredOption('--name <name>', 'Field name')
+  .option('--acres <acres>', 'Field size in acres (computed from --boundary when omitted)')
+  .option('--boundary <file>', 'Boundary file: GeoJSON, KML or zipped Shapefile with one polygon')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      let boundary;
+      let acres = options.acres !== undefined ? positiveNumber(options.acres, '--acres') : undefined;
+      if (options.boundary) {
+        const prepared = await readSingleBoundary(options.boundary, { acres, name: options.name });
+        boundary = prepared.geometry;
+        acres = prepared.acres;
+      }
+      const field = await withSpinner('Creating field...', () =>
+        createField({
+          name: options.name,
+          acres,
+          boundary
+        })
+      );
+      if (!isTableOutput(options)) { printItem(field, options); return; }
+      printSuccess(`Field created: ${chalk.bold(options.name)}`);
+      console.log('Field ID: ', field.id || 'N/A');
+      if (boundary && !options.acres) console.log('Acres:    ', `${acres.toFixed(2)} (computed from boundary)`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+fieldsCmd
+  .command('update <field-id>')
+  .description('Change a field\'s name, acreage or boundary')
+  .option('--name <name>', 'New field name')
+  .option('--acres <acres>', 'New size in acres (recomputed from --boundary when omitted)')
+  .option('--boundary <file>', 'Replacement boundary: GeoJSON, KML or zipped Shapefile with one polygon')
+  .option('--dry-run', 'Show the change without sending it')
+  .option('--yes', 'Skip the confirmation prompt')
+  .option('--json', 'Output as JSON')
+  .action(async (fieldId, options) => {
+    requireAuth();
+    try {
+      const changes = {
+        ...(options.name && { name: options.name }),
+        ...(options.acres !== undefined && { acres: positiveNumber(options.acres, '--acres') })
+      };
+      if (options.boundary) {
+        const prepared = await readSingleBoundary(options.boundary, { acres: changes.acres, name: options.name || fieldId });
+        Object.assign(changes, { boundary: prepared.geometry, acres: prepared.acres });
+      }
+      if (Object.keys(changes).length === 0) throw new ValidationError('Nothing to update. Pass --name, --acres or --boundary.');
+      const { record, etag } = await withSpinner('Fetching field...', () => getFieldVersion(fieldId));
+      if (!(await reviewChange(options, { action: 'Update field', target: fieldId, before: record, after: changes }))) return;
+      const field = await withSpinner('Updating field...', () => updateField(fieldId, changes, { etag }));
+      if (!isTableOutput(options)) { printItem(field, options); return; }
+      printSuccess(`Field updated: ${chalk.bold(fieldId)}`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+fieldsCmd
+  .command('delete <field-id>')
+  .description('Delete a field')
+  .option('--dry-run', 'Show what would be deleted without sending it')
+  .option('--yes', 'Skip the confirmation prompt')
+  .option('--json', 'Output as JSON')
+  .action(async (fieldId, options) => {
+    requireAuth();
+    try {
+      const { record, etag } = await withSpinner('Fetching field...', () => getFieldVersion(fieldId));
+      if (!(await reviewChange(options, { action: 'Delete field', target: fieldId, before: record, after: null }))) return;
+      await withSpinner('Deleting field...', () => deleteField(fieldId, { etag }));
+      if (!isTableOutput(options)) { printItem({ id: fieldId, deleted: true }, options); return; }
+      printSuccess(`Field deleted: ${chalk.bold(fieldId)}`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+fieldsCmd
+  .command('import <file>')
+  .description('Create one field per polygon in a GeoJSON, KML or zipped Shapefile')
+  .option('--name-property <key>', 'Feature property holding the field name')
+  .option('--dry-run', 'Validate geometry without creating fields')
+  .option('--json', 'Output as JSON')
+  .action(async (file, options) => {
+    requireAuth();
+    try {
+      const features = await readBoundaryFile(file);
+      const spinner = ora(`Importing ${features.length} feature(s)...`).start();
+      const results = await importFields(features, {
+        nameProperty: options.nameProperty,
+        dryRun: options.dryRun,
+        onResult: (result) => { spinner.text = `Importing feature ${result.index} of ${features.length}...`; }
+      });
+      spinner.stop();
+      const failed = results.filter(result => result.status === 'invalid' || result.status === 'failed');
+      printList({ results, total: results.length, failed: failed.length }, [
+        { key: 'index', label: '#' },
+        { key: 'name', label: 'Name', format: (v) => v || 'N/A' },
+        { key: 'acres', label: 'Acres', format: (v, row) => v !== null ? `${v.toFixed(2)}${row.acresComputed ? '*' : ''}` : 'N/A' },
+        { key: 'status', label: 'Status' },
+        { key: 'fieldId', label: 'Field ID', format: (v) => v || '' },
+        { key: 'error', label: 'Error', format: (v) => v || '' }
+      ], options);
+      if (isTableOutput(options) && results.some(result => result.acresComputed && result.acres !== null)) {
+        console.log(chalk.dim('* acreage computed from the polygon'));
+      }
+      if (failed.length > 0) throw new ClimateError(`${failed.length} of ${results.length} feature(s) were not imported.`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+fieldsCmd
+  .command('export [field-id]')
+  .description('Export field geometry (all fields when no ID is given)')
+  .option('--format <format>', 'geojson, shapefile or kml', 'geojson')
+  .option('--dest <path>', 'Destination file')
+  .option('--json', 'Output as JSON')
+  .action(async (fieldId, options) => {
+    requireAuth();
+    try {
+      await exportGeometry('fields', fieldId, options);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// FARMS
+// ============================================================
+
+const farmsCmd = program.command('farms').description('Manage farms');
+
+farmsCmd
+  .command('list')
+  .description('List all farms')
+  .option('--limit <n>', 'Results per page', '50')
+  .option('--page-token <token>', 'Resume from a next-page token')
+  .option('--all', 'Follow next-page tokens until every result is fetched')
+  .option('--max <n>', 'Stop after this many results across pages')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      const data = await withSpinner('Fetching farms...', () =>
+        listFarms(paginationOptions(options))
+      );
+      printList(data, [
+        { key: 'id', label: 'ID', format: (v) => v ? String(v) : 'N/A' },
+        { key: 'name', label: 'Name', format: (v) => v || 'N/A' },
+        { key: 'fieldCount', label: 'Fields', format: (v) => v !== undefined ? String(v) : 'N/A' }
+      ], options);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+farmsCmd
+  .command('get <farm-id>')
+  .description('Get a specific farm')
+  .option('--fields', 'Include the farm\'s fields')
+  .option('--json', 'Output as JSON')
+  .action(async (farmId, options) => {
+    requireAuth();
+    try {
+      const farm = await withSpinner('Fetching farm...', () =>
+        options.fields ? getFarmWithFields(farmId) : getFarm(farmId)
+      );
+      if (!isTableOutput(options)) { printItem(farm, options); return; }
+      console.log(chalk.bold('\nFarm Details\n'));
+      console.log('ID:     ', chalk.cyan(farm.id || farmId));
+      console.log('Name:   ', farm.name || 'N/A');
+      console.log('Fields: ', farm.fieldCount !== undefined ? String(farm.fieldCount) : 'N/A');
+      console.log('');
+      if (options.fields) {
+        printTable(farm.fields, [
+          { key: 'id', label: 'Field ID' },
+          { key: 'name', label: 'Name', format: (v) => v || 'N/A' },
+          { key: 'acres', label: 'Acres', format: (v) => v !== undefined ? v.toFixed(2) : 'N/A' },
+          { key: 'boundaryId', label: 'Boundary ID', format: (v) => v || 'N/A' }
+        ]);
+        console.log('');
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+farmsCmd
+  .command('create')
+  .description('Create a new farm')
+  .requiredOption('--name <name>', 'Farm name')
+  .option('--dry-run', 'Show the change without sending it')
+  .option('--yes', 'Skip the confirmation prompt')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      const values = { name: options.name };
+      if (!(await reviewChange(options, { action: 'Create farm', target: options.name, before: null, after: values }))) return;
+      const farm = await withSpinner('Creating farm...', () => createFarm(values));
+      if (!isTableOutput(options)) { printItem(farm, options); return; }
+      printSuccess(`Farm created: ${chalk.bold(options.name)}`);
+      console.log('Farm ID: ', farm?.id || 'N/A');
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+farmsCmd
+  .command('update <farm-id>')
+  .description('Rename a farm')
+  .requiredOption('--name <name>', 'New farm name')
+  .option('--dry-run', 'Show the change without sending it')
+  .option('--yes', 'Skip the confirmation prompt')
+  .option('--json', 'Output as JSON')
+  .action(async (farmId, options) => {
+    requireAuth();
+    try {
+      const changes = { name: options.name };
+      const { record, etag } = await withSpinner('Fetching farm...', () => getFarmVersion(farmId));
+      if (!(await reviewChange(options, { action: 'Update farm', target: farmId, before: record, after: changes }))) return;
+      const farm = await withSpinner('Updating farm...', () => updateFarm(farmId, changes, { etag }));
+      if (!isTableOutput(options)) { printItem(farm, options); return; }
+      printSuccess(`Farm updated: ${chalk.bold(farmId)}`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+farmsCmd
+  .command('delete <farm-id>')
+  .description('Delete a farm')
+  .option('--dry-run', 'Show what would be deleted without sending it')
+  .option('--yes', 'Skip the confirmation prompt')
+  .option('--json', 'Output as JSON')
+  .action(async (farmId, options) => {
+    requireAuth();
+    try {
+      const { record, etag } = await withSpinner('Fetching farm...', () => getFarmVersion(farmId));
+      if (!(await reviewChange(options, { action: 'Delete farm', target: farmId, before: record, after: null }))) return;
+      await withSpinner('Deleting farm...', () => deleteFarm(farmId, { etag }));
+      if (!isTableOutput(options)) { printItem({ id: farmId, deleted: true }, options); return; }
+      printSuccess(`Farm deleted: ${chalk.bold(farmId)}`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// TREE
+// ============================================================
+
+function printTree(tree) {
+  if (tree.length === 0) {
+    console.log(chalk.yellow('No farms found.'));
+    return;
+  }
+  const acres = (value) => (value !== null && value !== undefined ? ` · ${value.toFixed(2)} ac` : '');
+  const date = (value) => (value ? ` · ${new Date(value).toLocaleDateString()}` : '');
+  tree.forEach(farm => {
+    console.log(`${chalk.bold(farm.name || 'N/A')} ${chalk.dim(farm.id || '')}`);
+    farm.fields.forEach((field, f) => {
+      const lastField = f === farm.fields.length - 1;
+      console.log(`${lastField ? '└── ' : '├── '}${chalk.cyan(field.name || 'N/A')} ${chalk.dim(field.id)}${acres(field.acres)}`);
+      const children = [
+        field.boundary
+          ? `Boundary ${chalk.dim(field.boundary.id)}${acres(field.boundary.acres)}`
+          : chalk.yellow('No boundary'),
+        ...(field.activities || []).map(activity =>
+          `${activity.type === 'harvest' ? 'Harvest' : 'Planting'} ${chalk.dim(activity.id)} · ${activity.crop || 'N/A'}${date(activity.startTime)}${acres(activity.area)}`)
+      ];
+      children.forEach((child, c) => {
+        console.log(`${lastField ? '    ' : '│   '}${c === children.length - 1 ? '└── ' : '├── '}${child}`);
+      });
+    });
+    if (farm.fields.length === 0) console.log(chalk.dim('└── (no fields)'));
+    console.log('');
+  });
+}
+
+program
+  .command('tree [farm]')
+  .description('Show the Farm → Field → Boundary → Activities hierarchy (one farm by ID or name, or all)')
+  .option('--season <year>', 'Only activities that started in this year')
+  .option('--no-activities', 'Skip activity summaries')
+  .option('--concurrency <n>', 'Maximum parallel requests when resolving related records', String(DEFAULT_CONCURRENCY))
+  .option('--json', 'Output as JSON')
+  .action(async (farm, options) => {
+    requireAuth();
+    try {
+      const concurrency = positiveInteger(options.concurrency, '--concurrency');
+      const spinner = ora('Resolving farms and fields...').start();
+      let tree;
+      try {
+        tree = await buildTree({
+          farm,
+          season: options.season,
+          activities: options.activities,
+          concurrency,
+          onProgress: (done, total) => { spinner.text = `Resolving boundaries (${done}/${total})...`; }
+        });
+      } finally {
+        spinner.stop();
+      }
+      const format = outputFormat(options);
+      if (format === 'json' || format === 'yaml') { printItem(tree, options); return; }
+      if (format !== 'table') { printList(flattenTree(tree), null, options); return; }
+      printTree(tree);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// BOUNDARIES
+// ============================================================
+
+const boundariesCmd = program.command('boundaries').description('Manage field boundaries');
+
+boundariesCmd
+  .command('list')
+  .description('List all field boundaries')
+  .option('--limit <n>', 'Results per page', '50')
+  .option('--page-token <token>', 'Resume from a next-page token')
+  .option('--all', 'Follow next-page tokens until every result is fetched')
+  .option('--max <n>', 'Stop after this many results across pages')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      const data = await withSpinner('Fetching boundaries...', () =>
+        listBoundaries(paginationOptions(options))
+      );
+      printList(data, [
+        { key: 'id', label: 'ID', format: (v) => v ? String(v) : 'N/A' },
+        { key: 'fieldName', label: 'Field', format: (v) => v || 'N/A' },
+        { key: 'acres', label: 'Acres', format: (v) => v !== undefined ? v.toFixed(2) : 'N/A' }
+      ], options);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+boundariesCmd
+  .command('get <boundary-id>')
+  .description('Get a specific boundary')
+  .option('--json', 'Output as JSON')
+  .action(async (boundaryId, options) => {
+    requireAuth();
+    try {
+      const boundary = await withSpinner('Fetching boundary...', () => getBoundary(boundaryId));
+      if (!isTableOutput(options)) { printItem(boundary, options); return; }
+      console.log(chalk.bold('\nBoundary Details\n'));
+      console.log('ID:    ', chalk.cyan(boundary.id || boundaryId));
+      console.log('Field: ', boundary.fieldName || 'N/A');
+      console.log('Acres: ', boundary.acres !== undefined ? `${boundary.acres.toFixed(2)} acres` : 'N/A');
+      console.log('');
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+boundariesCmd
+  .command('update <boundary-id>')
+  .description('Replace a boundary\'s geometry')
+  .requiredOption('--boundary <file>', 'New geometry: GeoJSON, KML or zipped Shapefile with one polygon')
+  .option('--acres <acres>', 'Acreage to record (computed from the polygon when omitted)')
+  .option('--dry-run', 'Show the change without sending it')
+  .option('--yes', 'Skip the confirmation prompt')
+  .option('--json', 'Output as JSON')
+  .action(async (boundaryId, options) => {
+    requireAuth();
+    try {
+      const prepared = await readSingleBoundary(options.boundary, {
+        acres: options.acres !== undefined ? positiveNumber(options.acres, '--acres') : undefined,
+        name: boundaryId
+      });
+      const changes = { geometry: prepared.geometry, acres: prepared.acres };
+      const { record, etag } = await withSpinner('Fetching boundary...', () => getBoundaryVersion(boundaryId));
+      if (!(await reviewChange(options, { action: 'Update boundary', target: boundaryId, before: record, after: changes }))) return;
+      const boundary = await withSpinner('Updating boundary...', () => updateBoundary(boundaryId, changes, { etag }));
+      if (!isTableOutput(options)) { printItem(boundary, options); return; }
+      printSuccess(`Boundary updated: ${chalk.bold(boundaryId)}`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+boundariesCmd
+  .command('export [boundary-id]')
+  .description('Export boundary geometry (all boundaries when no ID is given)')
+  .option('--format <format>', 'geojson, shapefile or kml', 'geojson')
+  .option('--dest <path>', 'Destination file')
+  .option('--json', 'Output as JSON')
+  .action(async (boundaryId, options) => {
+    requireAuth();
+    try {
+      await exportGeometry('boundaries', boundaryId, options);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+boundariesCmd
+  .command('analyze [boundary-id]')
+  .description('Compute area, perimeter and centroid, and flag overlaps and acreage mismatches')
+  .option('--tolerance <pct>', 'Allowed difference between reported and computed acres, in percent', '5')
+  .option('--json', 'Output as JSON')
+  .action(async (boundaryId, options) => {
+    requireAuth();
+    try {
+      const tolerance = nonNegativeNumber(options.tolerance, '--tolerance');
+      const features = await withSpinner('Fetching boundaries...', () => collectBoundaryFeatures(boundaryId));
+      const analysis = analyzeBoundaries(features, { tolerance });
+      printList(analysis, [
+        { key: 'id', label: 'ID', format: (v) => v ? String(v) : 'N/A' },
+        { key: 'field', label: 'Field', format: (v) => v || 'N/A' },
+        { key: 'farm', label: 'Farm', format: (v) => v || 'N/A' },
+        { key: 'reportedAcres', label: 'Reported ac', format: (v) => typeof v === 'number' ? v.toFixed(2) : 'N/A' },
+        { key: 'computedAcres', label: 'Computed ac', format: (v) => v !== null ? v.toFixed(2) : 'N/A' },
+        { key: 'hectares', label: 'Hectares', format: (v) => v !== null ? v.toFixed(2) : 'N/A' },
+        { key: 'perimeterMeters', label: 'Perimeter (m)', format: (v) => v !== null ? v.toFixed(0) : 'N/A' },
+        { key: 'centroid', label: 'Centroid', format: (v) => v ? `${v.lat.toFixed(5)}, ${v.lon.toFixed(5)}` : 'N/A' },
+        { key: 'issues', label: 'Issues', format: (v) => v.length > 0 ? v.join('; ') : 'ok' }
+      ], options);
+      if (!isTableOutput(options)) return;
+      if (analysis.overlaps.length > 0) {
+        console.log(chalk.bold('\nOverlaps\n'));
+        analysis.overlaps.forEach(overlap => {
+          console.log(chalk.yellow(`  ${overlap.a} ↔ ${overlap.b}`) + chalk.dim(` (${overlap.farm}) ~${overlap.overlapAcres} ac`));
+        });
+      }
+      if (analysis.issueCount > 0) {
+        console.log(chalk.yellow(`\n${analysis.issueCount} boundary(ies) need attention`));
+      } else {
+        printSuccess('No boundary issues found');
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// HARVEST ACTIVITIES
+// ============================================================
+
+const harvestCmd = program.command('harvest').description('View harvest activities');
+
+harvestCmd
+  .command('list')
+  .description('List harvest activities')
+  .option('--limit <n>', 'Results per page', '50')
+  .option('--page-token <token>', 'Resume from a next-page token')
+  .option('--all', 'Follow next-page tokens until every result is fetched')
+  .option('--max <n>', 'Stop after this many results across pages')
+  .option('--field <field>', 'Only activities on this field (ID or name)')
+  .option('--farm <farm>', 'Only activities on fields of this farm (ID or name)')
+  .option('--crop <crop>', 'Only activities for this crop (e.g. CORN)')
+  .option('--season <year>', 'Only activities that started in this year')
+  .option('--since <date>', 'Only activities on or after this date (YYYY-MM-DD or ISO 8601)')
+  .option('--until <date>', 'Only activities on or before this date (YYYY-MM-DD or ISO 8601)')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      const data = await withSpinner('Fetching harvest activities...', async () =>
+        listHarvestActivities({ ...paginationOptions(options), ...(await buildActivityFilter(options)) })
+      );
+      printList(data, [
+        { key: 'id', label: 'ID', format: (v) => v ? String(v) : 'N/A' },
+        { key: 'fieldName', label: 'Field', format: (v) => v || 'N/A' },
+        { key: 'crop', label: 'Crop', format: (v) => v || 'N/A' },
+        { key: 'startTime', label: 'Start', format: (v) => v ? new Date(v).toLocaleDateString() : 'N/A' },
+        { key: 'area', label: 'Area (ac)', format: (v) => v !== undefined ? v.toFixed(2) : 'N/A' }
+      ], options);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+harvestCmd
+  .command('get <activity-id>')
+  .description('Get a specific harvest activity')
+  .option('--json', 'Output as JSON')
+  .action(async (activityId, options) => {
+    requireAuth();
+    try {
+      const activity = await withSpinner('Fetching harvest activity...', () => getHarvestActivity(activityId));
+      if (!isTableOutput(options)) { printItem(activity, options); return; }
+      console.log(chalk.bold('\nHarvest Activity\n'));
+      console.log('ID:    ', chalk.cyan(activity.id || activityId));
+      console.log('Field: ', activity.fieldName || 'N/A');
+      console.log('Crop:  ', activity.crop || 'N/A');
+      console.log('Start: ', activity.startTime ? new Date(activity.startTime).toLocaleString() : 'N/A');
+      console.log('Area:  ', activity.area !== undefined ? `${activity.area.toFixed(2)} acres` : 'N/A');
+      console.log('');
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+harvestCmd
+  .command('download <activity-id>')
+  .description('Download the raw as-harvested layer data')
+  .option('--dest <path>', 'Destination file (default: harvest-<activity-id>.zip)')
+  .option('--chunk-size <mb>', 'Download chunk size in MB', '5')
+  .option('--restart', 'Discard any partial download and start over')
+  .option('--parse', 'Parse the layer into a normalized point table')
+  .option('--points <file>', 'Write parsed points to this .csv or .json file (implies --parse)')
+  .option('--json', 'Output as JSON')
+  .action(async (activityId, options) => {
+    requireAuth();
+    try {
+      await downloadActivityLayer('harvest', activityId, options);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+harvestCmd
+  .command('analyze <activity-id>')
+  .description('Clean the harvest points, grid them over the field and report yield statistics')
+  .option('--input <file>', 'Analyze an already downloaded layer file instead of downloading it')
+  .option('--cell <m>', 'Grid cell size in meters', '10')
+  .option('--radius <m>', 'Interpolation search radius in meters (default: twice the point spacing)')
+  .option('--power <n>', 'Inverse-distance weighting power', '2')
+  .option('--flow-delay <records>', 'Shift yield back this many records to undo grain flow delay', '0')
+  .option('--min-speed <speed>', 'Drop records slower than this (layer speed units)', '1')
+  .option('--max-speed <speed>', 'Drop records faster than this (layer speed units)', '10')
+  .option('--edge-buffer <m>', 'Drop records within this many meters of the boundary', '10')
+  .option('--sd <n>', 'Drop yields more than this many standard deviations from the mean', '3')
+  .option('--zones <file>', 'Report statistics per zone polygon (GeoJSON, KML or zipped Shapefile)')
+  .option('--zone-property <key>', 'Zone property naming each zone (default: zone, id or name)')
+  .option('--classes <n>', 'Without --zones, report this many equal-count yield classes', '3')
+  .option('--grid <file>', 'Grid output: .geojson cells or .asc ASCII grid (default: harvest-<activity-id>-grid.geojson)')
+  .option('--summary <file>', 'CSV summary (default: harvest-<activity-id>-summary.csv)')
+  .option('--append', 'Append to an existing summary CSV, e.g. to compare seasons')
+  .option('--json', 'Output as JSON')
+  .action(async (activityId, options) => {
+    requireAuth();
+    try {
+      const activity = await withSpinner('Fetching harvest activity...', () => getHarvestActivity(activityId));
+      const warnings = [];
+      let boundary = null;
+      if (activity.fieldId) {
+        try {
+          boundary = (await withSpinner('Fetching field boundary...', () => fetchFieldBoundary(activity.fieldId))).geometry;
+        } catch (error) {
+          if (!(error instanceof NotFoundError || error instanceof ValidationError)) throw error;
+          warnings.push(`No boundary for field ${activity.fieldId}; the grid covers the points' extent and edge cleaning is skipped.`);
+        }
+      } else {
+        warnings.push('Activity has no field; the grid covers the points\' extent and edge cleaning is skipped.');
+      }
+      const zones = options.zones ? await readZones(options.zones, { zoneProperty: options.zoneProperty }) : undefined;
+
+      let points;
+      if (options.input) {
+        points = await withSpinner('Parsing layer data...', () => parseLayerFile(options.input, 'harvest'));
+      } else {
+        const dir = await mkdtemp(join(tmpdir(), 'climatecom-'));
+        try {
+          const path = join(dir, `harvest-${activityId}`);
+          await withSpinner('Downloading harvest data...', () => downloadLayer('harvest', activityId, path));
+          points = await withSpinner('Parsing layer data...', () => parseLayerFile(path, 'harvest'));
+        } finally {
+          await rm(dir, { recursive: true, force: true });
+        }
+      }
+      if (points.every(point => point.yield === null)) throw new ValidationError('The harvest layer has no yield column.');
+
+      const analysis = await withSpinner(`Analyzing ${points.length} point(s)...`, async () => analyzeYield(points, {
+        boundary,
+        flowDelay: parseInt(options.flowDelay),
+        minSpeed: parseFloat(options.minSpeed),
+        maxSpeed: parseFloat(options.maxSpeed),
+        edgeBuffer: parseFloat(options.edgeBuffer),
+        sd: parseFloat(options.sd),
+        cell: parseFloat(options.cell),
+        radius: options.radius !== undefined ? parseFloat(options.radius) : undefined,
+        power: parseFloat(options.power),
+        zones,
+        classes: parseInt(options.classes)
+      }));
+      const grid = await writeGrid(analysis.grid, options.grid || `harvest-${activityId}-grid.geojson`);
+      const summary = await writeSummary(analysis, { ...activity, id: activity.id || activityId }, options.summary || `harvest-${activityId}-summary.csv`, { append: options.append });
+
+      const { cleaning, stats } = analysis;
+      if (!isTableOutput(options)) {
+        printItem({
+          activityId,
+          fieldId: activity.fieldId ?? null,
+          field: activity.fieldName ?? null,
+          cleaning,
+          stats,
+          grid: { path: grid.path, format: grid.format, cell: analysis.grid.cell, radius: analysis.grid.radius, columns: analysis.grid.columns, rows: analysis.grid.rows },
+          zones: analysis.zones,
+          summaryPath: summary.path,
+          warnings
+        }, options);
+        return;
+      }
+      warnings.forEach(warning => console.log(chalk.yellow(`! ${warning}`)));
+      const removed = Object.entries(cleaning.removed).filter(([, count]) => count > 0).map(([reason, count]) => `${count} ${reason}`);
+      console.log(chalk.bold(`\nYield Analysis — ${activity.fieldName || activity.fieldId || activityId}\n`));
+      console.log('Points:  ', `${cleaning.kept} of ${cleaning.total} kept${removed.length > 0 ? chalk.dim(` (removed: ${removed.join(', ')})`) : ''}`);
+      console.log('Grid:    ', `${stats.cells} cells of ${analysis.grid.cell} m, ${stats.acres} ac${stats.emptyCells > 0 ? chalk.dim(` (${stats.emptyCells} without data)`) : ''}`);
+      console.log('Mean:    ', String(stats.mean));
+      console.log('Median:  ', String(stats.median));
+      console.log('CV:      ', stats.cv !== null ? `${stats.cv}%` : 'N/A');
+      console.log('Range:   ', `${stats.min} – ${stats.max}`);
+      console.log('');
+      printTable(analysis.zones, [
+        { key: 'zone', label: 'Zone' },
+        { key: 'range', label: 'Yield range', format: (v) => v ? `${v[0]} – ${v[1]}` : '' },
+        { key: 'acres', label: 'Acres', format: (v) => v.toFixed(2) },
+        { key: 'mean', label: 'Mean', format: (v) => v ?? 'N/A' },
+        { key: 'median', label: 'Median', format: (v) => v ?? 'N/A' },
+        { key: 'cv', label: 'CV %', format: (v) => v ?? 'N/A' }
+      ]);
+      console.log('');
+      printSuccess(`Wrote grid to ${chalk.bold(grid.path)}`);
+      printSuccess(`${options.append ? 'Appended' : 'Wrote'} summary to ${chalk.bold(summary.path)}`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// PLANTING ACTIVITIES
+// ============================================================
+
+const plantingCmd = program.command('planting').description('View planting activities');
+
+plantingCmd
+  .command('list')
+  .description('List planting activities')
+  .option('--limit <n>', 'Results per page', '50')
+  .option('--page-token <token>', 'Resume from a next-page token')
+  .option('--all', 'Follow next-page tokens until every result is fetched')
+  .option('--max <n>', 'Stop after this many results across pages')
+  .option('--field <field>', 'Only activities on this field (ID or name)')
+  .option('--farm <farm>', 'Only activities on fields of this farm (ID or name)')
+  .option('--crop <crop>', 'Only activities for this crop (e.g. CORN)')
+  .option('--season <year>', 'Only activities that started in this year')
+  .option('--since <date>', 'Only activities on or after this date (YYYY-MM-DD or ISO 8601)')
+  .option('--until <date>', 'Only activities on or before this date (YYYY-MM-DD or ISO 8601)')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      const data = await withSpinner('Fetching planting activities...', async () =>
+        listPlantingActivities({ ...paginationOptions(options), ...(await buildActivityFilter(options)) })
+      );
+      printList(data, [
+        { key: 'id', label: 'ID', format: (v) => v ? String(v) : 'N/A' },
+        { key: 'fieldName', label: 'Field', format: (v) => v || 'N/A' },
+        { key: 'crop', label: 'Crop', format: (v) => v || 'N/A' },
+        { key: 'startTime', label: 'Start', format: (v) => v ? new Date(v).toLocaleDateString() : 'N/A' },
+        { key: 'area', label: 'Area (ac)', format: (v) => v !== undefined ? v.toFixed(2) : 'N/A' }
+      ], options);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+plantingCmd
+  .command('get <activity-id>')
+  .description('Get a specific planting activity')
+  .option('--json', 'Output as JSON')
+  .action(async (activityId, options) => {
+    requireAuth();
+    try {
+      const activity = await withSpinner('Fetching planting activity...', () => getPlantingActivity(activityId));
+      if (!isTableOutput(options)) { printItem(activity, options); return; }
+      console.log(chalk.bold('\nPlanting Activity\n'));
+      console.log('ID:    ', chalk.cyan(activity.id || activityId));
+      console.log('Field: ', activity.fieldName || 'N/A');
+      console.log('Crop:  ', activity.crop || 'N/A');
+      console.log('Start: ', activity.startTime ? new Date(activity.startTime).toLocaleString() : 'N/A');
+      console.log('Area:  ', activity.area !== undefined ? `${activity.area.toFixed(2)} acres` : 'N/A');
+      console.log('');
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+plantingCmd
+  .command('download <activity-id>')
+  .description('Download the raw as-planted layer data')
+  .option('--dest <path>', 'Destination file (default: planting-<activity-id>.zip)')
+  .option('--chunk-size <mb>', 'Download chunk size in MB', '5')
+  .option('--restart', 'Discard any partial download and start over')
+  .option('--parse', 'Parse the layer into a normalized point table')
+  .option('--points <file>', 'Write parsed points to this .csv or .json file (implies --parse)')
+  .option('--json', 'Output as JSON')
+  .action(async (activityId, options) => {
+    requireAuth();
+    try {
+      await downloadActivityLayer('planting', activityId, options);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// APPLICATION ACTIVITIES
+// ============================================================
+
+const applicationCmd = program.command('application').description('View application (as-applied) activities');
+
+applicationCmd
+  .command('list')
+  .description('List application activities')
+  .option('--limit <n>', 'Results per page', '50')
+  .option('--page-token <token>', 'Resume from a next-page token')
+  .option('--all', 'Follow next-page tokens until every result is fetched')
+  .option('--max <n>', 'Stop after this many results across pages')
+  .option('--field <field>', 'Only activities on this field (ID or name)')
+  .option('--farm <farm>', 'Only activities on fields of this farm (ID or name)')
+  .option('--crop <crop>', 'Only activities for this crop (e.g. CORN)')
+  .option('--season <year>', 'Only activities that started in this year')
+  .option('--since <date>', 'Only activities on or after this date (YYYY-MM-DD or ISO 8601)')
+  .option('--until <date>', 'Only activities on or before this date (YYYY-MM-DD or ISO 8601)')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      const data = await withSpinner('Fetching application activities...', async () =>
+        listApplicationActivities({ ...paginationOptions(options), ...(await buildActivityFilter(options)) })
+      );
+      printList(data, [
+        { key: 'id', label: 'ID', format: (v) => v ? String(v) : 'N/A' },
+        { key: 'fieldName', label: 'Field', format: (v) => v || 'N/A' },
+        { key: 'product', label: 'Product', format: (v) => v || 'N/A' },
+        { key: 'startTime', label: 'Start', format: (v) => v ? new Date(v).toLocaleDateString() : 'N/A' },
+        { key: 'area', label: 'Area (ac)', format: (v) => v !== undefined ? v.toFixed(2) : 'N/A' }
+      ], options);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+applicationCmd
+  .command('get <activity-id>')
+  .description('Get a specific application activity')
+  .option('--json', 'Output as JSON')
+  .action(async (activityId, options) => {
+    requireAuth();
+    try {
+      const activity = await withSpinner('Fetching application activity...', () => getApplicationActivity(activityId));
+      if (!isTableOutput(options)) { printItem(activity, options); return; }
+      console.log(chalk.bold('\nApplication Activity\n'));
+      console.log('ID:      ', chalk.cyan(activity.id || activityId));
+      console.log('Field:   ', activity.fieldName || 'N/A');
+      console.log('Product: ', activity.product || 'N/A');
+      console.log('Rate:    ', activity.rate !== undefined ? `${activity.rate} ${activity.rateUnit || ''}`.trim() : 'N/A');
+      console.log('Start:   ', activity.startTime ? new Date(activity.startTime).toLocaleString() : 'N/A');
+      console.log('Area:    ', activity.area !== undefined ? `${activity.area.toFixed(2)} acres` : 'N/A');
+      console.log('');
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+applicationCmd
+  .command('download <activity-id>')
+  .description('Download the raw as-applied layer data')
+  .option('--dest <path>', 'Destination file (default: application-<activity-id>.zip)')
+  .option('--chunk-size <mb>', 'Download chunk size in MB', '5')
+  .option('--restart', 'Discard any partial download and start over')
+  .option('--parse', 'Parse the layer into a normalized point table')
+  .option('--points <file>', 'Write parsed points to this .csv or .json file (implies --parse)')
+  .option('--json', 'Output as JSON')
+  .action(async (activityId, options) => {
+    requireAuth();
+    try {
+      await downloadActivityLayer('application', activityId, options);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// SCOUTING
+// ============================================================
+
+const ATTACHMENT_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/heic': '.heic',
+  'application/pdf': '.pdf',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a'
+};
+
+function attachmentFileName(attachment, contentType) {
+  if (attachment.filename) return basename(attachment.filename);
+  const type = String(contentType || attachment.contentType || '').split(';')[0].trim().toLowerCase();
+  return `${attachment.id}${ATTACHMENT_EXTENSIONS[type] || ''}`;
+}
+
+const scoutingCmd = program.command('scouting').description('View scouting observations and their attachments');
+
+scoutingCmd
+  .command('list')
+  .description('List scouting observations')
+  .option('--limit <n>', 'Results per page', '50')
+  .option('--page-token <token>', 'Resume from a next-page token')
+  .option('--all', 'Follow next-page tokens until every result is fetched')
+  .option('--max <n>', 'Stop after this many results across pages')
+  .option('--field <field>', 'Only observations on this field (ID or name)')
+  .option('--farm <farm>', 'Only observations on fields of this farm (ID or name)')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      const data = await withSpinner('Fetching scouting observations...', async () =>
+        listScoutingObservations({ ...paginationOptions(options), ...(await buildActivityFilter({ field: options.field, farm: options.farm })) })
+      );
+      printList(data, [
+        { key: 'id', label: 'ID', format: (v) => v ? String(v) : 'N/A' },
+        { key: 'fieldName', label: 'Field', format: (v) => v || 'N/A' },
+        { key: 'title', label: 'Title', format: (v) => v || 'N/A' },
+        { key: 'observedAt', label: 'Observed', format: (v) => v ? new Date(v).toLocaleDateString() : 'N/A' },
+        { key: 'attachmentCount', label: 'Attachments', format: (v) => v !== undefined ? String(v) : 'N/A' }
+      ], options);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+scoutingCmd
+  .command('get <observation-id>')
+  .description('Get a specific scouting observation')
+  .option('--json', 'Output as JSON')
+  .action(async (observationId, options) => {
+    requireAuth();
+    try {
+      const observation = await withSpinner('Fetching scouting observation...', () => getScoutingObservation(observationId));
+      if (!isTableOutput(options)) { printItem(observation, options); return; }
+      const [lon, lat] = observation.location?.coordinates || [];
+      console.log(chalk.bold('\nScouting Observation\n'));
+      console.log('ID:          ', chalk.cyan(observation.id || observationId));
+      console.log('Field:       ', observation.fieldName || 'N/A');
+      console.log('Title:       ', observation.title || 'N/A');
+      console.log('Notes:       ', observation.notes || 'N/A');
+      console.log('Observed:    ', observation.observedAt ? new Date(observation.observedAt).toLocaleString() : 'N/A');
+      console.log('Location:    ', lat !== undefined ? `${lat}, ${lon}` : 'N/A');
+      console.log('Attachments: ', observation.attachmentCount !== undefined ? String(observation.attachmentCount) : 'N/A');
+      console.log('');
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+scoutingCmd
+  .command('attachments <observation-id>')
+  .description('List the photos and files attached to an observation')
+  .option('--json', 'Output as JSON')
+  .action(async (observationId, options) => {
+    requireAuth();
+    try {
+      const data = await withSpinner('Fetching attachments...', () => listScoutingAttachments(observationId));
+      printList(data, [
+        { key: 'id', label: 'ID', format: (v) => v ? String(v) : 'N/A' },
+        { key: 'contentType', label: 'Type', format: (v) => v || 'N/A' },
+        { key: 'length', label: 'Size', format: (v) => v !== undefined ? formatBytes(v) : 'N/A' },
+        { key: 'createdAt', label: 'Created', format: (v) => v ? new Date(v).toLocaleString() : 'N/A' }
+      ], options);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+scoutingCmd
+  .command('download <observation-id>')
+  .description('Download an observation\'s attachments')
+  .option('--attachment <id>', 'Only this attachment')
+  .option('--dest <dir>', 'Directory to write into (default: scouting-<observation-id>)')
+  .option('--json', 'Output as JSON')
+  .action(async (observationId, options) => {
+    requireAuth();
+    try {
+      const dest = options.dest || `scouting-${observationId}`;
+      const { results } = await withSpinner('Fetching attachments...', () => listScoutingAttachments(observationId));
+      const attachments = options.attachment ? results.filter(attachment => attachment.id === options.attachment) : results;
+      if (options.attachment && attachments.length === 0) throw new NotFoundError(`Attachment ${options.attachment} not found on observation ${observationId}.`);
+      await mkdir(dest, { recursive: true });
+      const spinner = ora('Downloading attachments...').start();
+      const written = [];
+      try {
+        for (const attachment of attachments) {
+          spinner.text = `Downloading attachments... (${written.length + 1}/${attachments.length})`;
+          const { data, contentType } = await fetchScoutingAttachment(observationId, attachment.id);
+          const path = join(dest, attachmentFileName(attachment, contentType));
+          await writeFile(path, data);
+          written.push({ id: attachment.id, path, bytes: data.length });
+        }
+      } finally {
+        spinner.stop();
+      }
+      if (!isTableOutput(options)) { printList({ results: written, nextToken: null }, [], options); return; }
+      if (written.length === 0) {
+        console.log(chalk.yellow('Observation has no attachments.'));
+        return;
+      }
+      written.forEach(file => printSuccess(`${chalk.bold(file.path)} ${chalk.dim(formatBytes(file.bytes))}`));
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// SOIL SAMPLES
+// ============================================================
+
+// Mean, min and max per measured parameter across a result's samples
+function summarizeMeasurements(samples = []) {
+  const byParameter = new Map();
+  samples.forEach(sample => (sample.measurements || []).forEach(({ parameter, value, unit }) => {
+    const number = Number(value);
+    if (!parameter || value === null || value === '' || Number.isNaN(number)) return;
+    if (!byParameter.has(parameter)) byParameter.set(parameter, { parameter, unit: unit ?? null, values: [] });
+    byParameter.get(parameter).values.push(number);
+  }));
+  return [...byParameter.values()].map(({ parameter, unit, values }) => ({
+    parameter,
+    unit,
+    samples: values.length,
+    mean: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 100) / 100,
+    min: Math.min(...values),
+    max: Math.max(...values)
+  }));
+}
+
+const soilCmd = program.command('soil').description('View soil sampling results');
+
+soilCmd
+  .command('list')
+  .description('List soil sampling results')
+  .option('--limit <n>', 'Results per page', '50')
+  .option('--page-token <token>', 'Resume from a next-page token')
+  .option('--all', 'Follow next-page tokens until every result is fetched')
+  .option('--max <n>', 'Stop after this many results across pages')
+  .option('--field <field>', 'Only results for this field (ID or name)')
+  .option('--farm <farm>', 'Only results for fields of this farm (ID or name)')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      const data = await withSpinner('Fetching soil sampling results...', async () =>
+        listSoilSamples({ ...paginationOptions(options), ...(await buildActivityFilter({ field: options.field, farm: options.farm })) })
+      );
+      printList(data, [
+        { key: 'id', label: 'ID', format: (v) => v ? String(v) : 'N/A' },
+        { key: 'fieldName', label: 'Field', format: (v) => v || 'N/A' },
+        { key: 'sampledAt', label: 'Sampled', format: (v) => v ? new Date(v).toLocaleDateString() : 'N/A' },
+        { key: 'labName', label: 'Lab', format: (v) => v || 'N/A' },
+        { key: 'sampleCount', label: 'Samples', format: (v) => v !== undefined ? String(v) : 'N/A' }
+      ], options);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+soilCmd
+  .command('get <result-id>')
+  .description('Get a soil sampling result with per-parameter summaries')
+  .option('--json', 'Output as JSON')
+  .action(async (resultId, options) => {
+    requireAuth();
+    try {
+      const result = await withSpinner('Fetching soil sampling result...', () => getSoilSample(resultId));
+      if (!isTableOutput(options)) { printItem(result, options); return; }
+      console.log(chalk.bold('\nSoil Sampling Result\n'));
+      console.log('ID:      ', chalk.cyan(result.id || resultId));
+      console.log('Field:   ', result.fieldName || 'N/A');
+      console.log('Sampled: ', result.sampledAt ? new Date(result.sampledAt).toLocaleDateString() : 'N/A');
+      console.log('Lab:     ', result.labName || 'N/A');
+      console.log('Samples: ', String(result.samples?.length ?? result.sampleCount ?? 'N/A'));
+      console.log('');
+      const summary = summarizeMeasurements(result.samples);
+      if (summary.length > 0) {
+        printTable(summary, [
+          { key: 'parameter', label: 'Parameter' },
+          { key: 'unit', label: 'Unit', format: (v) => v || '' },
+          { key: 'samples', label: 'Samples' },
+          { key: 'mean', label: 'Mean' },
+          { key: 'min', label: 'Min' },
+          { key: 'max', label: 'Max' }
+        ]);
+        console.log('');
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// UPLOADS
+// ============================================================
+
+const uploadsCmd = program.command('uploads').description('Upload prescriptions and ADAPT files to FieldView');
+
+function printUploadStatus(status) {
+  const value = String(status.status || 'UNKNOWN').toUpperCase();
+  const color = value === 'SUCCESS' ? chalk.green : TERMINAL_STATUSES.includes(value) ? chalk.red : chalk.yellow;
+  console.log('Upload ID: ', chalk.cyan(status.id));
+  console.log('Status:    ', color(value));
+  if (status.message) console.log('Message:   ', status.message);
+}
+
+uploadsCmd
+  .command('create <file>')
+  .description('Upload a zipped prescription or ADAPT file with FieldView\'s chunked upload protocol')
+  .option('--type <type>', `Upload type: ${Object.keys(UPLOAD_TYPES).join(', ')}`)
+  .option('--content-type <mime>', 'Explicit FieldView content type (overrides --type)')
+  .option('--chunk-size <mb>', 'Upload chunk size in MB (at most 5)', '5')
+  .option('--no-wait', 'Return once the bytes are sent instead of waiting for processing')
+  .option('--wait-timeout <duration>', 'Give up waiting for processing after this long', '10m')
+  .option('--json', 'Output as JSON')
+  .action(async (file, options) => {
+    requireAuth();
+    try {
+      const contentType = resolveContentType({ type: options.type, contentType: options.contentType, path: file });
+      const waitTimeout = parseDuration(options.waitTimeout);
+      const spinner = ora('Uploading...').start();
+      let upload;
+      try {
+        upload = await uploadFile(file, {
+          contentType,
+          chunkSize: Math.round(parseFloat(options.chunkSize) * 1024 * 1024),
+          onProgress: ({ uploaded, total }) => {
+            spinner.text = `Uploading... ${formatBytes(uploaded)} / ${formatBytes(total)} (${Math.floor(uploaded / total * 100)}%)`;
+          }
+        });
+      } finally {
+        spinner.stop();
+      }
+      if (!options.wait) {
+        if (!isTableOutput(options)) { printItem({ ...upload, status: 'UPLOADED' }, options); return; }
+        printSuccess(`Uploaded ${formatBytes(upload.bytes)} as ${chalk.bold(upload.id)}`);
+        console.log(chalk.dim(`Check processing with: climatecom uploads status ${upload.id}`));
+        return;
+      }
+      const status = await withSpinner('Waiting for FieldView to process the upload...', () =>
+        waitForUpload(upload.id, { timeout: waitTimeout })
+      );
+      const value = String(status.status).toUpperCase();
+      if (!isTableOutput(options)) printItem({ ...upload, ...status }, options);
+      else {
+        printSuccess(`Uploaded ${formatBytes(upload.bytes)}`);
+        printUploadStatus(status);
+      }
+      if (status.timedOut) {
+        if (isTableOutput(options)) console.log(chalk.yellow(`Still processing. Check later with: climatecom uploads status ${upload.id}`));
+        return;
+      }
+      if (value !== 'SUCCESS') {
+        throw new ValidationError(`Upload ${upload.id} was rejected (${value})${status.message ? `: ${status.message}` : ''}`, { body: status });
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+uploadsCmd
+  .command('status <upload-id>')
+  .description('Show the processing status of an upload')
+  .option('--json', 'Output as JSON')
+  .action(async (uploadId, options) => {
+    requireAuth();
+    try {
+      const status = await withSpinner('Fetching upload status...', () => getUploadStatus(uploadId));
+      if (!isTableOutput(options)) { printItem(status, options); return; }
+      printUploadStatus(status);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// PRESCRIPTIONS
+// ============================================================
+
+const prescriptionsCmd = program.command('prescriptions').description('Build variable-rate prescriptions from zone polygons');
+
+prescriptionsCmd
+  .command('create')
+  .description('Clip rate zones to a field boundary and write a prescription package')
+  .requiredOption('--field <field-id>', 'Field whose boundary the zones are clipped to')
+  .requiredOption('--zones <file>', 'Zone polygons (GeoJSON, KML or zipped Shapefile)')
+  .requiredOption('--rates <csv>', 'CSV with a zone column and a rate column')
+  .option('--zone-property <key>', 'Zone property matching the rates file (default: zone, id or name)')
+  .option('--unit <unit>', `Rate unit: ${Object.keys(RATE_UNITS).join(', ')}`, 'seeds/ac')
+  .option('--product <name>', 'Product name written to ISOXML')
+  .option('--default-rate <rate>', 'Rate for the parts of the field no zone covers')
+  .option('--min-coverage <pct>', 'Fail when zones cover less of the field than this', '99')
+  .option('--format <format>', 'shapefile or isoxml', 'shapefile')
+  .option('--dest <path>', 'Destination .zip (default: rx-<field-id>.zip)')
+  .option('--upload', 'Upload the Shapefile package to FieldView once written')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      const format = options.format.toLowerCase();
+      if (options.upload && format !== 'shapefile') throw new ValidationError('--upload sends Shapefile prescriptions; use --format shapefile.');
+      const defaultRate = options.defaultRate !== undefined ? Number(options.defaultRate) : undefined;
+      if (defaultRate !== undefined && !(defaultRate >= 0)) throw new ValidationError(`Invalid --default-rate "${options.defaultRate}".`);
+      const minCoverage = Number(options.minCoverage);
+      if (!(minCoverage >= 0 && minCoverage <= 100)) throw new ValidationError(`Invalid --min-coverage "${options.minCoverage}". Use a percentage from 0 to 100.`);
+
+      const [zones, rates] = await Promise.all([
+        readZones(options.zones, { zoneProperty: options.zoneProperty }),
+        readRates(options.rates)
+      ]);
+      const boundary = await withSpinner('Fetching field boundary...', () => fetchFieldBoundary(options.field));
+      const prescription = buildPrescription({ boundary, zones, rates, unit: options.unit, defaultRate, minCoverage });
+      const dest = options.dest || `rx-${options.field}.zip`;
+      const written = await writePrescription(prescription, { boundary, format, dest, unit: options.unit, product: options.product });
+      const upload = options.upload
+        ? await withSpinner('Uploading prescription...', () => uploadFile(dest, { contentType: UPLOAD_TYPES.prescription }))
+        : null;
+
+      const { summary } = prescription;
+      if (!isTableOutput(options)) {
+        printItem({ ...summary, path: written.path, format, ...(upload && { uploadId: upload.id }) }, options);
+        return;
+      }
+      summary.warnings.forEach(warning => console.log(chalk.yellow(`! ${warning}`)));
+      printTable(summary.results, [
+        { key: 'zone', label: 'Zone', format: (v, row) => row.filled ? `${v} (fill)` : v },
+        { key: 'rate', label: `Rate (${summary.unit})` },
+        { key: 'acres', label: 'Acres', format: (v) => v.toFixed(2) },
+        { key: 'product', label: `Product (${summary.productUnit})`, format: (v) => v.toLocaleString() }
+      ]);
+      console.log('');
+      console.log('Field:        ', `${summary.field || summary.fieldId} (${summary.fieldAcres.toFixed(2)} ac)`);
+      console.log('Coverage:     ', `${summary.coverage}%${summary.uncoveredAcres > 0 ? chalk.dim(` (${summary.uncoveredAcres} ac without a rate)`) : ''}`);
+      console.log('Total product:', `${summary.totalProduct.toLocaleString()} ${summary.productUnit}`);
+      console.log('Average rate: ', `${summary.averageRate} ${summary.unit}`);
+      console.log('');
+      printSuccess(`Wrote ${format === 'isoxml' ? 'ISOXML' : 'Shapefile'} prescription to ${chalk.bold(written.path)}`);
+      if (upload) {
+        printSuccess(`Uploaded as ${chalk.bold(upload.id)}`);
+        console.log(chalk.dim(`Check processing with: climatecom uploads status ${upload.id}`));
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// WEBHOOKS
+// ============================================================
+
+const webhooksCmd = program.command('webhooks').description('Manage FieldView event subscriptions');
+
+webhooksCmd
+  .command('list')
+  .description('List webhook subscriptions')
+  .option('--limit <n>', 'Results per page', '50')
+  .option('--page-token <token>', 'Resume from a next-page token')
+  .option('--all', 'Follow next-page tokens until every result is fetched')
+  .option('--max <n>', 'Stop after this many results across pages')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      const data = await withSpinner('Fetching webhooks...', () =>
+        listWebhooks(paginationOptions(options))
+      );
+      printList(data, [
+        { key: 'id', label: 'ID', format: (v) => v ? String(v) : 'N/A' },
+        { key: 'url', label: 'URL', format: (v) => v || 'N/A' },
+        { key: 'events', label: 'Events', format: (v) => Array.isArray(v) ? v.join(', ') : (v || 'N/A') },
+        { key: 'createdAt', label: 'Created', format: (v) => v ? new Date(v).toLocaleDateString() : 'N/A' }
+      ], options);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+webhooksCmd
+  .command('create')
+  .description('Subscribe a URL to FieldView events')
+  .requiredOption('--url <url>', 'HTTPS endpoint that receives the events')
+  .option('--events <types>', `Comma-separated event types (${WEBHOOK_EVENTS.join(', ')})`, 'harvest.created,planting.created')
+  .option('--secret <secret>', 'Signing secret shared with the receiver (generated when omitted)')
+  .option('--dry-run', 'Show the subscription without creating it')
+  .option('--yes', 'Skip the confirmation prompt')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      try {
+        new URL(options.url);
+      } catch {
+        throw new ValidationError(`Invalid --url "${options.url}".`);
+      }
+      const events = options.events.split(',').map(event => event.trim()).filter(Boolean);
+      const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+      if (events.length === 0 || unknown.length > 0) {
+        throw new ValidationError(`Unknown event type(s): ${unknown.join(', ') || '(none given)'}. Use ${WEBHOOK_EVENTS.join(', ')}.`);
+      }
+      const values = { url: options.url, events };
+      if (!(await reviewChange(options, { action: 'Create webhook', target: options.url, before: null, after: values }))) return;
+      const secret = options.secret || generateSecret();
+      const webhook = await withSpinner('Creating webhook...', () => createWebhook({ ...values, secret }));
+      if (!isTableOutput(options)) { printItem({ ...webhook, secret }, options); return; }
+      printSuccess(`Webhook created: ${chalk.bold(webhook?.id || options.url)}`);
+      if (!options.secret) {
+        console.log('Secret:  ', chalk.cyan(secret));
+        console.log(chalk.dim('Store it now; it is not shown again. Pass it to: climatecom listen --secret <secret>'));
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+webhooksCmd
+  .command('delete <webhook-id>')
+  .description('Delete a webhook subscription')
+  .option('--dry-run', 'Show what would be deleted without sending it')
+  .option('--yes', 'Skip the confirmation prompt')
+  .option('--json', 'Output as JSON')
+  .action(async (webhookId, options) => {
+    requireAuth();
+    try {
+      const webhook = await withSpinner('Fetching webhook...', () => getWebhook(webhookId));
+      if (!(await reviewChange(options, { action: 'Delete webhook', target: webhookId, before: webhook, after: null }))) return;
+      await withSpinner('Deleting webhook...', () => deleteWebhook(webhookId));
+      if (!isTableOutput(options)) { printItem({ id: webhookId, deleted: true }, options); return; }
+      printSuccess(`Webhook deleted: ${chalk.bold(webhookId)}`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+webhooksCmd
+  .command('test <webhook-id>')
+  .description('Ask FieldView to send a signed test event to the subscription')
+  .option('--event <type>', 'Event type to simulate (defaults to the first subscribed type)')
+  .option('--json', 'Output as JSON')
+  .action(async (webhookId, options) => {
+    requireAuth();
+    try {
+      if (options.event && !WEBHOOK_EVENTS.includes(options.event)) {
+        throw new ValidationError(`Unknown event type "${options.event}". Use ${WEBHOOK_EVENTS.join(', ')}.`);
+      }
+      const result = await withSpinner('Sending test event...', () => testWebhook(webhookId, { event: options.event }));
+      if (!isTableOutput(options)) { printItem(result ?? { sent: true }, options); return; }
+      if (result?.delivered === false) {
+        throw new ClimateError(`Test event not accepted by the receiver${result.status ? ` (HTTP ${result.status})` : ''}${result.error ? `: ${result.error}` : ''}`);
+      }
+      printSuccess(`Test event sent to ${chalk.bold(webhookId)}${result?.status ? ` (HTTP ${result.status})` : ''}`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+program
+  .command('listen')
+  .description('Receive webhook events locally, verify signatures and act on each event')
+  .option('--port <port>', 'Port to listen on', '8787')
+  .option('--host <host>', 'Interface to bind', '127.0.0.1')
+  .option('--path <path>', 'URL path that receives deliveries', '/')
+  .option('--secret <secret>', 'Signing secret (default: CLIMATECOM_WEBHOOK_SECRET)')
+  .option('--no-verify', 'Accept unsigned deliveries (local testing only)')
+  .option('--tolerance <duration>', 'Maximum age of a signed delivery', '5m')
+  .option('--no-enrich', 'Do not look up the harvest or planting activity of each event')
+  .option('--exec <command>', 'Run this shell command per event, with the event JSON on stdin')
+  .option('--ndjson <file>', 'Append each event to this NDJSON file')
+  .option('--json', 'Print each event as one JSON line')
+  .action(async (options) => {
+    if (options.enrich) requireAuth();
+    try {
+      const port = parseInt(options.port);
+      if (!(port >= 0 && port <= 65535)) throw new ValidationError(`Invalid --port "${options.port}".`);
+      const secret = options.secret || process.env.CLIMATECOM_WEBHOOK_SECRET;
+      if (options.verify && !secret) {
+        throw new ValidationError('A signing secret is required. Pass --secret, set CLIMATECOM_WEBHOOK_SECRET, or use --no-verify for local testing.');
+      }
+      const path = options.path.startsWith('/') ? options.path : `/${options.path}`;
+      const server = await startReceiver({
+        port,
+        host: options.host,
+        path,
+        secret: options.verify ? secret : null,
+        tolerance: parseDuration(options.tolerance),
+        enrich: options.enrich,
+        onEvent: async (event) => {
+          if (options.exec) {
+            const exitCode = await runEventCommand(options.exec, event);
+            event.exitCode = exitCode;
+            if (exitCode !== 0) console.error(chalk.yellow(`--exec exited with ${exitCode} for event ${event.id ?? event.type}`));
+          }
+          if (options.ndjson) await appendEvent(options.ndjson, event);
+          if (!isTableOutput(options)) {
+            console.log(JSON.stringify(event));
+            return;
+          }
+          const activity = event.activity;
+          const detail = activity
+            ? `${activity.fieldName || activity.fieldId || ''} ${activity.crop || ''} ${activity.id}`.trim()
+            : (event.enrichmentError ? chalk.yellow(event.enrichmentError) : JSON.stringify(event.data ?? {}));
+          console.log(`${chalk.dim(event.receivedAt)} ${chalk.cyan(event.type)}${event.test ? chalk.dim(' (test)') : ''} ${detail}`);
+        },
+        onRejected: ({ status, reason, remoteAddress }) => {
+          console.error(chalk.yellow(`Rejected delivery${remoteAddress ? ` from ${remoteAddress}` : ''}${status ? ` (${status})` : ''}: ${reason}`));
+        }
+      });
+      const { address, port: bound } = server.address();
+      console.error(chalk.bold(`Listening for webhook events on http://${address}:${bound}${path}`) +
+        chalk.dim(options.verify ? '' : ' (signatures NOT verified)'));
+      runUntilStopped();
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// WATCH
+// ============================================================
+
+function describeWatchChange(event) {
+  const record = event.data;
+  const label = [record.name || record.fieldName, record.crop].filter(Boolean).join(' ');
+  const changed = event.changes ? chalk.dim(` (${event.changes.join(', ')})`) : '';
+  return `${label} ${record.id}`.trim() + changed;
+}
+
+program
+  .command('watch [resources...]')
+  .description(`Poll ${RESOURCES.join(', ')} and report each new or changed record once`)
+  .option('--interval <duration>', 'Time between polls', '5m')
+  .option('--once', 'Poll once and exit (e.g. from cron)')
+  .option('--include-existing', 'Report every record found on the first poll instead of only taking a baseline')
+  .option('--reset', 'Forget what was seen before and take a new baseline')
+  .option('--status', 'Show the stored high-water marks without polling')
+  .option('--exec <command>', 'Run this shell command per change, with the change JSON on stdin')
+  .option('--ndjson <file>', 'Append each change to this NDJSON file')
+  .option('--json', 'Print each change as one JSON line')
+  .action(async (resources, options) => {
+    try {
+      if (options.status) {
+        printList(watchStatus(resources.length > 0 ? resources : RESOURCES), [
+          { key: 'resource', label: 'Resource' },
+          { key: 'records', label: 'Known' },
+          { key: 'highWaterMark', label: 'Updated up to', format: (v) => v ? new Date(v).toLocaleString() : 'never' },
+          { key: 'polledAt', label: 'Last poll', format: (v) => v ? new Date(v).toLocaleString() : 'never' }
+        ], options);
+        return;
+      }
+      if (resources.length === 0) throw new ValidationError(`Name what to watch: ${RESOURCES.join(', ')}.`);
+      requireAuth();
+      const interval = parseDuration(options.interval);
+      validateWatch(resources, { interval, once: options.once });
+      if (options.reset) resetWatchState(resources);
+      if (!options.once) {
+        runUntilStopped();
+        console.error(chalk.bold(`Watching ${resources.join(', ')} every ${options.interval}`) + chalk.dim(` (state: ${watchStatePath()})`));
+      }
+      await watchResources(resources, {
+        interval,
+        once: options.once,
+        includeExisting: options.includeExisting,
+        onChange: async (event) => {
+          if (options.exec) {
+            const exitCode = await runEventCommand(options.exec, event, changeEnv(event));
+            event.exitCode = exitCode;
+            if (exitCode !== 0) console.error(chalk.yellow(`--exec exited with ${exitCode} for ${event.type} ${event.recordId}`));
+          }
+          if (options.ndjson) await appendEvent(options.ndjson, event);
+          if (!isTableOutput(options)) {
+            console.log(JSON.stringify(event));
+            return;
+          }
+          console.log(`${chalk.dim(event.detectedAt)} ${chalk.cyan(event.type)} ${describeWatchChange(event)}`);
+        },
+        onPoll: ({ resource, baseline, records }) => {
+          if (baseline && !options.includeExisting) console.error(chalk.dim(`${resource}: baseline of ${records} record(s) taken; reporting changes from now on`));
+        },
+        onError: (error, resource) => {
+          console.error(chalk.yellow(`Polling ${resource} failed, retrying in ${options.interval}: ${error.message}`));
+        }
+      });
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// APPLY
+// ============================================================
+
+const PLAN_SYMBOLS = {
+  create: chalk.green('+ create'),
+  update: chalk.yellow('~ update'),
+  noop: chalk.dim('  unchanged'),
+  error: chalk.red('! error')
+};
+
+function describeChanges(item) {
+  if (item.action === 'error') return item.error;
+  if (item.action === 'noop') return '';
+  return item.changes.map(change => {
+    if (change.key === 'boundary') return 'boundary';
+    if (item.action === 'create') return `${change.key}=${change.after}`;
+    return `${change.key}: ${change.before ?? '—'} → ${change.after}`;
+  }).join(', ');
+}
+
+program
+  .command('apply <manifest>')
+  .description('Create or update the farms and fields declared in a YAML, JSON or CSV manifest')
+  .option('--dry-run', 'Show the plan without changing anything')
+  .option('--yes', 'Apply without asking for confirmation')
+  .option('--concurrency <n>', 'Maximum parallel requests', String(DEFAULT_CONCURRENCY))
+  .option('--log <file>', 'Append per-item results to this NDJSON file (default: <manifest>.results.ndjson)')
+  .option('--json', 'Output as JSON')
+  .action(async (manifestPath, options) => {
+    requireAuth();
+    try {
+      const concurrency = positiveInteger(options.concurrency, '--concurrency');
+      const logPath = options.log || `${manifestPath}.results.ndjson`;
+      const manifest = await readManifest(manifestPath);
+      const created = await readApplyLog(logPath);
+      const items = await withSpinner('Planning...', () => planManifest(manifest, { created }));
+      const summary = summarizePlan(items);
+      const pending = summary.create + summary.update;
+
+      if (isTableOutput(options) || (!options.yes && !options.dryRun && pending > 0)) {
+        const log = isTableOutput(options) ? console.log : console.error;
+        items.forEach(item => {
+          const detail = describeChanges(item);
+          log(`${PLAN_SYMBOLS[item.action]} ${item.kind} ${chalk.bold(item.name)}${item.farm ? chalk.dim(` (${item.farm})`) : ''}${detail ? `  ${chalk.dim(detail)}` : ''}`);
+        });
+        log(chalk.bold(`\nPlan: ${summary.create} to create, ${summary.update} to update, ${summary.unchanged} unchanged${summary.errors ? `, ${summary.errors} error(s)` : ''}.`));
+      }
+      if (summary.errors > 0) {
+        if (!isTableOutput(options)) printItem({ dryRun: true, summary, plan: items }, options);
+        throw new ValidationError('Fix the errors in the manifest before applying.');
+      }
+      if (options.dryRun || pending === 0) {
+        if (!isTableOutput(options)) { printItem({ dryRun: !!options.dryRun, summary, plan: items }, options); return; }
+        if (pending === 0) printSuccess('Everything is up to date.');
+        return;
+      }
+      if (!options.yes && !(await confirm(`Apply ${pending} change(s)?`))) {
+        console.error(chalk.yellow('Cancelled.'));
+        return;
+      }
+
+      const spinner = ora(`Applying ${pending} change(s)...`).start();
+      let done = 0;
+      let results;
+      try {
+        results = await executePlan(items, {
+          concurrency,
+          onResult: () => { spinner.text = `Applying changes (${++done}/${items.length})...`; }
+        });
+      } finally {
+        spinner.stop();
+      }
+      await appendApplyLog(logPath, results);
+      const failed = results.filter(result => result.status === 'failed' || result.status === 'skipped');
+      printList({ results, failed: failed.length, log: logPath }, [
+        { key: 'kind', label: 'Type' },
+        { key: 'name', label: 'Name' },
+        { key: 'status', label: 'Status' },
+        { key: 'id', label: 'ID', format: (v) => v || '' },
+        { key: 'error', label: 'Error', format: (v) => v || '' }
+      ], options);
+      if (isTableOutput(options)) console.log(chalk.dim(`Results appended to ${logPath}`));
+      if (failed.length > 0) {
+        throw new ClimateError(`${failed.length} item(s) did not apply. Fix the cause and re-run the same command; completed items are left as they are.`);
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// REPORTS
+// ============================================================
+
+const reportCmd = program.command('report').description('Generate grower reports');
+
+const reportColumns = (columns) => columns.map(col => ({ ...col, format: (v) => formatCell(col.key, v) }));
+
+reportCmd
+  .command('season')
+  .description('Join planting and harvest activity per field and crop for one season')
+  .requiredOption('--year <year>', 'Season year (e.g. 2025)')
+  .option('--farm <farm>', 'Only fields of this farm (ID or name)')
+  .option('--by-farm', 'List farm-level totals instead of field rows')
+  .option('--format <format>', `Write a standalone ${REPORT_FORMATS.join(' or ')} report instead of a listing`)
+  .option('--dest <path>', 'Write the --format report to this file instead of stdout')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      const format = options.format?.toLowerCase();
+      if (format && !REPORT_FORMATS.includes(format)) {
+        throw new ValidationError(`Unknown report format "${options.format}". Use ${REPORT_FORMATS.join(' or ')}.`);
+      }
+      const report = await withSpinner(`Building ${options.year} season report...`, () =>
+        buildSeasonReport(options.year, { farm: options.farm })
+      );
+      if (format) {
+        const document = format === 'html' ? renderHtml(report) : renderMarkdown(report);
+        if (!options.dest) {
+          process.stdout.write(document);
+          return;
+        }
+        await writeFile(options.dest, document);
+        printSuccess(`Wrote ${format} report to ${options.dest}`);
+        return;
+      }
+      if (options.byFarm) {
+        printList(report.farms, reportColumns(FARM_COLUMNS), options);
+        return;
+      }
+      if (!isTableOutput(options)) {
+        printList(report, FIELD_COLUMNS, options);
+        return;
+      }
+      console.log(chalk.bold(`\n${report.year} Season — Fields\n`));
+      printTable(report.results, reportColumns(FIELD_COLUMNS));
+      console.log(chalk.bold(`\n${report.year} Season — Farm Totals\n`));
+      printTable(report.farms, reportColumns(FARM_COLUMNS));
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// SERVE
+// ============================================================
+
+program
+  .command('serve')
+  .description('Expose the API as MCP tools over JSON-RPC (stdio by default)')
+  .option('--stdio', 'Speak newline-delimited JSON-RPC on stdin/stdout (default)')
+  .option('--port <port>', 'Listen for JSON-RPC over HTTP POST at /mcp on this port instead')
+  .option('--host <host>', 'Interface to bind with --port', '127.0.0.1')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      if (options.stdio && options.port) throw new ValidationError('Choose either --stdio or --port.');
+      if (options.port) {
+        const port = parseInt(options.port);
+        if (!(port >= 0 && port <= 65535)) throw new ValidationError(`Invalid --port "${options.port}".`);
+        const server = await serveHttp({ port, host: options.host });
+        const { address, port: bound } = server.address();
+        console.error(chalk.dim(`climatecom MCP server listening on http://${address}:${bound}/mcp`));
+        runUntilStopped();
+        return;
+      }
+      console.error(chalk.dim('climatecom MCP server ready on stdio'));
+      await serveStdio();
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// MOCK SERVER
+// ============================================================
+
+const collect = (value, previous) => previous.concat([value]);
+
+program
+  .command('mock-server')
+  .description('Run a local FieldView API stand-in backed by fixtures or recorded responses')
+  .option('--port <port>', 'Port to listen on', '4580')
+  .option('--host <host>', 'Interface to bind', '127.0.0.1')
+  .option('--fixtures <dir>', 'Directory of <resource>.json fixtures (default: bundled sample data)')
+  .option('--fail <rule>', 'Inject failures: <status>[x<count>|x*][@<path>], e.g. 429x2@/v4/fields (repeatable)', collect, [])
+  .option('--error-rate <fraction>', 'Answer this fraction of requests with 503 (e.g. 0.1)')
+  .option('--latency <ms>', 'Delay every response by this many milliseconds')
+  .option('--record <dir>', 'Proxy to --target and append every exchange to <dir>/recordings.ndjson')
+  .option('--target <url>', 'Real API to proxy to with --record', 'https://platform.climate.com')
+  .option('--replay <dir>', 'Serve responses recorded with --record instead of fixtures')
+  .option('--quiet', 'Do not log requests')
+  .action(async (options) => {
+    try {
+      const port = parseInt(options.port);
+      if (!(port >= 0 && port <= 65535)) throw new ValidationError(`Invalid --port "${options.port}".`);
+      const errorRate = options.errorRate !== undefined ? parseFloat(options.errorRate) : 0;
+      if (!(errorRate >= 0 && errorRate <= 1)) throw new ValidationError(`Invalid --error-rate "${options.errorRate}". Use a fraction between 0 and 1.`);
+      const server = await startMockServer({
+        port,
+        host: options.host,
+        fixtures: options.fixtures,
+        failures: options.fail,
+        errorRate,
+        latency: options.latency ? parseInt(options.latency) : 0,
+        record: options.record,
+        replay: options.replay,
+        target: options.target,
+        onRequest: options.quiet ? null : ({ method, url, status, ms }) => {
+          const color = status >= 500 ? chalk.red : status >= 400 ? chalk.yellow : chalk.green;
+          console.error(`${chalk.dim(new Date().toISOString())} ${method} ${url} ${color(status)} ${chalk.dim(`${ms}ms`)}`);
+        }
+      });
+      const { address, port: bound } = server.address();
+      const url = `http://${address}:${bound}`;
+      const mode = options.replay ? `replaying ${options.replay}` : options.record ? `recording ${options.target} into ${options.record}` : `serving ${options.fixtures || 'bundled fixtures'}`;
+      console.error(chalk.bold(`Mock FieldView API on ${url}`) + chalk.dim(` (${mode})`));
+      console.error(chalk.dim(`  climatecom config profile add mock --base-url ${url} --api-key mock`));
+      console.error(chalk.dim(`  CLIMATECOM_TOKEN_URL=${url}/api/oauth/token for OAuth logins`));
+      runUntilStopped();
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// Parse
+// ============================================================
+
+export function main(argv = process.argv) {
+  setDefaultConnection(storeConnection);
+  program.parse(argv);
+
+  if (argv.length <= 2) {
+    program.help();
+  }
+}
@@ -0,0 +1,141 @@
+import {
+  DEFAULT_SETTINGS,
+  parseSetting,
+  RESOURCE_PATHS,
+  createFarm,
+  createField,
+  createWebhook,
+  deleteFarm,
+  deleteField,
+  deleteWebhook,
+  fetchLayerChunk,
+  fetchScoutingAttachment,
+  getApplicationActivity,
+  getBoundary,
+  getBoundaryVersion,
+  getFarm,
+  getFarmVersion,
+  getField,
+  getFieldVersion,
+  getHarvestActivity,
+  getPlantingActivity,
+  getScoutingObservation,
+  getSoilSample,
+  getUploadStatus,
+  getWebhook,
+  iteratePages,
+  listApplicationActivities,
+  listBoundaries,
+  listFarms,
+  listFields,
+  listHarvestActivities,
+  listPlantingActivities,
+  listScoutingAttachments,
+  listScoutingObservations,
+  listSoilSamples,
+  listWebhooks,
+  paginate,
+  testWebhook,
+  updateBoundary,
+  updateFarm,
+  updateField
+} from './api.js';
+import { createTokenSession } from './oauth.js';
+import { ValidationError } from './errors.js';
+import { uploadFile, waitForUpload } from './uploads.js';
+
+// Shared by every namespace: paged listing plus async iteration over records
+// and pages, all bound to one client's connection.
+function listing(resource, list, connection) {
+  const path = RESOURCE_PATHS[resource];
+  return {
+    list: (options = {}) => list({ ...options, connection }),
+    iterate: (options = {}) => paginate(path, { ...options, connection }),
+    pages: (options = {}) => iteratePages(path, { ...options, connection }),
+    [Symbol.asyncIterator]: () => paginate(path, { connection })[Symbol.asyncIterator]()
+  };
+}
+
+export class ClimateClient {
+  constructor(options = {}) {
+    const { apiKey, accessToken, clientId, clientSecret } = options;
+    if (!apiKey && !accessToken && !(clientId && clientSecret)) {
+      throw new ValidationError('ClimateClient needs an apiKey, an accessToken, or a clientId and clientSecret.');
+    }
+    const settings = {
+      baseUrl: options.baseUrl ?? DEFAULT_SETTINGS.baseUrl,
+      maxRetries: parseSetting('maxRetries', options.maxRetries ?? DEFAULT_SETTINGS.maxRetries),
+      timeout: parseSetting('timeout', options.timeout ?? DEFAULT_SETTINGS.timeout)
+    };
+    const tokens = createTokenSession(options);
+    const connection = {
+      setting: (key) => settings[key],
+      apiKey: () => apiKey || '',
+      accessToken: tokens.accessToken,
+      ensureValidToken: tokens.ensureValid,
+      refreshAccessToken: tokens.refresh,
+      canRefreshToken: tokens.canRefresh
+    };
+    const bound = { connection };
+
+    this.fields = {
+      ...listing('fields', listFields, connection),
+      get: (id) => getField(id, bound),
+      getVersion: (id) => getFieldVersion(id, bound),
+      create: (values) => createField(values, bound),
+      update: (id, changes, { etag } = {}) => updateField(id, changes, { etag, connection }),
+      delete: (id, { etag } = {}) => deleteField(id, { etag, connection })
+    };
+    this.farms = {
+      ...listing('farms', listFarms, connection),
+      get: (id) => getFarm(id, bound),
+      getVersion: (id) => getFarmVersion(id, bound),
+      create: (values) => createFarm(values, bound),
+      update: (id, changes, { etag } = {}) => updateFarm(id, changes, { etag, connection }),
+      delete: (id, { etag } = {}) => deleteFarm(id, { etag, connection })
+    };
+    this.boundaries = {
+      ...listing('boundaries', listBoundaries, connection),
+      get: (id) => getBoundary(id, bound),
+      getVersion: (id) => getBoundaryVersion(id, bound),
+      update: (id, changes, { etag } = {}) => updateBoundary(id, changes, { etag, connection })
+    };
+    this.harvest = {
+      ...listing('harvest', listHarvestActivities, connection),
+      get: (id) => getHarvestActivity(id, bound),
+      layerChunk: (id, range = {}) => fetchLayerChunk('harvest', id, { ...range, connection })
+    };
+    this.planting = {
+      ...listing('planting', listPlantingActivities, connection),
+      get: (id) => getPlantingActivity(id, bound),
+      layerChunk: (id, range = {}) => fetchLayerChunk('planting', id, { ...range, connection })
+    };
+    this.application = {
+      ...listing('application', listApplicationActivities, connection),
+      get: (id) => getApplicationActivity(id, bound),
+      layerChunk: (id, range = {}) => fetchLayerChunk('application', id, { ...range, connection })
+    };
+    this.scouting = {
+      ...listing('scouting', listScoutingObservations, connection),
+      get: (id) => getScoutingObservation(id, bound),
+      attachments: (id) => listScoutingAttachments(id, bound),
+      attachment: (id, attachmentId) => fetchScoutingAttachment(id, attachmentId, bound)
+    };
+    this.soil = {
+      ...listing('soil', listSoilSamples, connection),
+      get: (id) => getSoilSample(id, bound)
+    };
+    this.uploads = {
+      upload: (path, options = {}) => uploadFile(path, { ...options, connection }),
+      status: (id) => getUploadStatus(id, bound),
+      wait: (id, options = {}) => waitForUpload(id, { ...options, connection })
+    };
+    this.webhooks = {
+      ...listing('webhooks', listWebhooks, connection),
+      get: (id) => getWebhook(id, bound),
+      create: (values) => createWebhook(values, bound),
+      delete: (id) => deleteWebhook(id, bound),
+      test: (id, { event } = {}) => testWebhook(id, { event, connection })
+    };
+  }
+}
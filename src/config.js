@@ -1,8 +1,13 @@
 import Conf from 'conf';
+import { DEFAULT_SETTINGS, parseSetting } from './api.js';
+import { DEFAULT_TOKEN_URL, isTokenFresh } from './oauth.js';
+import { ValidationError } from './errors.js';
 
-const config = new Conf({
-  projectName: 'climatecom-cli',
-  schema: {
+const DEFAULT_PROFILE = 'default';
+
+const profileSchema = {
+  type: 'object',
+  properties: {
     apiKey: {
       type: 'string',
       default: ''
@@ -19,27 +24,149 @@ const config = new Conf({
       type: 'string',
       default: ''
     },
+    refreshToken: {
+      type: 'string',
+      default: ''
+    },
     tokenExpiry: {
       type: 'number',
       default: 0
     },
+    tokenUrl: {
+      type: 'string',
+      default: DEFAULT_TOKEN_URL
+    },
+    maxRetries: {
+      type: 'number',
+      default: DEFAULT_SETTINGS.maxRetries
+    },
+    timeout: {
+      type: 'number',
+      default: DEFAULT_SETTINGS.timeout
+    },
     baseUrl: {
       type: 'string',
-      default: 'https://platform.climate.com'
+      default: DEFAULT_SETTINGS.baseUrl
+    }
+  }
+};
+
+const PROFILE_KEYS = Object.keys(profileSchema.properties);
+
+const config = new Conf({
+  projectName: 'climatecom-cli',
+  schema: {
+    activeProfile: {
+      type: 'string',
+      default: DEFAULT_PROFILE
+    },
+    profiles: {
+      type: 'object',
+      additionalProperties: profileSchema,
+      default: {}
     }
   }
 });
 
+// Stores written before profiles existed kept credentials at the top level;
+// move them into the default profile on first load.
+const legacyKeys = PROFILE_KEYS.filter(key => config.has(key));
+if (legacyKeys.length > 0) {
+  const legacy = Object.fromEntries(legacyKeys.map(key => [key, config.get(key)]));
+  config.set(`profiles.${DEFAULT_PROFILE}`, { ...config.get(`profiles.${DEFAULT_PROFILE}`), ...legacy });
+  legacyKeys.forEach(key => config.delete(key));
+}
+
+let profileOverride = null;
+
+function envName(key) {
+  return 'CLIMATECOM_' + key.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
+
+function readEnv(key) {
+  const value = process.env[envName(key)];
+  if (value === undefined || value === '') return undefined;
+  if (key === 'maxRetries' || key === 'timeout') return parseSetting(key, value, envName(key));
+  return profileSchema.properties[key].type === 'number' ? Number(value) : value;
+}
+
+function profilePath(name, key) {
+  return key ? `profiles.${name}.${key}` : `profiles.${name}`;
+}
+
+function validateProfileName(name) {
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+    throw new ValidationError(`Invalid profile name "${name}". Use letters, numbers, "-" and "_".`);
+  }
+}
+
+// ============================================================
+// PROFILES
+// ============================================================
+
+export function getActiveProfile() {
+  return profileOverride || process.env.CLIMATECOM_PROFILE || config.get('activeProfile');
+}
+
+export function useProfile(name) {
+  if (name !== DEFAULT_PROFILE && !hasProfile(name)) {
+    throw new ValidationError(`Profile "${name}" does not exist. Run: climatecom config profile add ${name}`);
+  }
+  profileOverride = name;
+}
+
+export function setActiveProfile(name) {
+  if (name !== DEFAULT_PROFILE && !hasProfile(name)) {
+    throw new ValidationError(`Profile "${name}" does not exist. Run: climatecom config profile add ${name}`);
+  }
+  config.set('activeProfile', name);
+}
+
+export function hasProfile(name) {
+  return config.has(profilePath(name));
+}
+
+export function listProfiles() {
+  const profiles = config.get('profiles');
+  const names = new Set([DEFAULT_PROFILE, ...Object.keys(profiles)]);
+  return [...names].map(name => ({
+    name,
+    active: name === getActiveProfile(),
+    baseUrl: profiles[name]?.baseUrl || profileSchema.properties.baseUrl.default,
+    hasApiKey: !!profiles[name]?.apiKey,
+    hasToken: !!profiles[name]?.accessToken
+  }));
+}
+
+export function addProfile(name, values = {}) {
+  validateProfileName(name);
+  if (hasProfile(name)) throw new ValidationError(`Profile "${name}" already exists.`);
+  config.set(profilePath(name), values);
+}
+
+export function removeProfile(name) {
+  if (!hasProfile(name)) throw new ValidationError(`Profile "${name}" does not exist.`);
+  config.delete(profilePath(name));
+  if (config.get('activeProfile') === name) config.set('activeProfile', DEFAULT_PROFILE);
+}
+
+// ============================================================
+// VALUES
+// ============================================================
+
 export function getConfig(key) {
-  return config.get(key);
+  const env = readEnv(key);
+  if (env !== undefined) return env;
+  const value = config.get(profilePath(getActiveProfile(), key));
+  return value ?? profileSchema.properties[key].default;
 }
 
 export function setConfig(key, value) {
-  config.set(key, value);
+  config.set(profilePath(getActiveProfile(), key), value);
 }
 
 export function getAllConfig() {
-  return config.store;
+  return Object.fromEntries(PROFILE_KEYS.map(key => [key, getConfig(key)]));
 }
 
 export function clearConfig() {
@@ -47,15 +174,19 @@ export function clearConfig() {
 }
 
 export function isConfigured() {
-  const apiKey = config.get('apiKey');
-  return !!(apiKey);
+  const apiKey = getConfig('apiKey');
+  const accessToken = getConfig('accessToken');
+  return !!(apiKey || accessToken);
 }
 
 export function hasValidToken() {
-  const accessToken = config.get('accessToken');
-  const tokenExpiry = config.get('tokenExpiry');
-  if (!accessToken) return false;
-  return tokenExpiry > Date.now() + 60000;
+  return isTokenFresh(getConfig('accessToken'), getConfig('tokenExpiry'));
+}
+
+export function canRefreshToken() {
+  const clientId = getConfig('clientId');
+  const clientSecret = getConfig('clientSecret');
+  return !!(clientId && clientSecret);
 }
 
 export default config;
@@ -0,0 +1,26 @@
+import { getConfig, canRefreshToken } from './config.js';
+import { ensureValidToken, refreshAccessToken } from './auth.js';
+import { cachedList, cachedRecord, forgetRecord, isOffline, storeRecord } from './store.js';
+
+let requestOptions = {};
+
+// Per-invocation overrides from --retries and --timeout
+export function configureRequests(options = {}) {
+  requestOptions = { ...requestOptions, ...options };
+}
+
+// The CLI's connection: settings and tokens come from the active profile
+// (or CLIMATECOM_* variables), and reads go through the local sync store.
+export const storeConnection = {
+  setting: (key) => requestOptions[key] ?? getConfig(key),
+  apiKey: () => getConfig('apiKey'),
+  accessToken: () => getConfig('accessToken'),
+  ensureValidToken,
+  refreshAccessToken,
+  canRefreshToken,
+  cachedList,
+  cachedRecord,
+  storeRecord,
+  forgetRecord,
+  isOffline
+};
@@ -0,0 +1,49 @@
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') { value += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else value += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  const nonEmpty = rows.filter(r => r.length > 1 || r[0] !== '');
+  if (nonEmpty.length === 0) return [];
+  const [header, ...body] = nonEmpty;
+  return body.map(r => Object.fromEntries(header.map((name, i) => [name.trim(), r[i] ?? ''])));
+}
+
+function escapeCsv(value, delimiter) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) return `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+export function formatCsv(rows, columns, { delimiter = ',', header = true } = {}) {
+  const lines = rows.map(row => columns.map(col => escapeCsv(row[col], delimiter)).join(delimiter));
+  if (header) lines.unshift(columns.map(col => escapeCsv(col, delimiter)).join(delimiter));
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,46 @@
+import chalk from 'chalk';
+import { areaAcres } from './geometry.js';
+
+const GEOMETRY_TYPES = ['Polygon', 'MultiPolygon'];
+
+function isGeometry(value) {
+  return value && typeof value === 'object' && GEOMETRY_TYPES.includes(value.type);
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Compares the fields a change touches. `before` is the current record (or
+// null for a create) and `after` holds the outgoing values (or null for a
+// delete). Returns [{ key, before, after }] for every key that differs.
+export function diffRecords(before, after) {
+  const keys = after ? Object.keys(after) : Object.keys(before || {});
+  return keys
+    .map(key => ({ key, before: before?.[key] ?? null, after: after ? after[key] ?? null : null }))
+    .filter(change => !same(change.before, change.after));
+}
+
+// Polygons are summarized rather than dumped coordinate by coordinate.
+function describe(value) {
+  if (value === null || value === undefined) return 'null';
+  if (isGeometry(value)) {
+    const positions = value.coordinates.flat(value.type === 'Polygon' ? 1 : 2).length;
+    let acres = '';
+    try {
+      acres = `, ${areaAcres(value).toFixed(2)} ac`;
+    } catch {
+      // malformed geometry is reported without an area
+    }
+    return `${value.type} (${positions} positions${acres})`;
+  }
+  return JSON.stringify(value);
+}
+
+export function formatDiff(changes) {
+  if (changes.length === 0) return chalk.dim('  (no changes)');
+  return changes.flatMap(({ key, before, after }) => [
+    ...(before !== null ? [chalk.red(`- ${key}: ${describe(before)}`)] : []),
+    ...(after !== null ? [chalk.green(`+ ${key}: ${describe(after)}`)] : [])
+  ]).join('\n');
+}
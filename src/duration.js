@@ -0,0 +1,20 @@
+import { ValidationError } from './errors.js';
+
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+// Parses "90s", "5m", "1h30m", "2d" or a bare number of seconds into milliseconds
+export function parseDuration(value) {
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text) * 1000;
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h|d)/g)];
+  if (parts.length === 0 || parts.map(part => part[0]).join('') !== text) {
+    throw new ValidationError(`Invalid duration "${value}". Use e.g. 30s, 5m, 1h or 2d.`);
+  }
+  return parts.reduce((total, [, amount, unit]) => total + parseFloat(amount) * UNITS[unit], 0);
+}
@@ -0,0 +1,122 @@
+// Exit codes are part of the CLI contract; see "Exit Codes" in README.md.
+export const EXIT_CODES = {
+  general: 1,
+  validation: 2,
+  auth: 3,
+  notFound: 4,
+  rateLimit: 5,
+  conflict: 6,
+  network: 7,
+  server: 8
+};
+
+const REQUEST_ID_HEADERS = ['x-request-id', 'x-http-request-id', 'x-amzn-requestid', 'x-correlation-id'];
+
+export class ClimateError extends Error {
+  constructor(message, { status = null, requestId = null, body = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.requestId = requestId;
+    this.body = body;
+  }
+
+  get exitCode() {
+    return EXIT_CODES.general;
+  }
+
+  toJSON() {
+    return {
+      type: this.name,
+      message: this.message,
+      exitCode: this.exitCode,
+      status: this.status,
+      requestId: this.requestId,
+      body: this.body
+    };
+  }
+}
+
+// Bad input: invalid options or arguments, or a 400/422 from the API
+export class ValidationError extends ClimateError {
+  get exitCode() { return EXIT_CODES.validation; }
+}
+
+// Missing or rejected credentials (401/403, failed token exchange)
+export class AuthError extends ClimateError {
+  get exitCode() { return EXIT_CODES.auth; }
+}
+
+export class NotFoundError extends ClimateError {
+  get exitCode() { return EXIT_CODES.notFound; }
+}
+
+// 429 after retries ran out. `retryAfter` is the raw Retry-After header.
+export class RateLimitError extends ClimateError {
+  constructor(message, { retryAfter = null, ...details } = {}) {
+    super(message, details);
+    this.retryAfter = retryAfter;
+  }
+
+  get exitCode() { return EXIT_CODES.rateLimit; }
+
+  toJSON() {
+    return { ...super.toJSON(), retryAfter: this.retryAfter };
+  }
+}
+
+// The record changed since it was read (412 / ETag mismatch, plan drift)
+export class ConflictError extends ClimateError {
+  get exitCode() { return EXIT_CODES.conflict; }
+}
+
+// No response: timeouts, DNS and connection failures
+export class NetworkError extends ClimateError {
+  get exitCode() { return EXIT_CODES.network; }
+}
+
+// 5xx after retries ran out
+export class ServerError extends ClimateError {
+  get exitCode() { return EXIT_CODES.server; }
+}
+
+export function responseDetails(response) {
+  const headers = response?.headers || {};
+  const name = REQUEST_ID_HEADERS.find(header => headers[header]);
+  return {
+    status: response?.status ?? null,
+    requestId: name ? String(headers[name]) : null,
+    body: response?.data ?? null
+  };
+}
+
+const FILE_ERRORS = {
+  ENOENT: 'no such file',
+  ENOTDIR: 'no such file',
+  EISDIR: 'it is a directory',
+  EACCES: 'permission denied'
+};
+
+// A missing or unreadable input file is bad input, not a crash
+export function fileError(error, path) {
+  const reason = FILE_ERRORS[error?.code];
+  return reason ? new ValidationError(`Cannot read ${path}: ${reason}.`, { cause: error }) : error;
+}
+
+export function exitCodeFor(error) {
+  return error instanceof ClimateError ? error.exitCode : EXIT_CODES.general;
+}
+
+export function errorToJSON(error) {
+  if (error instanceof ClimateError) return { error: error.toJSON() };
+  return {
+    error: {
+      type: 'Error',
+      message: error?.message ?? String(error),
+      exitCode: EXIT_CODES.general,
+      status: null,
+      requestId: null,
+      body: null
+    }
+  };
+}
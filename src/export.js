@@ -0,0 +1,110 @@
+import { writeFile } from 'fs/promises';
+import { basename } from 'path';
+import { getBoundary, getField, listBoundaries, listFields } from './api.js';
+import { writeShapefile } from './shapefile.js';
+import { writeKml } from './kml.js';
+import { writeZip } from './zip.js';
+import { ValidationError } from './errors.js';
+
+export const EXPORT_FORMATS = {
+  geojson: '.geojson',
+  shapefile: '.zip',
+  kml: '.kml'
+};
+
+const GEOMETRY_TYPES = ['Polygon', 'MultiPolygon'];
+
+export function extractGeometry(record) {
+  const candidates = [record?.geometry, record?.boundary?.geometry, record?.boundary, record?.geojson];
+  return candidates.find(candidate => candidate && GEOMETRY_TYPES.includes(candidate.type)) || null;
+}
+
+function toFeature(id, geometry, { boundary = {}, field = {} }) {
+  return {
+    type: 'Feature',
+    id,
+    geometry,
+    properties: {
+      id,
+      boundaryId: boundary.id ?? field.boundaryId ?? null,
+      fieldId: field.id ?? boundary.fieldId ?? null,
+      field: field.name ?? boundary.fieldName ?? null,
+      farmId: field.farmId ?? boundary.farmId ?? null,
+      farm: field.farmName ?? boundary.farmName ?? null,
+      acres: boundary.acres ?? boundary.area ?? field.acres ?? null
+    }
+  };
+}
+
+// ============================================================
+// COLLECTING
+// ============================================================
+
+export async function collectBoundaryFeatures(boundaryId) {
+  if (boundaryId) {
+    const boundary = await getBoundary(boundaryId);
+    const field = boundary.fieldId ? await getField(boundary.fieldId) : {};
+    return [toFeature(boundary.id || boundaryId, extractGeometry(boundary), { boundary, field })];
+  }
+  const [{ results: boundaries }, { results: fields }] = await Promise.all([
+    listBoundaries({ all: true }),
+    listFields({ all: true })
+  ]);
+  return boundaries.map(boundary => {
+    const field = fields.find(f => (f.boundaryId && f.boundaryId === boundary.id) || f.id === boundary.fieldId) || {};
+    return toFeature(boundary.id, extractGeometry(boundary), { boundary, field });
+  });
+}
+
+export async function collectFieldFeatures(fieldId) {
+  if (fieldId) {
+    const field = await getField(fieldId);
+    const boundary = !extractGeometry(field) && field.boundaryId ? await getBoundary(field.boundaryId) : {};
+    return [toFeature(field.id || fieldId, extractGeometry(field) || extractGeometry(boundary), { boundary, field })];
+  }
+  const [{ results: fields }, { results: boundaries }] = await Promise.all([
+    listFields({ all: true }),
+    listBoundaries({ all: true })
+  ]);
+  return fields.map(field => {
+    const boundary = boundaries.find(b => b.id === field.boundaryId || (b.fieldId && b.fieldId === field.id)) || {};
+    return toFeature(field.id, extractGeometry(field) || extractGeometry(boundary), { boundary, field });
+  });
+}
+
+export async function fetchFieldBoundary(fieldId) {
+  const [feature] = await collectFieldFeatures(fieldId);
+  if (!feature?.geometry) throw new ValidationError(`Field ${fieldId} has no boundary.`);
+  return { geometry: feature.geometry, fieldId: feature.properties.fieldId ?? fieldId, field: feature.properties.field };
+}
+
+// ============================================================
+// ENCODING
+// ============================================================
+
+export function encodeFeatures(features, format, { name = 'boundaries' } = {}) {
+  if (format === 'geojson') {
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2) + '\n';
+  }
+  if (format === 'kml') {
+    return writeKml(features, { name, nameProperty: 'field' });
+  }
+  if (format === 'shapefile') {
+    const files = writeShapefile(features);
+    return writeZip(Object.entries(files).map(([extension, data]) => ({ name: `${name}.${extension}`, data })));
+  }
+  throw new ValidationError(`Unknown export format "${format}". Use ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+}
+
+export async function exportFeatures(features, format, dest) {
+  const withGeometry = features.filter(feature => feature.geometry);
+  const layerName = basename(dest).replace(/\.[^.]+$/, '') || 'boundaries';
+  const data = encodeFeatures(withGeometry, format, { name: layerName });
+  await writeFile(dest, data);
+  return {
+    path: dest,
+    format,
+    exported: withGeometry.length,
+    skipped: features.filter(feature => !feature.geometry).map(feature => feature.id)
+  };
+}
@@ -0,0 +1,73 @@
+import { listFields } from './api.js';
+import { ValidationError } from './errors.js';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDate(value, flag, { endOfDay = false } = {}) {
+  const text = DATE_ONLY.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value;
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) throw new ValidationError(`Invalid date for ${flag}: "${value}". Use YYYY-MM-DD or an ISO 8601 timestamp.`);
+  return date;
+}
+
+function matches(value, expected) {
+  return value !== undefined && value !== null && String(value).toLowerCase() === String(expected).toLowerCase();
+}
+
+function activityTime(activity) {
+  const value = activity.startTime || activity.endTime;
+  return value ? new Date(value).getTime() : null;
+}
+
+// Resolves --farm to the set of field IDs on that farm, since activity
+// summaries usually carry only the field reference.
+async function farmFieldIds(farm) {
+  const { results: fields } = await listFields({ all: true, ...buildFieldFilter({ farm }) });
+  return new Set(fields.map(field => field.id));
+}
+
+export function buildFieldFilter({ farm } = {}) {
+  if (!farm) return {};
+  return { filter: (field) => matches(field.farmId, farm) || matches(field.farmName, farm) };
+}
+
+// Builds the server-side query parameters FieldView accepts for activity
+// listings (the occurrence window) plus a client-side predicate that applies
+// every filter, so results are correct whether or not the API honored them.
+export async function buildActivityFilter({ field, farm, crop, season, since, until } = {}) {
+  if (!field && !farm && !crop && !season && !since && !until) return {};
+
+  let after = since ? parseDate(since, '--since') : null;
+  let before = until ? parseDate(until, '--until', { endOfDay: true }) : null;
+  if (season) {
+    if (!/^\d{4}$/.test(String(season))) throw new ValidationError(`Invalid --season "${season}". Use a four-digit year.`);
+    const year = parseInt(season);
+    const seasonStart = new Date(Date.UTC(year, 0, 1));
+    const seasonEnd = new Date(Date.UTC(year + 1, 0, 1) - 1);
+    after = after && after > seasonStart ? after : seasonStart;
+    before = before && before < seasonEnd ? before : seasonEnd;
+  }
+
+  const farmFields = farm ? await farmFieldIds(farm) : null;
+
+  const filter = (activity) => {
+    if (field && !matches(activity.fieldId, field) && !matches(activity.fieldName, field)) return false;
+    if (farm && !matches(activity.farmId, farm) && !matches(activity.farmName, farm) && !farmFields.has(activity.fieldId)) return false;
+    if (crop && !matches(activity.crop, crop)) return false;
+    if (after || before) {
+      const time = activityTime(activity);
+      if (time === null) return false;
+      if (after && time < after.getTime()) return false;
+      if (before && time > before.getTime()) return false;
+    }
+    return true;
+  };
+
+  return {
+    params: {
+      ...(after && { occurredAfter: after.toISOString() }),
+      ...(before && { occurredBefore: before.toISOString() })
+    },
+    filter
+  };
+}
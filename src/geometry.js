@@ -0,0 +1,471 @@
+import { ValidationError } from './errors.js';
+
+// WGS84 semi-major axis, used as the sphere radius for geodesic area
+const EARTH_RADIUS_M = 6378137;
+const SQ_METERS_PER_ACRE = 4046.8564224;
+const SQ_METERS_PER_HECTARE = 10000;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+function polygonsOf(geometry) {
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  throw new ValidationError(`Expected a Polygon or MultiPolygon geometry, got ${geometry.type}.`);
+}
+
+// ============================================================
+// AREA
+// ============================================================
+
+// Spherical excess of a ring (Chamberlain & Duquette, "Some Algorithms for
+// Polygons on a Sphere"), in square meters.
+function ringArea(ring) {
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lon1, lat1] = ring[i];
+    const [lon2, lat2] = ring[i + 1];
+    total += toRadians(lon2 - lon1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+  return Math.abs((total * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+}
+
+export function areaSqMeters(geometry) {
+  return polygonsOf(geometry).reduce((sum, [outer, ...holes]) =>
+    sum + ringArea(outer) - holes.reduce((holeSum, hole) => holeSum + ringArea(hole), 0), 0);
+}
+
+export function areaAcres(geometry) {
+  return areaSqMeters(geometry) / SQ_METERS_PER_ACRE;
+}
+
+// ============================================================
+// MEASUREMENT
+// ============================================================
+
+function haversine([lon1, lat1], [lon2, lat2]) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+export function perimeterMeters(geometry) {
+  return polygonsOf(geometry).flat().reduce((sum, ring) => {
+    let length = 0;
+    for (let i = 0; i < ring.length - 1; i++) length += haversine(ring[i], ring[i + 1]);
+    return sum + length;
+  }, 0);
+}
+
+export function boundingBox(geometry) {
+  const points = polygonsOf(geometry).flat(2);
+  const lons = points.map(point => point[0]);
+  const lats = points.map(point => point[1]);
+  return [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)];
+}
+
+// Area-weighted planar centroid; at field scale the distortion of treating
+// degrees as planar coordinates is far below GPS accuracy. Holes count
+// negatively whatever their winding.
+export function centroid(geometry) {
+  let area = 0;
+  let x = 0;
+  let y = 0;
+  polygonsOf(geometry).forEach(rings => rings.forEach((ring, r) => {
+    let ringArea2 = 0;
+    let ringX = 0;
+    let ringY = 0;
+    for (let j = 0; j < ring.length - 1; j++) {
+      const [x0, y0] = ring[j];
+      const [x1, y1] = ring[j + 1];
+      const cross = x0 * y1 - x1 * y0;
+      ringArea2 += cross;
+      ringX += (x0 + x1) * cross;
+      ringY += (y0 + y1) * cross;
+    }
+    const sign = (r === 0) === (ringArea2 > 0) ? 1 : -1;
+    area += sign * ringArea2;
+    x += sign * ringX;
+    y += sign * ringY;
+  }));
+  if (area === 0) {
+    const [minLon, minLat, maxLon, maxLat] = boundingBox(geometry);
+    return { lon: (minLon + maxLon) / 2, lat: (minLat + maxLat) / 2 };
+  }
+  return { lon: x / (3 * area), lat: y / (3 * area) };
+}
+
+export function measure(geometry) {
+  const sqMeters = areaSqMeters(geometry);
+  return {
+    acres: sqMeters / SQ_METERS_PER_ACRE,
+    hectares: sqMeters / SQ_METERS_PER_HECTARE,
+    perimeterMeters: perimeterMeters(geometry),
+    centroid: centroid(geometry),
+    bbox: boundingBox(geometry)
+  };
+}
+
+// ============================================================
+// RELATIONSHIPS
+// ============================================================
+
+function ringContains(ring, [x, y]) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+export function containsPoint(geometry, point) {
+  return polygonsOf(geometry).some(([outer, ...holes]) =>
+    ringContains(outer, point) && !holes.some(hole => ringContains(hole, point)));
+}
+
+function boxesIntersect(a, b) {
+  return a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+}
+
+function properlyCross(p1, p2, q1, q2) {
+  const o1 = orientation(p1, p2, q1);
+  const o2 = orientation(p1, p2, q2);
+  const o3 = orientation(q1, q2, p1);
+  const o4 = orientation(q1, q2, p2);
+  return o1 !== 0 && o2 !== 0 && o3 !== 0 && o4 !== 0 && o1 !== o2 && o3 !== o4;
+}
+
+// True when the interiors intersect; polygons that only share an edge or a
+// corner (neighbouring fields) do not count as overlapping.
+export function polygonsOverlap(a, b) {
+  if (!boxesIntersect(boundingBox(a), boundingBox(b))) return false;
+  const edgesA = segments(polygonsOf(a).flat());
+  const edgesB = segments(polygonsOf(b).flat());
+  if (edgesA.some(s => edgesB.some(t => properlyCross(s.a, s.b, t.a, t.b)))) return true;
+  const interiorPoint = (geometry) => {
+    const { lon, lat } = centroid(geometry);
+    return [lon, lat];
+  };
+  return containsPoint(b, interiorPoint(a)) || containsPoint(a, interiorPoint(b));
+}
+
+// Estimates the shared area by sampling a grid over the intersection of the
+// two bounding boxes. Accurate to a fraction of a percent at the default
+// resolution, which is plenty for flagging bad boundaries.
+export function overlapAreaSqMeters(a, b, resolution = 100) {
+  const boxA = boundingBox(a);
+  const boxB = boundingBox(b);
+  const box = [Math.max(boxA[0], boxB[0]), Math.max(boxA[1], boxB[1]), Math.min(boxA[2], boxB[2]), Math.min(boxA[3], boxB[3])];
+  if (box[0] >= box[2] || box[1] >= box[3]) return 0;
+  const dLon = (box[2] - box[0]) / resolution;
+  const dLat = (box[3] - box[1]) / resolution;
+  let total = 0;
+  for (let i = 0; i < resolution; i++) {
+    const lat = box[1] + (i + 0.5) * dLat;
+    const cellArea = toRadians(dLat) * EARTH_RADIUS_M * toRadians(dLon) * EARTH_RADIUS_M * Math.cos(toRadians(lat));
+    for (let j = 0; j < resolution; j++) {
+      const point = [box[0] + (j + 0.5) * dLon, lat];
+      if (containsPoint(a, point) && containsPoint(b, point)) total += cellArea;
+    }
+  }
+  return total;
+}
+
+export function sqMetersToAcres(sqMeters) {
+  return sqMeters / SQ_METERS_PER_ACRE;
+}
+
+// ============================================================
+// VALIDATION
+// ============================================================
+
+function samePoint(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+function orientation(p, q, r) {
+  const value = (q[1] - p[1]) * (r[0] - q[0]) - (q[0] - p[0]) * (r[1] - q[1]);
+  if (value === 0) return 0;
+  return value > 0 ? 1 : 2;
+}
+
+function onSegment(p, q, r) {
+  return q[0] <= Math.max(p[0], r[0]) && q[0] >= Math.min(p[0], r[0]) &&
+    q[1] <= Math.max(p[1], r[1]) && q[1] >= Math.min(p[1], r[1]);
+}
+
+function segmentsIntersect(p1, p2, q1, q2) {
+  const o1 = orientation(p1, p2, q1);
+  const o2 = orientation(p1, p2, q2);
+  const o3 = orientation(q1, q2, p1);
+  const o4 = orientation(q1, q2, p2);
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && onSegment(p1, q1, p2)) || (o2 === 0 && onSegment(p1, q2, p2)) ||
+    (o3 === 0 && onSegment(q1, p1, q2)) || (o4 === 0 && onSegment(q1, p2, q2));
+}
+
+function segments(rings) {
+  return rings.flatMap((ring, r) => ring.slice(0, -1).map((point, i) => ({ ring: r, index: i, a: point, b: ring[i + 1], size: ring.length - 1 })));
+}
+
+function adjacent(s, t) {
+  if (s.ring !== t.ring) return false;
+  const gap = Math.abs(s.index - t.index);
+  return gap === 1 || gap === s.size - 1;
+}
+
+function findSelfIntersection(rings) {
+  const all = segments(rings);
+  for (let i = 0; i < all.length; i++) {
+    for (let j = i + 1; j < all.length; j++) {
+      if (adjacent(all[i], all[j])) continue;
+      if (segmentsIntersect(all[i].a, all[i].b, all[j].a, all[j].b)) return [all[i].a, all[j].a];
+    }
+  }
+  return null;
+}
+
+export function validatePolygon(geometry) {
+  const errors = [];
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return [`Expected a Polygon or MultiPolygon geometry, got ${geometry?.type || 'none'}.`];
+  }
+  polygonsOf(geometry).forEach((rings, p) => {
+    const label = geometry.type === 'MultiPolygon' ? `polygon ${p + 1}, ` : '';
+    rings.forEach((ring, r) => {
+      const where = `${label}${r === 0 ? 'outer ring' : `hole ${r}`}`;
+      if (!Array.isArray(ring) || ring.length < 4) {
+        errors.push(`${where}: a ring needs at least 4 positions.`);
+        return;
+      }
+      const invalid = ring.find(point => !Number.isFinite(point[0]) || !Number.isFinite(point[1]));
+      if (invalid) errors.push(`${where}: non-numeric coordinate ${JSON.stringify(invalid)}.`);
+      const outOfRange = ring.find(([lon, lat]) => Math.abs(lon) > 180 || Math.abs(lat) > 90);
+      if (outOfRange) {
+        errors.push(`${where}: coordinate ${JSON.stringify(outOfRange)} is not WGS84 longitude/latitude (projected data?).`);
+      }
+      if (!samePoint(ring[0], ring[ring.length - 1])) errors.push(`${where}: ring is not closed.`);
+    });
+    if (errors.length === 0) {
+      const crossing = findSelfIntersection(rings);
+      if (crossing) errors.push(`${label}self-intersection near ${JSON.stringify(crossing[0])}.`);
+    }
+  });
+  return errors;
+}
+
+// ============================================================
+// CLIPPING
+// ============================================================
+
+// Greiner-Hormann clipping in longitude/latitude, treated as planar like
+// centroid() above. Vertices lying on the other polygon's edges (shared
+// field edges are common) are nudged by NUDGE degrees (~0.1 mm) first so
+// every crossing is a proper one; slivers under MIN_RING_AREA (~1 m²) are
+// dropped from the result.
+const ON_EDGE = 1e-12;
+const NUDGE = 1e-9;
+const MIN_RING_AREA = 1e-10;
+
+function planarArea(ring) {
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i++) total += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  return total / 2;
+}
+
+function openRing(ring) {
+  return samePoint(ring[0], ring[ring.length - 1]) ? ring.slice(0, -1) : ring.slice();
+}
+
+function closeRing(points) {
+  return [...points, points[0]];
+}
+
+function wind(ring, counterClockwise) {
+  return (planarArea(ring) > 0) === counterClockwise ? ring : ring.slice().reverse();
+}
+
+function distanceToSegment([x, y], [x1, y1], [x2, y2]) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const length2 = dx * dx + dy * dy;
+  const t = length2 === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / length2));
+  return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
+
+function onEdgeOf(point, points) {
+  return points.some((a, i) => distanceToSegment(point, a, points[(i + 1) % points.length]) <= ON_EDGE);
+}
+
+function separate(subject, clip) {
+  for (let pass = 0; pass < 8; pass++) {
+    let moved = false;
+    subject = subject.map(point => {
+      if (!onEdgeOf(point, clip)) return point;
+      moved = true;
+      return [point[0] + NUDGE, point[1] + NUDGE / 2];
+    });
+    clip = clip.map(point => {
+      if (!onEdgeOf(point, subject)) return point;
+      moved = true;
+      return [point[0] - NUDGE / 2, point[1] + NUDGE];
+    });
+    if (!moved) break;
+  }
+  return [subject, clip];
+}
+
+function linkVertices(points) {
+  const nodes = points.map(point => ({ point, intersect: false }));
+  nodes.forEach((node, i) => {
+    node.next = nodes[(i + 1) % nodes.length];
+    node.prev = nodes[(i + nodes.length - 1) % nodes.length];
+  });
+  return nodes;
+}
+
+function crossing(p1, p2, q1, q2) {
+  const d = (p2[0] - p1[0]) * (q2[1] - q1[1]) - (p2[1] - p1[1]) * (q2[0] - q1[0]);
+  if (d === 0) return null;
+  const alpha = ((q1[0] - p1[0]) * (q2[1] - q1[1]) - (q1[1] - p1[1]) * (q2[0] - q1[0])) / d;
+  const beta = ((q1[0] - p1[0]) * (p2[1] - p1[1]) - (q1[1] - p1[1]) * (p2[0] - p1[0])) / d;
+  if (alpha <= 0 || alpha >= 1 || beta <= 0 || beta >= 1) return null;
+  return { alpha, beta, point: [p1[0] + alpha * (p2[0] - p1[0]), p1[1] + alpha * (p2[1] - p1[1])] };
+}
+
+function insertCrossings(nodes, crossings) {
+  nodes.forEach((node, i) => {
+    const after = node.next;
+    let previous = node;
+    crossings[i].sort((a, b) => a.alpha - b.alpha).forEach(inserted => {
+      inserted.prev = previous;
+      previous.next = inserted;
+      previous = inserted;
+    });
+    previous.next = after;
+    after.prev = previous;
+  });
+}
+
+function markEntries(nodes, other, invert) {
+  let entry = !ringContains(closeRing(other), nodes[0].point) !== invert;
+  let node = nodes[0];
+  do {
+    if (node.intersect) {
+      node.entry = entry;
+      entry = !entry;
+    }
+    node = node.next;
+  } while (node !== nodes[0]);
+}
+
+// Clips two simple rings. Returns the result rings, or null when the
+// boundaries never cross and the caller has to decide by containment.
+function clipRings(subjectRing, clipRing, mode) {
+  const [subject, clip] = separate(openRing(subjectRing), openRing(clipRing));
+  const subjectNodes = linkVertices(subject);
+  const clipNodes = linkVertices(clip);
+  const subjectCrossings = subject.map(() => []);
+  const clipCrossings = clip.map(() => []);
+  let count = 0;
+  subject.forEach((s1, i) => clip.forEach((c1, j) => {
+    const hit = crossing(s1, subject[(i + 1) % subject.length], c1, clip[(j + 1) % clip.length]);
+    if (!hit) return;
+    const onSubject = { point: hit.point, intersect: true, alpha: hit.alpha, visited: false };
+    const onClip = { point: hit.point, intersect: true, alpha: hit.beta, visited: false, neighbor: onSubject };
+    onSubject.neighbor = onClip;
+    subjectCrossings[i].push(onSubject);
+    clipCrossings[j].push(onClip);
+    count += 1;
+  }));
+  if (count === 0) return null;
+  insertCrossings(subjectNodes, subjectCrossings);
+  insertCrossings(clipNodes, clipCrossings);
+  markEntries(subjectNodes, clip, mode === 'difference');
+  markEntries(clipNodes, subject, false);
+
+  const rings = [];
+  const pending = subjectCrossings.flat();
+  for (let start = pending.find(node => !node.visited); start; start = pending.find(node => !node.visited)) {
+    const points = [start.point];
+    let current = start;
+    for (let guard = 0; guard <= 4 * (subject.length + clip.length + count); guard++) {
+      current.visited = true;
+      current.neighbor.visited = true;
+      const forward = current.entry;
+      do {
+        current = forward ? current.next : current.prev;
+        points.push(current.point);
+      } while (!current.intersect);
+      if (current === start || current.neighbor === start) break;
+      current = current.neighbor;
+    }
+    const ring = closeRing(points.slice(0, -1));
+    if (ring.length >= 4 && Math.abs(planarArea(ring)) >= MIN_RING_AREA) rings.push(ring);
+  }
+  return rings;
+}
+
+function interiorPoint(ring, other) {
+  const points = openRing(ring);
+  const away = points.find(point => !onEdgeOf(point, openRing(other)));
+  if (away) return away;
+  return [(points[0][0] + points[1][0]) / 2, (points[0][1] + points[1][1]) / 2];
+}
+
+// For rings whose boundaries do not cross
+function ringWithin(inner, outer) {
+  return ringContains(outer, interiorPoint(inner, outer));
+}
+
+function subtractRing([outer, ...holes], cut) {
+  const rings = clipRings(outer, cut, 'difference');
+  if (rings === null) {
+    if (ringWithin(outer, cut)) return [];
+    if (ringWithin(cut, outer)) return [[outer, ...holes, cut]];
+    return [[outer, ...holes]];
+  }
+  return rings.map(ring => [ring, ...holes.filter(hole => ringContains(ring, interiorPoint(hole, ring)))]);
+}
+
+function intersectPolygon([outerA, ...holesA], [outerB, ...holesB]) {
+  const rings = clipRings(outerA, outerB, 'intersection');
+  let pieces;
+  if (rings !== null) pieces = rings.map(ring => [ring]);
+  else if (ringWithin(outerA, outerB)) pieces = [[outerA]];
+  else if (ringWithin(outerB, outerA)) pieces = [[outerB]];
+  else pieces = [];
+  for (const hole of [...holesA, ...holesB]) pieces = pieces.flatMap(piece => subtractRing(piece, hole));
+  return pieces;
+}
+
+// GeoJSON winding: outer rings counter-clockwise, holes clockwise
+function toGeometry(polygons) {
+  const wound = polygons.map(rings => rings.map((ring, i) => wind(ring, i === 0)));
+  if (wound.length === 0) return null;
+  if (wound.length === 1) return { type: 'Polygon', coordinates: wound[0] };
+  return { type: 'MultiPolygon', coordinates: wound };
+}
+
+// Area shared by two (Multi)Polygons, or null when they do not overlap
+export function intersectGeometries(a, b) {
+  if (!boxesIntersect(boundingBox(a), boundingBox(b))) return null;
+  return toGeometry(polygonsOf(a).flatMap(polygonA => polygonsOf(b).flatMap(polygonB => intersectPolygon(polygonA, polygonB))));
+}
+
+// Area of `a` outside `b`, or null when nothing is left
+export function subtractGeometries(a, b) {
+  if (!boxesIntersect(boundingBox(a), boundingBox(b))) return toGeometry(polygonsOf(a));
+  let pieces = polygonsOf(a);
+  const kept = [];
+  for (const [outer, ...holes] of polygonsOf(b)) {
+    // The parts of `a` inside a hole of `b` survive the cut
+    holes.forEach(hole => kept.push(...polygonsOf(a).flatMap(polygon => intersectPolygon(polygon, [hole]))));
+    pieces = pieces.flatMap(piece => subtractRing(piece, outer));
+  }
+  return toGeometry([...pieces, ...kept]);
+}
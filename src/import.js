@@ -0,0 +1,116 @@
+import { readFile } from 'fs/promises';
+import { createField } from './api.js';
+import { areaAcres, validatePolygon } from './geometry.js';
+import { readKml } from './kml.js';
+import { readShapefile } from './shapefile.js';
+import { isZip, readZip } from './zip.js';
+import { ValidationError, fileError } from './errors.js';
+
+const NAME_PROPERTIES = ['name', 'Name', 'NAME', 'field', 'Field', 'FIELD', 'fieldName', 'FIELD_NAME'];
+const ACRE_PROPERTIES = ['acres', 'Acres', 'ACRES'];
+
+function checkProjection(prj) {
+  if (/^\s*PROJCS/i.test(prj)) {
+    throw new ValidationError('Shapefile uses a projected coordinate system. Reproject it to WGS84 (EPSG:4326) before importing.');
+  }
+  if (!/WGS[_ ]?(19)?84|4326/i.test(prj)) {
+    throw new ValidationError('Shapefile datum is not WGS84. Reproject it to WGS84 (EPSG:4326) before importing.');
+  }
+}
+
+function featuresFromZip(buffer) {
+  const entries = readZip(buffer);
+  const find = (pattern) => entries.find(entry => pattern.test(entry.name));
+  const shp = find(/\.shp$/i);
+  if (shp) {
+    const base = shp.name.replace(/\.shp$/i, '').toLowerCase();
+    const sibling = (ext) => entries.find(entry => entry.name.toLowerCase() === `${base}.${ext}`);
+    const prj = sibling('prj');
+    if (prj) checkProjection(prj.data().toString('utf8'));
+    return readShapefile({ shp: shp.data(), dbf: sibling('dbf')?.data() }).features;
+  }
+  // KMZ archives are zipped KML documents
+  const kml = find(/\.kml$/i);
+  if (kml) return readKml(kml.data().toString('utf8')).features;
+  throw new ValidationError('Archive contains neither a Shapefile nor a KML document.');
+}
+
+function featuresFromGeoJson(json) {
+  if (json.type === 'FeatureCollection') return json.features;
+  if (json.type === 'Feature') return [json];
+  if (json.type && json.coordinates) return [{ type: 'Feature', geometry: json, properties: {} }];
+  throw new ValidationError('File is not a GeoJSON FeatureCollection, Feature or geometry.');
+}
+
+export async function readBoundaryFile(path) {
+  const buffer = await readFile(path).catch(error => { throw fileError(error, path); });
+  if (isZip(buffer)) return featuresFromZip(buffer);
+  const text = buffer.toString('utf8').trimStart();
+  if (/\.kml$/i.test(path) || text.startsWith('<')) return readKml(text).features;
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new ValidationError(`Cannot read ${path}: expected GeoJSON, KML or a zipped Shapefile.`);
+  }
+  return featuresFromGeoJson(json);
+}
+
+function firstProperty(properties, names) {
+  const key = names.find(name => properties[name] !== undefined && properties[name] !== null && properties[name] !== '');
+  return key ? properties[key] : undefined;
+}
+
+// ============================================================
+// PREPARATION
+// ============================================================
+
+export function prepareBoundary(feature, { acres, name, nameProperty } = {}) {
+  const properties = feature.properties || {};
+  const errors = validatePolygon(feature.geometry);
+  const suppliedAcres = acres ?? firstProperty(properties, ACRE_PROPERTIES);
+  const resolvedName = name ?? firstProperty(properties, nameProperty ? [nameProperty] : NAME_PROPERTIES);
+  if (!resolvedName) errors.push(`No field name found${nameProperty ? ` in property "${nameProperty}"` : ''}. Use --name-property.`);
+  return {
+    name: resolvedName !== undefined ? String(resolvedName) : undefined,
+    geometry: feature.geometry,
+    acres: suppliedAcres !== undefined
+      ? Number(suppliedAcres)
+      : (errors.length === 0 ? Math.round(areaAcres(feature.geometry) * 100) / 100 : undefined),
+    acresComputed: suppliedAcres === undefined,
+    errors
+  };
+}
+
+export async function readSingleBoundary(path, { acres, name } = {}) {
+  const features = (await readBoundaryFile(path)).filter(feature => feature.geometry);
+  if (features.length !== 1) {
+    throw new ValidationError(`Boundary file ${path} must contain exactly one polygon, found ${features.length}.`);
+  }
+  const prepared = prepareBoundary(features[0], { acres, name });
+  if (prepared.errors.length > 0) throw new ValidationError(`Invalid boundary in ${path}: ${prepared.errors.join(' ')}`);
+  return prepared;
+}
+
+export async function importFields(features, { nameProperty, dryRun = false, onResult } = {}) {
+  const results = [];
+  for (const [index, feature] of features.entries()) {
+    const prepared = prepareBoundary(feature, { nameProperty });
+    const result = { index: index + 1, name: prepared.name ?? null, acres: prepared.acres ?? null, acresComputed: prepared.acresComputed };
+    if (prepared.errors.length > 0) {
+      Object.assign(result, { status: 'invalid', error: prepared.errors.join(' ') });
+    } else if (dryRun) {
+      Object.assign(result, { status: 'valid' });
+    } else {
+      try {
+        const field = await createField({ name: prepared.name, acres: prepared.acres, boundary: prepared.geometry });
+        Object.assign(result, { status: 'created', fieldId: field?.id ?? null });
+      } catch (error) {
+        Object.assign(result, { status: 'failed', error: error.message });
+      }
+    }
+    results.push(result);
+    onResult?.(result);
+  }
+  return results;
+}
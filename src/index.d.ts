@@ -0,0 +1,340 @@
+export interface ClimateClientOptions {
+  /** API key sent as a bearer token, or as X-Api-Key alongside an OAuth token. */
+  apiKey?: string;
+  /** OAuth2 access token. */
+  accessToken?: string;
+  refreshToken?: string;
+  /** Expiry of `accessToken` in epoch milliseconds. Without it the token is used until the API rejects it. */
+  tokenExpiry?: number;
+  /** OAuth2 client credentials; enable automatic token refresh. */
+  clientId?: string;
+  clientSecret?: string;
+  /** Default: https://api.climate.com/api/oauth/token */
+  tokenUrl?: string;
+  /** Default: https://platform.climate.com */
+  baseUrl?: string;
+  /** Retry attempts for transient failures. Default: 3 */
+  maxRetries?: number;
+  /** Request timeout in seconds. Default: 30 */
+  timeout?: number;
+  /** Called with every refreshed token set, e.g. to persist it. */
+  onTokenRefresh?: (tokens: TokenSet) => void | Promise<void>;
+}
+
+export interface TokenSet {
+  accessToken: string;
+  refreshToken: string;
+  /** Epoch milliseconds. */
+  tokenExpiry: number;
+}
+
+export interface Geometry {
+  type: 'Polygon' | 'MultiPolygon';
+  coordinates: number[][][] | number[][][][];
+}
+
+export interface Farm {
+  id: string;
+  name?: string;
+  fieldCount?: number;
+  [key: string]: unknown;
+}
+
+export interface Field {
+  id: string;
+  name?: string;
+  acres?: number;
+  farmId?: string;
+  farmName?: string;
+  boundaryId?: string;
+  [key: string]: unknown;
+}
+
+export interface Boundary {
+  id: string;
+  fieldId?: string;
+  fieldName?: string;
+  acres?: number;
+  geometry?: Geometry;
+  [key: string]: unknown;
+}
+
+export interface ActivitySummary {
+  id: string;
+  fieldId?: string;
+  fieldName?: string;
+  crop?: string;
+  startTime?: string;
+  endTime?: string;
+  area?: number;
+  [key: string]: unknown;
+}
+
+export interface Page<T> {
+  results: T[];
+  /** Token for the next page, or null after the last one. */
+  nextToken: string | null;
+}
+
+export interface PageOptions {
+  /** Results per request. Default: 50 */
+  limit?: number;
+  /** Resume from a previous `nextToken`. */
+  pageToken?: string;
+  /** Extra query parameters, e.g. { occurredAfter: '2025-01-01T00:00:00Z' }. */
+  params?: Record<string, string | number>;
+}
+
+export interface ListOptions<T> extends PageOptions {
+  /** Follow next-page tokens until every result is fetched. */
+  all?: boolean;
+  /** Stop after this many results across pages. */
+  max?: number;
+  /** Client-side predicate applied while paging. */
+  filter?: (record: T) => boolean;
+}
+
+export interface Versioned<T> {
+  record: T;
+  /** Pass back as `etag` on update/delete to fail with 412 on concurrent edits. */
+  etag: string | null;
+}
+
+export interface WriteOptions {
+  etag?: string | null;
+}
+
+export interface LayerRange {
+  /** First byte, inclusive. Default: 0 */
+  start?: number;
+  /** Last byte, inclusive. Default: end of file */
+  end?: number;
+}
+
+export interface LayerChunk {
+  data: Buffer;
+  partial: boolean;
+  start: number;
+  total: number | null;
+}
+
+export interface ResourceListing<T> extends AsyncIterable<T> {
+  list(options?: ListOptions<T>): Promise<Page<T>>;
+  /** Yields every record, fetching pages lazily. */
+  iterate(options?: PageOptions): AsyncIterableIterator<T>;
+  /** Yields one page at a time. */
+  pages(options?: PageOptions): AsyncIterableIterator<Page<T>>;
+}
+
+export interface FieldsResource extends ResourceListing<Field> {
+  get(id: string): Promise<Field>;
+  getVersion(id: string): Promise<Versioned<Field>>;
+  create(values: { name: string; acres?: number; boundary?: Geometry; farmId?: string }): Promise<Field>;
+  update(id: string, changes: Partial<Omit<Field, 'id'>> & { boundary?: Geometry }, options?: WriteOptions): Promise<Field>;
+  delete(id: string, options?: WriteOptions): Promise<void>;
+}
+
+export interface FarmsResource extends ResourceListing<Farm> {
+  get(id: string): Promise<Farm>;
+  getVersion(id: string): Promise<Versioned<Farm>>;
+  create(values: { name: string }): Promise<Farm>;
+  update(id: string, changes: { name?: string }, options?: WriteOptions): Promise<Farm>;
+  delete(id: string, options?: WriteOptions): Promise<void>;
+}
+
+export interface BoundariesResource extends ResourceListing<Boundary> {
+  get(id: string): Promise<Boundary>;
+  getVersion(id: string): Promise<Versioned<Boundary>>;
+  update(id: string, changes: { geometry?: Geometry; acres?: number }, options?: WriteOptions): Promise<Boundary>;
+}
+
+export interface ActivitiesResource extends ResourceListing<ActivitySummary> {
+  get(id: string): Promise<ActivitySummary>;
+  /** Fetches a byte range of the raw layer file behind an activity. */
+  layerChunk(id: string, range?: LayerRange): Promise<LayerChunk>;
+}
+
+export interface ApplicationActivity extends ActivitySummary {
+  product?: string;
+  rate?: number;
+  rateUnit?: string;
+}
+
+export interface ApplicationResource extends ResourceListing<ApplicationActivity> {
+  get(id: string): Promise<ApplicationActivity>;
+  /** Fetches a byte range of the raw as-applied layer file. */
+  layerChunk(id: string, range?: LayerRange): Promise<LayerChunk>;
+}
+
+export interface ScoutingAttachment {
+  id: string;
+  filename?: string;
+  contentType?: string;
+  length?: number;
+  createdAt?: string;
+  [key: string]: unknown;
+}
+
+export interface ScoutingObservation {
+  id: string;
+  fieldId?: string;
+  fieldName?: string;
+  title?: string;
+  notes?: string;
+  observedAt?: string;
+  location?: Geometry;
+  attachmentCount?: number;
+  [key: string]: unknown;
+}
+
+export interface ScoutingResource extends ResourceListing<ScoutingObservation> {
+  get(id: string): Promise<ScoutingObservation>;
+  /** Every attachment's metadata; all pages are fetched. */
+  attachments(id: string): Promise<Page<ScoutingAttachment>>;
+  attachment(id: string, attachmentId: string): Promise<{ data: Buffer; contentType: string | null }>;
+}
+
+export interface SoilMeasurement {
+  parameter: string;
+  value: number | string | null;
+  unit?: string | null;
+}
+
+export interface SoilSample {
+  id: string;
+  fieldId?: string;
+  fieldName?: string;
+  sampledAt?: string;
+  labName?: string;
+  sampleCount?: number;
+  samples?: Array<{ id?: string; location?: Geometry; measurements?: SoilMeasurement[]; [key: string]: unknown }>;
+  [key: string]: unknown;
+}
+
+export interface SoilResource extends ResourceListing<SoilSample> {
+  get(id: string): Promise<SoilSample>;
+}
+
+export interface UploadResult {
+  id: string;
+  bytes: number;
+  /** Base64 MD5 announced to FieldView. */
+  md5: string;
+  contentType: string;
+}
+
+export interface UploadStatus {
+  id: string;
+  /** UPLOADING, IN_PROGRESS, SUCCESS, INVALID, ... */
+  status: string;
+  message?: string;
+  [key: string]: unknown;
+}
+
+export interface UploadsResource {
+  /** Sends a file with the chunked upload protocol. `contentType` defaults to a zipped Shapefile prescription. */
+  upload(path: string, options?: {
+    contentType?: string;
+    /** Bytes per chunk, at most 5 MiB. */
+    chunkSize?: number;
+    onProgress?: (progress: { uploaded: number; total: number }) => void;
+  }): Promise<UploadResult>;
+  status(id: string): Promise<UploadStatus>;
+  /** Polls until a terminal status or `timeout` (ms, default 10 minutes). */
+  wait(id: string, options?: {
+    interval?: number;
+    timeout?: number;
+    onStatus?: (status: UploadStatus) => void;
+  }): Promise<UploadStatus & { timedOut: boolean }>;
+}
+
+export type WebhookEvent =
+  | 'harvest.created'
+  | 'harvest.updated'
+  | 'planting.created'
+  | 'planting.updated'
+  | 'field.created'
+  | 'field.updated'
+  | 'boundary.updated';
+
+export interface Webhook {
+  id: string;
+  url: string;
+  events: WebhookEvent[];
+  createdAt?: string;
+  [key: string]: unknown;
+}
+
+export interface WebhooksResource extends ResourceListing<Webhook> {
+  get(id: string): Promise<Webhook>;
+  /** `secret` signs every delivery; see README "Webhooks". */
+  create(values: { url: string; events: WebhookEvent[]; secret: string }): Promise<Webhook>;
+  delete(id: string): Promise<void>;
+  /** Asks FieldView to deliver a signed test event. */
+  test(id: string, options?: { event?: WebhookEvent }): Promise<unknown>;
+}
+
+export class ClimateClient {
+  constructor(options: ClimateClientOptions);
+  readonly fields: FieldsResource;
+  readonly farms: FarmsResource;
+  readonly boundaries: BoundariesResource;
+  readonly harvest: ActivitiesResource;
+  readonly planting: ActivitiesResource;
+  readonly application: ApplicationResource;
+  readonly scouting: ScoutingResource;
+  readonly soil: SoilResource;
+  readonly uploads: UploadsResource;
+  readonly webhooks: WebhooksResource;
+}
+
+export const EXIT_CODES: {
+  general: 1;
+  validation: 2;
+  auth: 3;
+  notFound: 4;
+  rateLimit: 5;
+  conflict: 6;
+  network: 7;
+  server: 8;
+};
+
+export interface ClimateErrorJSON {
+  type: string;
+  message: string;
+  exitCode: number;
+  status: number | null;
+  requestId: string | null;
+  body: unknown;
+}
+
+/** Base class of every error the client throws. */
+export class ClimateError extends Error {
+  constructor(message: string, details?: { status?: number | null; requestId?: string | null; body?: unknown; cause?: unknown });
+  /** HTTP status, or null when no response was received. */
+  readonly status: number | null;
+  readonly requestId: string | null;
+  /** Parsed response body, if any. */
+  readonly body: unknown;
+  readonly exitCode: number;
+  toJSON(): ClimateErrorJSON;
+}
+
+/** Invalid input, or a 400/422 response. */
+export class ValidationError extends ClimateError {}
+/** 401/403, or a failed token exchange. */
+export class AuthError extends ClimateError {}
+/** 404. */
+export class NotFoundError extends ClimateError {}
+/** 429 after retries ran out. */
+export class RateLimitError extends ClimateError {
+  /** Raw Retry-After header value. */
+  readonly retryAfter: string | null;
+  toJSON(): ClimateErrorJSON & { retryAfter: string | null };
+}
+/** 409/412: the record changed since it was read. */
+export class ConflictError extends ClimateError {}
+/** Timeouts and connection failures. */
+export class NetworkError extends ClimateError {}
+/** 5xx after retries ran out. */
+export class ServerError extends ClimateError {}
@@ -0,0 +1,119 @@
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function coordinatesXml(ring) {
+  return ring.map(([lon, lat]) => `${lon},${lat}`).join(' ');
+}
+
+function polygonXml(rings) {
+  const [outer, ...holes] = rings;
+  return [
+    '<Polygon>',
+    `<outerBoundaryIs><LinearRing><coordinates>${coordinatesXml(outer)}</coordinates></LinearRing></outerBoundaryIs>`,
+    ...holes.map(hole => `<innerBoundaryIs><LinearRing><coordinates>${coordinatesXml(hole)}</coordinates></LinearRing></innerBoundaryIs>`),
+    '</Polygon>'
+  ].join('');
+}
+
+function geometryXml(geometry) {
+  if (!geometry) return '';
+  switch (geometry.type) {
+    case 'Point':
+      return `<Point><coordinates>${geometry.coordinates[0]},${geometry.coordinates[1]}</coordinates></Point>`;
+    case 'LineString':
+      return `<LineString><coordinates>${coordinatesXml(geometry.coordinates)}</coordinates></LineString>`;
+    case 'Polygon':
+      return polygonXml(geometry.coordinates);
+    case 'MultiPolygon':
+      return `<MultiGeometry>${geometry.coordinates.map(polygonXml).join('')}</MultiGeometry>`;
+    default:
+      throw new Error(`KML export does not support ${geometry.type} geometries.`);
+  }
+}
+
+export function writeKml(features, { name = 'climatecom export', nameProperty = 'name' } = {}) {
+  const placemarks = features.map(feature => {
+    const properties = feature.properties || {};
+    const data = Object.entries(properties)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(typeof value === 'object' ? JSON.stringify(value) : value)}</value></Data>`)
+      .join('');
+    return [
+      '  <Placemark>',
+      properties[nameProperty] ? `<name>${escapeXml(properties[nameProperty])}</name>` : '',
+      data ? `<ExtendedData>${data}</ExtendedData>` : '',
+      geometryXml(feature.geometry),
+      '</Placemark>'
+    ].join('');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `  <name>${escapeXml(name)}</name>`,
+    ...placemarks,
+    '</Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+// ============================================================
+// READING
+// ============================================================
+
+function unescapeXml(value) {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function tagContents(xml, tag) {
+  const pattern = new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+function parseCoordinates(text) {
+  return unescapeXml(text)
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+}
+
+function parsePolygon(xml) {
+  const outer = tagContents(xml, 'outerBoundaryIs').flatMap(part => tagContents(part, 'coordinates'));
+  const inner = tagContents(xml, 'innerBoundaryIs').flatMap(part => tagContents(part, 'coordinates'));
+  return [...outer, ...inner].map(parseCoordinates);
+}
+
+function parseProperties(xml) {
+  const properties = {};
+  const name = tagContents(xml, 'name')[0];
+  if (name !== undefined) properties.name = unescapeXml(name);
+  for (const match of xml.matchAll(/<(?:\w+:)?(?:Data|SimpleData)\s+name="([^"]*)"[^>]*>([\s\S]*?)<\/(?:\w+:)?(?:Data|SimpleData)>/g)) {
+    const value = tagContents(match[2], 'value')[0] ?? match[2];
+    properties[match[1]] = unescapeXml(value);
+  }
+  return properties;
+}
+
+export function readKml(text) {
+  const features = tagContents(text, 'Placemark').map(placemark => {
+    const polygons = tagContents(placemark, 'Polygon').map(parsePolygon);
+    let geometry = null;
+    if (polygons.length === 1) geometry = { type: 'Polygon', coordinates: polygons[0] };
+    else if (polygons.length > 1) geometry = { type: 'MultiPolygon', coordinates: polygons };
+    return { type: 'Feature', geometry, properties: parseProperties(placemark.replace(/<(?:\w+:)?(?:Polygon|MultiGeometry)\b[\s\S]*<\/(?:\w+:)?(?:Polygon|MultiGeometry)>/g, '')) };
+  });
+  return { type: 'FeatureCollection', features };
+}
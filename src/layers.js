@@ -0,0 +1,160 @@
+import { appendFile, readFile, rename, rm, stat, writeFile } from 'fs/promises';
+import { fetchLayerChunk } from './api.js';
+import { isZip, readZip } from './zip.js';
+import { readShapefile } from './shapefile.js';
+import { parseCsv, formatCsv } from './csv.js';
+import { ValidationError, fileError } from './errors.js';
+
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+// Same bounds as upload chunks
+const MIN_CHUNK_SIZE = 1024;
+const MAX_CHUNK_SIZE = 5 * 1024 * 1024;
+
+const ALIASES = {
+  lat: ['lat', 'latitude', 'y'],
+  lon: ['lon', 'lng', 'long', 'longitude', 'x'],
+  yield: ['yield', 'yld', 'yldvol', 'yldvoldr', 'yieldvol', 'vryieldvol', 'yieldvolume', 'drymass', 'yldmassdr'],
+  seedingRate: ['seedingrate', 'seedrate', 'vrseedrate', 'apprate', 'apprateseed', 'population', 'rate'],
+  appliedRate: ['appliedrate', 'rateapplied', 'actualrate', 'vrapprate', 'apprate', 'rate'],
+  moisture: ['moisture', 'moist', 'grainmoisture', 'vrmoisture', 'moisturepct'],
+  speed: ['speed', 'spd', 'vehicspeed', 'vehiclespeed', 'groundspeed'],
+  elevation: ['elevation', 'elev', 'altitude', 'alt', 'elevationft', 'elevationm']
+};
+
+export const POINT_COLUMNS = {
+  harvest: ['lat', 'lon', 'yield', 'moisture', 'speed', 'elevation'],
+  planting: ['lat', 'lon', 'seedingRate', 'speed', 'elevation'],
+  application: ['lat', 'lon', 'appliedRate', 'speed', 'elevation']
+};
+
+async function fileSize(path) {
+  try {
+    return (await stat(path)).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+}
+
+// ============================================================
+// DOWNLOAD
+// ============================================================
+
+// Downloads into `<destination>.part` using ranged requests so an interrupted
+// transfer picks up where it stopped on the next run.
+export async function downloadLayer(activityType, activityId, destination, { chunkSize = DEFAULT_CHUNK_SIZE, restart = false, onProgress } = {}) {
+  if (!(chunkSize >= MIN_CHUNK_SIZE && chunkSize <= MAX_CHUNK_SIZE)) {
+    throw new ValidationError(`Chunk size must be between 1 KB and ${MAX_CHUNK_SIZE / 1024 / 1024} MB.`);
+  }
+  const partPath = `${destination}.part`;
+  if (restart) await rm(partPath, { force: true });
+  let downloaded = await fileSize(partPath);
+  const resumedFrom = downloaded;
+  let total = null;
+
+  while (total === null || downloaded < total) {
+    const chunk = await fetchLayerChunk(activityType, activityId, { start: downloaded, end: downloaded + chunkSize - 1 });
+    if (!chunk.partial) {
+      // Server ignored the Range header and sent the whole file
+      await writeFile(partPath, chunk.data);
+      downloaded = chunk.data.length;
+      total = downloaded;
+      onProgress?.({ downloaded, total });
+      break;
+    }
+    if (chunk.start !== downloaded) {
+      throw new Error(`Unexpected range from server: requested byte ${downloaded}, got ${chunk.start}. Retry with --restart.`);
+    }
+    if (chunk.data.length > 0) await appendFile(partPath, chunk.data);
+    downloaded += chunk.data.length;
+    total = chunk.total ?? (chunk.data.length < chunkSize ? downloaded : null);
+    onProgress?.({ downloaded, total });
+    if (chunk.data.length === 0) break;
+  }
+
+  await rename(partPath, destination);
+  return { path: destination, bytes: downloaded, resumedFrom };
+}
+
+// ============================================================
+// PARSING
+// ============================================================
+
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function pick(properties, names) {
+  const lookup = Object.fromEntries(Object.keys(properties).map(key => [normalizeKey(key), key]));
+  for (const name of names) {
+    const key = lookup[name];
+    if (key === undefined) continue;
+    const value = Number(properties[key]);
+    if (properties[key] !== null && properties[key] !== '' && !Number.isNaN(value)) return value;
+  }
+  return null;
+}
+
+function featuresFromShapefile(entries) {
+  const shpEntries = entries.filter(entry => /\.shp$/i.test(entry.name));
+  return shpEntries.flatMap(shpEntry => {
+    const base = shpEntry.name.replace(/\.shp$/i, '');
+    const dbfEntry = entries.find(entry => entry.name.toLowerCase() === `${base}.dbf`.toLowerCase());
+    return readShapefile({ shp: shpEntry.data(), dbf: dbfEntry?.data() }).features;
+  });
+}
+
+function featuresFromRows(rows) {
+  return rows.map(row => ({ type: 'Feature', geometry: null, properties: row }));
+}
+
+function featuresFromText(text) {
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const json = JSON.parse(trimmed);
+    if (json.type === 'FeatureCollection') return json.features;
+    return featuresFromRows(Array.isArray(json) ? json : (json.results || json.points || []));
+  }
+  return featuresFromRows(parseCsv(text));
+}
+
+export function readLayerFeatures(buffer) {
+  if (!isZip(buffer)) return featuresFromText(buffer.toString('utf8'));
+  const entries = readZip(buffer);
+  if (entries.some(entry => /\.shp$/i.test(entry.name))) return featuresFromShapefile(entries);
+  const dataEntry = entries.find(entry => /\.(csv|json|geojson)$/i.test(entry.name));
+  if (!dataEntry) {
+    throw new Error(`No supported layer data in archive (found: ${entries.map(entry => entry.name).join(', ') || 'nothing'}).`);
+  }
+  return featuresFromText(dataEntry.data().toString('utf8'));
+}
+
+export function normalizePoints(features, activityType) {
+  return features
+    .map(feature => {
+      const properties = feature.properties || {};
+      const coordinates = feature.geometry?.type === 'Point' ? feature.geometry.coordinates : [];
+      const values = {
+        lat: coordinates[1] ?? pick(properties, ALIASES.lat),
+        lon: coordinates[0] ?? pick(properties, ALIASES.lon),
+        elevation: pick(properties, ALIASES.elevation) ?? coordinates[2] ?? null
+      };
+      return Object.fromEntries(POINT_COLUMNS[activityType].map(column =>
+        [column, column in values ? values[column] : pick(properties, ALIASES[column])]
+      ));
+    })
+    .filter(point => point.lat !== null && point.lon !== null);
+}
+
+export async function parseLayerFile(path, activityType) {
+  const buffer = await readFile(path).catch(error => { throw fileError(error, path); });
+  return normalizePoints(readLayerFeatures(buffer), activityType);
+}
+
+export async function writePoints(points, path, activityType) {
+  if (/\.json$/i.test(path)) {
+    await writeFile(path, JSON.stringify(points, null, 2) + '\n');
+  } else {
+    await writeFile(path, formatCsv(points, POINT_COLUMNS[activityType]));
+  }
+}
@@ -0,0 +1,98 @@
+import { readFile } from 'fs/promises';
+import { dirname, extname, resolve } from 'path';
+import { parseCsv } from './csv.js';
+import { parseYaml } from './yaml.js';
+import { ValidationError, fileError } from './errors.js';
+
+function text(value) {
+  if (value === undefined || value === null) return undefined;
+  const trimmed = String(value).trim();
+  return trimmed === '' ? undefined : trimmed;
+}
+
+// CSV manifests have one row per field. Header names are matched
+// case-insensitively.
+function fromCsv(content) {
+  const rows = parseCsv(content).map(row =>
+    Object.fromEntries(Object.entries(row).map(([key, value]) => [key.trim().toLowerCase(), value])));
+  return {
+    fields: rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      farm: row.farm,
+      acres: row.acres,
+      boundary: row.boundary
+    }))
+  };
+}
+
+function parseContent(path, content) {
+  const extension = extname(path).toLowerCase();
+  if (extension === '.csv') return fromCsv(content);
+  if (extension === '.json') {
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new ValidationError(`Cannot parse ${path}: ${error.message}`);
+    }
+  }
+  if (extension === '.yaml' || extension === '.yml') {
+    try {
+      return parseYaml(content);
+    } catch (error) {
+      throw new ValidationError(`Cannot parse ${path}: ${error.message}`);
+    }
+  }
+  throw new ValidationError(`Unsupported manifest type "${extension || path}". Use .yaml, .yml, .json or .csv.`);
+}
+
+// Normalizes a manifest into { farms, fields }. Fields may be listed at the
+// top level with a `farm` reference or nested under their farm; farms that
+// are only referenced are declared implicitly. Boundary paths are resolved
+// relative to the manifest.
+export async function readManifest(path) {
+  const document = parseContent(path, await readFile(path, 'utf8').catch(error => { throw fileError(error, path); }));
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new ValidationError(`Manifest ${path} must be a mapping with "farms" and/or "fields".`);
+  }
+  const baseDir = dirname(resolve(path));
+  const errors = [];
+  const farms = [];
+  const fields = [];
+
+  const addField = (entry, label, farmName) => {
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${label}: expected a mapping.`);
+      return;
+    }
+    const field = {
+      id: text(entry.id),
+      name: text(entry.name),
+      farm: text(entry.farm) ?? farmName,
+      acres: text(entry.acres) !== undefined ? Number(entry.acres) : undefined,
+      boundary: text(entry.boundary) ? resolve(baseDir, text(entry.boundary)) : undefined
+    };
+    if (!field.name && !field.id) errors.push(`${label}: a field needs a name or an id.`);
+    if (field.acres !== undefined && !(field.acres > 0)) errors.push(`${label}: acres must be a positive number, got "${entry.acres}".`);
+    fields.push(field);
+  };
+
+  (document.farms || []).forEach((entry, i) => {
+    const label = `farms[${i}]`;
+    const farm = { id: text(entry?.id), name: text(entry?.name) };
+    if (!farm.name && !farm.id) errors.push(`${label}: a farm needs a name or an id.`);
+    farms.push(farm);
+    (entry?.fields || []).forEach((field, j) => addField(field, `${label}.fields[${j}]`, farm.name ?? farm.id));
+  });
+  (document.fields || []).forEach((entry, i) => addField(entry, `fields[${i}]`));
+
+  const declared = (ref) => farms.some(farm =>
+    [farm.id, farm.name].some(value => value && value.toLowerCase() === ref.toLowerCase()));
+  fields.forEach(field => {
+    if (field.farm && !declared(field.farm)) farms.push({ name: field.farm });
+  });
+
+  if (farms.length === 0 && fields.length === 0) errors.push('Manifest declares no farms or fields.');
+  if (errors.length > 0) throw new ValidationError(`Invalid manifest ${path}:\n  ${errors.join('\n  ')}`);
+  return { farms, fields };
+}
@@ -0,0 +1,411 @@
+import { createServer } from 'http';
+import { createInterface } from 'readline';
+import {
+  getApplicationActivity,
+  getBoundary,
+  getFarm,
+  getField,
+  getHarvestActivity,
+  getPlantingActivity,
+  getScoutingObservation,
+  getSoilSample,
+  listApplicationActivities,
+  listBoundaries,
+  listFarms,
+  listFields,
+  listHarvestActivities,
+  listPlantingActivities,
+  listScoutingObservations,
+  listSoilSamples
+} from './api.js';
+import { buildActivityFilter, buildFieldFilter } from './filters.js';
+import { getFarmWithFields } from './relations.js';
+import { errorToJSON } from './errors.js';
+
+export const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const SERVER_INFO = { name: 'climatecom', version: '1.0.0' };
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// ============================================================
+// TOOL SCHEMAS
+// ============================================================
+
+const PAGINATION_PROPERTIES = {
+  limit: { type: 'integer', minimum: 1, maximum: 100, default: 50, description: 'Results per page' },
+  pageToken: { type: 'string', description: 'Resume from the nextToken of a previous call' },
+  all: { type: 'boolean', default: false, description: 'Follow next-page tokens until every result is fetched' },
+  max: { type: 'integer', minimum: 1, description: 'Stop after this many results across pages' }
+};
+
+const ACTIVITY_FILTER_PROPERTIES = {
+  field: { type: 'string', description: 'Only activities on this field (ID or name)' },
+  farm: { type: 'string', description: 'Only activities on fields of this farm (ID or name)' },
+  crop: { type: 'string', description: 'Only activities for this crop (e.g. CORN)' },
+  season: { type: 'string', pattern: '^\\d{4}$', description: 'Only activities that started in this year' },
+  since: { type: 'string', description: 'Only activities on or after this date (YYYY-MM-DD or ISO 8601)' },
+  until: { type: 'string', description: 'Only activities on or before this date (YYYY-MM-DD or ISO 8601)' }
+};
+
+const LAYER_FILTER_PROPERTIES = {
+  field: { type: 'string', description: 'Only records for this field (ID or name)' },
+  farm: { type: 'string', description: 'Only records for fields of this farm (ID or name)' }
+};
+
+const LIST_OUTPUT = {
+  type: 'object',
+  properties: {
+    results: { type: 'array', items: { type: 'object' } },
+    nextToken: { type: ['string', 'null'], description: 'Pass as pageToken to fetch the next page; null after the last page' }
+  },
+  required: ['results', 'nextToken']
+};
+
+const RECORD_OUTPUT = { type: 'object' };
+
+function listSchema(extra = {}) {
+  return { type: 'object', properties: { ...PAGINATION_PROPERTIES, ...extra }, additionalProperties: false };
+}
+
+function getSchema(label, extra = {}) {
+  return {
+    type: 'object',
+    properties: { id: { type: 'string', minLength: 1, description: `${label} ID` }, ...extra },
+    required: ['id'],
+    additionalProperties: false
+  };
+}
+
+function pagination(args) {
+  return { limit: args.limit ?? 50, pageToken: args.pageToken, all: !!args.all, max: args.max };
+}
+
+const TOOLS = [
+  {
+    name: 'list_fields',
+    description: 'List farm fields with acreage, farm and boundary IDs.',
+    inputSchema: listSchema({ farm: { type: 'string', description: 'Only fields of this farm (ID or name)' } }),
+    outputSchema: LIST_OUTPUT,
+    run: (args) => listFields({ ...pagination(args), ...buildFieldFilter(args) })
+  },
+  {
+    name: 'get_field',
+    description: 'Get one field by ID.',
+    inputSchema: getSchema('Field'),
+    outputSchema: RECORD_OUTPUT,
+    run: (args) => getField(args.id)
+  },
+  {
+    name: 'list_farms',
+    description: 'List farms.',
+    inputSchema: listSchema(),
+    outputSchema: LIST_OUTPUT,
+    run: (args) => listFarms(pagination(args))
+  },
+  {
+    name: 'get_farm',
+    description: 'Get one farm by ID, optionally with its fields.',
+    inputSchema: getSchema('Farm', { includeFields: { type: 'boolean', default: false, description: 'Include the farm\'s fields' } }),
+    outputSchema: RECORD_OUTPUT,
+    run: (args) => args.includeFields ? getFarmWithFields(args.id) : getFarm(args.id)
+  },
+  {
+    name: 'list_boundaries',
+    description: 'List field boundaries.',
+    inputSchema: listSchema(),
+    outputSchema: LIST_OUTPUT,
+    run: (args) => listBoundaries(pagination(args))
+  },
+  {
+    name: 'get_boundary',
+    description: 'Get one field boundary by ID, including its GeoJSON geometry.',
+    inputSchema: getSchema('Boundary'),
+    outputSchema: RECORD_OUTPUT,
+    run: (args) => getBoundary(args.id)
+  },
+  {
+    name: 'list_harvest_activities',
+    description: 'List harvest activity summaries, optionally filtered by field, farm, crop or date.',
+    inputSchema: listSchema(ACTIVITY_FILTER_PROPERTIES),
+    outputSchema: LIST_OUTPUT,
+    run: async (args) => listHarvestActivities({ ...pagination(args), ...(await buildActivityFilter(args)) })
+  },
+  {
+    name: 'get_harvest_activity',
+    description: 'Get one harvest activity summary by ID.',
+    inputSchema: getSchema('Harvest activity'),
+    outputSchema: RECORD_OUTPUT,
+    run: (args) => getHarvestActivity(args.id)
+  },
+  {
+    name: 'list_planting_activities',
+    description: 'List planting activity summaries, optionally filtered by field, farm, crop or date.',
+    inputSchema: listSchema(ACTIVITY_FILTER_PROPERTIES),
+    outputSchema: LIST_OUTPUT,
+    run: async (args) => listPlantingActivities({ ...pagination(args), ...(await buildActivityFilter(args)) })
+  },
+  {
+    name: 'get_planting_activity',
+    description: 'Get one planting activity summary by ID.',
+    inputSchema: getSchema('Planting activity'),
+    outputSchema: RECORD_OUTPUT,
+    run: (args) => getPlantingActivity(args.id)
+  },
+  {
+    name: 'list_application_activities',
+    description: 'List application (as-applied) activity summaries, optionally filtered by field, farm, crop or date.',
+    inputSchema: listSchema(ACTIVITY_FILTER_PROPERTIES),
+    outputSchema: LIST_OUTPUT,
+    run: async (args) => listApplicationActivities({ ...pagination(args), ...(await buildActivityFilter(args)) })
+  },
+  {
+    name: 'get_application_activity',
+    description: 'Get one application activity summary by ID, including product and rate.',
+    inputSchema: getSchema('Application activity'),
+    outputSchema: RECORD_OUTPUT,
+    run: (args) => getApplicationActivity(args.id)
+  },
+  {
+    name: 'list_scouting_observations',
+    description: 'List scouting observations (title, notes, location, attachment count), optionally filtered by field or farm.',
+    inputSchema: listSchema(LAYER_FILTER_PROPERTIES),
+    outputSchema: LIST_OUTPUT,
+    run: async (args) => listScoutingObservations({ ...pagination(args), ...(await buildActivityFilter(args)) })
+  },
+  {
+    name: 'get_scouting_observation',
+    description: 'Get one scouting observation by ID.',
+    inputSchema: getSchema('Scouting observation'),
+    outputSchema: RECORD_OUTPUT,
+    run: (args) => getScoutingObservation(args.id)
+  },
+  {
+    name: 'list_soil_samples',
+    description: 'List soil sampling results (lab, date, sample count), optionally filtered by field or farm.',
+    inputSchema: listSchema(LAYER_FILTER_PROPERTIES),
+    outputSchema: LIST_OUTPUT,
+    run: async (args) => listSoilSamples({ ...pagination(args), ...(await buildActivityFilter(args)) })
+  },
+  {
+    name: 'get_soil_sample',
+    description: 'Get one soil sampling result by ID with every sample\'s measurements.',
+    inputSchema: getSchema('Soil sampling result'),
+    outputSchema: RECORD_OUTPUT,
+    run: (args) => getSoilSample(args.id)
+  }
+];
+
+// ============================================================
+// ARGUMENT VALIDATION
+// ============================================================
+
+function typeMatches(type, value) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'string') return typeof value === 'string';
+  if (type === 'boolean') return typeof value === 'boolean';
+  return true;
+}
+
+// Covers the subset of JSON Schema the tool schemas above use.
+function validateArguments(schema, args) {
+  if (args === null || typeof args !== 'object' || Array.isArray(args)) return ['arguments must be an object'];
+  const errors = [];
+  (schema.required || []).forEach(name => {
+    if (args[name] === undefined) errors.push(`"${name}" is required`);
+  });
+  Object.entries(args).forEach(([name, value]) => {
+    const property = schema.properties[name];
+    if (!property) {
+      errors.push(`unknown argument "${name}"`);
+      return;
+    }
+    if (!typeMatches(property.type, value)) {
+      errors.push(`"${name}" must be ${property.type === 'integer' ? 'an integer' : `a ${property.type}`}`);
+      return;
+    }
+    if (property.minimum !== undefined && value < property.minimum) errors.push(`"${name}" must be at least ${property.minimum}`);
+    if (property.maximum !== undefined && value > property.maximum) errors.push(`"${name}" must be at most ${property.maximum}`);
+    if (property.minLength !== undefined && value.length < property.minLength) errors.push(`"${name}" must not be empty`);
+    if (property.pattern && !new RegExp(property.pattern).test(value)) errors.push(`"${name}" has an invalid format`);
+  });
+  return errors;
+}
+
+// ============================================================
+// JSON-RPC DISPATCH
+// ============================================================
+
+export function listTools() {
+  return TOOLS.map(({ name, description, inputSchema, outputSchema }) => ({ name, description, inputSchema, outputSchema }));
+}
+
+// API failures are tool results with isError set and the same error object
+// `--json` prints, so the calling model can see and react to them; only
+// malformed calls are JSON-RPC errors.
+export async function callTool(name, args = {}) {
+  const tool = TOOLS.find(candidate => candidate.name === name);
+  if (!tool) throw new RpcError(INVALID_PARAMS, `Unknown tool: ${name}`);
+  const errors = validateArguments(tool.inputSchema, args);
+  if (errors.length > 0) throw new RpcError(INVALID_PARAMS, `Invalid arguments for ${name}: ${errors.join('; ')}`);
+  try {
+    const result = (await tool.run(args)) ?? {};
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      structuredContent: result
+    };
+  } catch (error) {
+    const details = errorToJSON(error);
+    return {
+      content: [{ type: 'text', text: JSON.stringify(details, null, 2) }],
+      structuredContent: details,
+      isError: true
+    };
+  }
+}
+
+async function dispatch(method, params = {}) {
+  switch (method) {
+    case 'initialize': {
+      const requested = params.protocolVersion;
+      return {
+        protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: SERVER_INFO,
+        instructions: 'Read-only access to Climate FieldView farms, fields, boundaries and activities. List tools return { results, nextToken }; pass nextToken back as pageToken for the next page.'
+      };
+    }
+    case 'ping':
+      return {};
+    case 'tools/list':
+      return { tools: listTools() };
+    case 'tools/call':
+      if (!params || typeof params.name !== 'string') throw new RpcError(INVALID_PARAMS, 'tools/call needs a tool name.');
+      return callTool(params.name, params.arguments ?? {});
+    default:
+      throw new RpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+  }
+}
+
+function errorResponse(id, code, message) {
+  return { jsonrpc: '2.0', id: id ?? null, error: { code, message } };
+}
+
+async function handleOne(message) {
+  if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    // Responses from the client (we never send requests) are ignored
+    if (message && typeof message === 'object' && message.jsonrpc === '2.0' && message.method === undefined) return null;
+    return errorResponse(message?.id, INVALID_REQUEST, 'Invalid JSON-RPC request.');
+  }
+  const isNotification = message.id === undefined;
+  try {
+    const result = await dispatch(message.method, message.params);
+    return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+  } catch (error) {
+    if (isNotification) return null;
+    return errorResponse(message.id, error instanceof RpcError ? error.code : INTERNAL_ERROR, error.message);
+  }
+}
+
+// Handles one request, notification or batch. Returns the response to send,
+// or null when nothing should be sent back.
+export async function handleMessage(text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch {
+    return errorResponse(null, PARSE_ERROR, 'Parse error: message is not valid JSON.');
+  }
+  if (Array.isArray(message)) {
+    if (message.length === 0) return errorResponse(null, INVALID_REQUEST, 'Empty batch.');
+    const responses = (await Promise.all(message.map(handleOne))).filter(Boolean);
+    return responses.length > 0 ? responses : null;
+  }
+  return handleOne(message);
+}
+
+// ============================================================
+// TRANSPORTS
+// ============================================================
+
+// Newline-delimited JSON-RPC on stdin/stdout. Requests are handled
+// concurrently and answered as they complete; stdout carries nothing else.
+export function serveStdio({ input = process.stdin, output = process.stdout } = {}) {
+  const lines = createInterface({ input, crlfDelay: Infinity });
+  const pending = new Set();
+  lines.on('line', (line) => {
+    if (!line.trim()) return;
+    const task = handleMessage(line).then(response => {
+      if (response) output.write(JSON.stringify(response) + '\n');
+    });
+    pending.add(task);
+    task.finally(() => pending.delete(task));
+  });
+  return new Promise(resolve => {
+    lines.on('close', () => Promise.allSettled([...pending]).then(() => resolve()));
+  });
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large.'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+// JSON-RPC over HTTP POST at /mcp, answered with plain JSON (no event
+// streams, since no tool sends progress or server-initiated requests).
+export function serveHttp({ port, host = '127.0.0.1' }) {
+  const server = createServer(async (request, response) => {
+    const send = (status, body) => {
+      response.writeHead(status, body === undefined ? {} : { 'Content-Type': 'application/json' });
+      response.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+    if (new URL(request.url, 'http://localhost').pathname !== '/mcp') {
+      send(404, errorResponse(null, INVALID_REQUEST, 'Not found. POST JSON-RPC messages to /mcp.'));
+      return;
+    }
+    if (request.method !== 'POST') {
+      response.setHeader('Allow', 'POST');
+      send(405, errorResponse(null, INVALID_REQUEST, 'Method not allowed. POST JSON-RPC messages to /mcp.'));
+      return;
+    }
+    let body;
+    try {
+      body = await readBody(request);
+    } catch (error) {
+      send(413, errorResponse(null, INVALID_REQUEST, error.message));
+      return;
+    }
+    const reply = await handleMessage(body);
+    if (reply) send(200, reply);
+    else send(202);
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
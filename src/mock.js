@@ -0,0 +1,586 @@
+import { createServer } from 'http';
+import { createHash, randomUUID } from 'crypto';
+import { appendFile, mkdir, readFile, readdir } from 'fs/promises';
+import { extname, join } from 'path';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import { RESOURCE_PATHS } from './api.js';
+import { ValidationError } from './errors.js';
+import { SIGNATURE_HEADER, TIMESTAMP_HEADER, signPayload } from './webhooks.js';
+import { redactSecrets } from './trace.js';
+
+export const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL('../fixtures/mock', import.meta.url));
+export const RECORDING_FILE = 'recordings.ndjson';
+
+const TOKEN_PATH = '/api/oauth/token';
+const MAX_LIMIT = 100;
+const LAYER_KINDS = ['asHarvested', 'asPlanted', 'asApplied'];
+const UPLOADS_PATH = '/v4/uploads';
+// Activities are read-only in FieldView; the mock also accepts POST and PATCH
+// for them so new activities can be simulated for `sync` and `watch`.
+const WRITABLE = ['farms', 'fields', 'boundaries', 'webhooks', 'harvest', 'planting', 'application'];
+
+// Request headers that select a response and are kept in recordings.
+// Credentials are never written.
+const MATCH_HEADERS = ['x-limit', 'x-next-token', 'range'];
+const FORWARD_HEADERS = ['accept', 'authorization', 'content-type', 'if-match', 'range', 'x-api-key', 'x-limit', 'x-next-token'];
+const KEPT_RESPONSE_HEADERS = ['content-type', 'content-range', 'etag', 'location', 'retry-after', 'x-next-token'];
+
+function readJsonFile(path, content) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Cannot parse ${path}: ${error.message}`);
+  }
+}
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+// A fixture directory holds <resource>.json files (an array of records or a
+// { results } page) for each resource, optional raw layer files under
+// layers/<asHarvested|asPlanted|asApplied>/<id>.*, and scouting attachment
+// contents under attachments/<attachment-id>.*. Scouting observations list
+// their attachments' metadata in an `attachments` array. Missing resource
+// files serve empty lists.
+export async function loadFixtures(dir = DEFAULT_FIXTURES_DIR) {
+  const data = {};
+  for (const resource of Object.keys(RESOURCE_PATHS)) {
+    const path = join(dir, `${resource}.json`);
+    let content;
+    try {
+      content = await readFile(path, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      data[resource] = [];
+      continue;
+    }
+    const parsed = readJsonFile(path, content);
+    const records = Array.isArray(parsed) ? parsed : parsed?.results;
+    if (!Array.isArray(records)) throw new Error(`${path} must contain an array of records or { "results": [...] }.`);
+    data[resource] = records;
+  }
+
+  const layers = {};
+  for (const kind of LAYER_KINDS) {
+    let names = [];
+    try {
+      names = await readdir(join(dir, 'layers', kind));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    for (const name of names) {
+      layers[`${kind}/${name.slice(0, name.length - extname(name).length)}`] = join(dir, 'layers', kind, name);
+    }
+  }
+
+  const attachments = {};
+  let names = [];
+  try {
+    names = await readdir(join(dir, 'attachments'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  for (const name of names) {
+    attachments[name.slice(0, name.length - extname(name).length)] = join(dir, 'attachments', name);
+  }
+  return { data, layers, attachments };
+}
+
+// ============================================================
+// ERROR INJECTION
+// ============================================================
+
+// Rules look like `<status>[x<count>|x*][@<path-prefix>]`, e.g. `429`,
+// `503x3@/v4/fields` or `401x*`. Each matching request consumes one failure
+// until the count runs out; `x*` never runs out.
+export function parseFailureRule(text) {
+  const match = /^(\d{3})(?:x(\d+|\*))?(?:@(\/\S*))?$/.exec(String(text).trim());
+  if (!match || Number(match[1]) < 400) {
+    throw new ValidationError(`Invalid failure rule "${text}". Use <status>[x<count>][@<path>], e.g. 429x2@/v4/fields.`);
+  }
+  return {
+    status: Number(match[1]),
+    remaining: match[2] === '*' ? Infinity : Number(match[2] ?? 1),
+    path: match[3] ?? '/'
+  };
+}
+
+function injectedFailure(rules, errorRate, path) {
+  const rule = rules.find(candidate => candidate.remaining > 0 && path.startsWith(candidate.path));
+  if (rule) {
+    rule.remaining -= 1;
+    return rule.status;
+  }
+  return errorRate > 0 && Math.random() < errorRate ? 503 : null;
+}
+
+function failureBody(status) {
+  const messages = {
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'Not Found',
+    409: 'Conflict',
+    412: 'Precondition Failed',
+    429: 'Too Many Requests'
+  };
+  return { message: messages[status] ?? (status >= 500 ? 'Injected server error' : 'Injected client error') };
+}
+
+// ============================================================
+// RECORDINGS
+// ============================================================
+
+function requestKey(method, url, headers) {
+  const parsed = new URL(url, 'http://mock');
+  const query = [...parsed.searchParams.entries()].sort(([a], [b]) => a.localeCompare(b));
+  const selectors = MATCH_HEADERS.map(name => `${name}=${headers[name] ?? ''}`);
+  return [method.toUpperCase(), parsed.pathname, new URLSearchParams(query).toString(), ...selectors].join(' ');
+}
+
+function encodeBody(buffer, contentType) {
+  if (buffer.length === 0) return { body: null };
+  if (/json/i.test(contentType || '')) {
+    try {
+      return { body: redactSecrets(JSON.parse(buffer.toString('utf8'))) };
+    } catch {
+      // Not actually JSON; fall through to text or base64
+    }
+  }
+  if (/^text\//i.test(contentType || '')) return { body: buffer.toString('utf8'), encoding: 'text' };
+  return { body: buffer.toString('base64'), encoding: 'base64' };
+}
+
+function decodeBody(entry) {
+  if (entry.body === null || entry.body === undefined) return Buffer.alloc(0);
+  if (entry.encoding === 'base64') return Buffer.from(entry.body, 'base64');
+  if (entry.encoding === 'text') return Buffer.from(entry.body, 'utf8');
+  return Buffer.from(JSON.stringify(entry.body));
+}
+
+// Recorded exchanges are replayed in order per request key; once a key's
+// recordings are used up its last response keeps being served.
+export async function loadRecordings(dir) {
+  const path = join(dir, RECORDING_FILE);
+  let content;
+  try {
+    content = await readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`No recordings found at ${path}. Record some with --record first.`);
+    throw error;
+  }
+  const recordings = new Map();
+  content.split('\n').filter(line => line.trim()).forEach((line, i) => {
+    const entry = readJsonFile(`${path} line ${i + 1}`, line);
+    const key = requestKey(entry.method, entry.url, entry.requestHeaders || {});
+    if (!recordings.has(key)) recordings.set(key, []);
+    recordings.get(key).push(entry);
+  });
+  return recordings;
+}
+
+function nextRecording(recordings, key) {
+  const entries = recordings.get(key);
+  if (!entries) return null;
+  return entries.length > 1 ? entries.shift() : entries[0];
+}
+
+async function proxy(target, request, body) {
+  const headers = Object.fromEntries(FORWARD_HEADERS
+    .filter(name => request.headers[name] !== undefined)
+    .map(name => [name, request.headers[name]]));
+  const response = await axios.request({
+    method: request.method,
+    url: new URL(request.url, target).toString(),
+    headers,
+    data: body.length > 0 ? body : undefined,
+    responseType: 'arraybuffer',
+    validateStatus: () => true,
+    maxRedirects: 0,
+    timeout: 120000
+  });
+  return {
+    status: response.status,
+    headers: Object.fromEntries(KEPT_RESPONSE_HEADERS
+      .filter(name => response.headers[name] !== undefined)
+      .map(name => [name, String(response.headers[name])])),
+    body: Buffer.from(response.data)
+  };
+}
+
+function recordingEntry(request, reply) {
+  return {
+    method: request.method,
+    url: request.url,
+    requestHeaders: Object.fromEntries(MATCH_HEADERS
+      .filter(name => request.headers[name] !== undefined)
+      .map(name => [name, request.headers[name]])),
+    status: reply.status,
+    headers: reply.headers,
+    ...encodeBody(reply.body, reply.headers['content-type']),
+    recordedAt: new Date().toISOString()
+  };
+}
+
+// ============================================================
+// FIXTURE ROUTES
+// ============================================================
+
+function jsonReply(status, body, headers = {}) {
+  return {
+    status,
+    headers: { 'content-type': 'application/json', ...headers },
+    body: body === undefined ? Buffer.alloc(0) : Buffer.from(JSON.stringify(body))
+  };
+}
+
+function encodeToken(offset) {
+  return Buffer.from(`offset:${offset}`).toString('base64url');
+}
+
+function decodeToken(token) {
+  const match = /^offset:(\d+)$/.exec(Buffer.from(token, 'base64url').toString('utf8'));
+  return match ? Number(match[1]) : null;
+}
+
+function recordTime(record) {
+  const value = record.startTime || record.endTime;
+  return value ? Date.parse(value) : null;
+}
+
+// Honors the FieldView listing parameters the CLI sends: occurredAfter and
+// occurredBefore for activities, updatedAfter for incremental syncs (records
+// without updatedAt count as unchanged).
+function applyQuery(records, query) {
+  const after = query.get('occurredAfter') ? Date.parse(query.get('occurredAfter')) : null;
+  const before = query.get('occurredBefore') ? Date.parse(query.get('occurredBefore')) : null;
+  const updatedAfter = query.get('updatedAfter') ? Date.parse(query.get('updatedAfter')) : null;
+  return records.filter(record => {
+    if (after !== null || before !== null) {
+      const time = recordTime(record);
+      if (time === null) return false;
+      if (after !== null && time < after) return false;
+      if (before !== null && time > before) return false;
+    }
+    if (updatedAfter !== null && !(record.updatedAt && Date.parse(record.updatedAt) > updatedAfter)) return false;
+    return true;
+  });
+}
+
+function listRecords(records, request, query) {
+  const limit = Number(request.headers['x-limit'] ?? query.get('limit') ?? 50);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return jsonReply(400, { message: `X-Limit must be an integer between 1 and ${MAX_LIMIT}.` });
+  }
+  const token = request.headers['x-next-token'];
+  const offset = token ? decodeToken(token) : 0;
+  if (offset === null) return jsonReply(400, { message: 'Invalid X-Next-Token.' });
+  const matching = applyQuery(records, query);
+  const page = matching.slice(offset, offset + limit);
+  const headers = offset + limit < matching.length ? { 'x-next-token': encodeToken(offset + limit) } : {};
+  return jsonReply(200, { results: page }, headers);
+}
+
+function etagOf(state, record) {
+  return `"${record.id}-${state.versions.get(record) ?? 1}"`;
+}
+
+function writeRecord(state, resource, request, body, record) {
+  const records = state.data[resource];
+  if (request.headers['if-match'] && record && request.headers['if-match'] !== etagOf(state, record)) {
+    return jsonReply(412, { message: 'Precondition Failed' });
+  }
+  let changes = {};
+  if (body.length > 0) {
+    try {
+      changes = JSON.parse(body.toString('utf8'));
+    } catch {
+      return jsonReply(400, { message: 'Request body is not valid JSON.' });
+    }
+  }
+  const now = new Date().toISOString();
+  if (request.method === 'POST') {
+    const { secret, ...values } = changes;
+    const created = { id: randomUUID(), ...(resource === 'webhooks' ? values : changes), createdAt: now, updatedAt: now };
+    // Like the real API, never echo a webhook's signing secret back
+    if (resource === 'webhooks' && secret) state.webhookSecrets.set(created.id, secret);
+    records.push(created);
+    return jsonReply(201, created, { etag: etagOf(state, created), location: `${RESOURCE_PATHS[resource]}/${created.id}` });
+  }
+  if (request.method === 'DELETE') {
+    records.splice(records.indexOf(record), 1);
+    return jsonReply(204);
+  }
+  Object.assign(record, changes, { id: record.id, updatedAt: now });
+  state.versions.set(record, (state.versions.get(record) ?? 1) + 1);
+  return jsonReply(200, record, { etag: etagOf(state, record) });
+}
+
+// Serves one byte range of a layer file the way FieldView does: 206 with
+// Content-Range, or 416 when the range starts past the end.
+async function layerReply(state, kind, id, rangeHeader) {
+  const path = state.layers[`${kind}/${id}`];
+  if (!path) return jsonReply(404, { message: 'Not Found' });
+  const content = await readFile(path);
+  const match = /^bytes=(\d+)-(\d*)$/.exec(rangeHeader || '');
+  if (!match) {
+    return { status: 200, headers: { 'content-type': 'application/octet-stream' }, body: content };
+  }
+  const start = Number(match[1]);
+  if (start >= content.length) {
+    return jsonReply(416, { message: 'Range Not Satisfiable' }, { 'content-range': `bytes */${content.length}` });
+  }
+  const end = Math.min(match[2] ? Number(match[2]) : content.length - 1, content.length - 1);
+  return {
+    status: 206,
+    headers: { 'content-type': 'application/octet-stream', 'content-range': `bytes ${start}-${end}/${content.length}` },
+    body: content.subarray(start, end + 1)
+  };
+}
+
+async function attachmentReply(state, request, query, observationId, attachmentId) {
+  const observation = state.data.scouting.find(candidate => String(candidate.id) === observationId);
+  if (!observation) return jsonReply(404, { message: 'Not Found' });
+  const attachments = observation.attachments || [];
+  if (!attachmentId) return listRecords(attachments, request, query);
+  const meta = attachments.find(candidate => String(candidate.id) === attachmentId);
+  const path = state.attachments[attachmentId];
+  if (!meta || !path) return jsonReply(404, { message: 'Not Found' });
+  return {
+    status: 200,
+    headers: { 'content-type': meta.contentType || 'application/octet-stream' },
+    body: await readFile(path)
+  };
+}
+
+async function fixtureReply(state, request, body) {
+  const url = new URL(request.url, 'http://mock');
+  const path = url.pathname.replace(/\/+$/, '');
+
+  if (path === TOKEN_PATH && request.method === 'POST') {
+    state.tokens += 1;
+    return jsonReply(200, {
+      access_token: `mock-access-${state.tokens}`,
+      refresh_token: `mock-refresh-${state.tokens}`,
+      token_type: 'Bearer',
+      expires_in: 3600
+    });
+  }
+  if (!/^Bearer \S+/.test(request.headers.authorization || '')) {
+    return jsonReply(401, { message: 'Unauthorized' });
+  }
+
+  const webhookTest = new RegExp(`^${RESOURCE_PATHS.webhooks}/([^/]+)/test$`).exec(path);
+  if (webhookTest && request.method === 'POST') {
+    const webhook = state.data.webhooks.find(candidate => String(candidate.id) === decodeURIComponent(webhookTest[1]));
+    return webhook ? deliverTestEvent(state, webhook, body) : jsonReply(404, { message: 'Not Found' });
+  }
+
+  const layer = /^\/v4\/layers\/(asHarvested|asPlanted|asApplied)\/([^/]+)\/contents$/.exec(path);
+  if (layer && request.method === 'GET') return layerReply(state, layer[1], decodeURIComponent(layer[2]), request.headers.range);
+
+  const attachment = new RegExp(`^${RESOURCE_PATHS.scouting}/([^/]+)/attachments(?:/([^/]+)/contents)?$`).exec(path);
+  if (attachment && request.method === 'GET') {
+    return attachmentReply(state, request, url.searchParams, decodeURIComponent(attachment[1]), attachment[2] && decodeURIComponent(attachment[2]));
+  }
+
+  if (path === UPLOADS_PATH || path.startsWith(`${UPLOADS_PATH}/`)) return uploadReply(state, request, body, path);
+
+  for (const [resource, base] of Object.entries(RESOURCE_PATHS)) {
+    const records = state.data[resource];
+    if (path === base) {
+      if (request.method === 'GET') return listRecords(records, request, url.searchParams);
+      if (request.method === 'POST' && WRITABLE.includes(resource)) return writeRecord(state, resource, request, body, null);
+      return jsonReply(405, { message: 'Method Not Allowed' });
+    }
+    if (path.startsWith(`${base}/`) && !path.slice(base.length + 1).includes('/')) {
+      const id = decodeURIComponent(path.slice(base.length + 1));
+      const record = records.find(candidate => String(candidate.id) === id);
+      if (!record) return jsonReply(404, { message: 'Not Found' });
+      if (request.method === 'GET') return jsonReply(200, record, { etag: etagOf(state, record) });
+      if (['PATCH', 'PUT', 'DELETE'].includes(request.method) && WRITABLE.includes(resource)) {
+        return writeRecord(state, resource, request, body, record);
+      }
+      return jsonReply(405, { message: 'Method Not Allowed' });
+    }
+  }
+  return jsonReply(404, { message: `No mock route for ${request.method} ${path}` });
+}
+
+// ============================================================
+// UPLOADS
+// ============================================================
+
+// Mimics the chunked upload protocol: POST announces md5/length/contentType
+// and answers with the upload ID, PUTs must arrive in order with a matching
+// Content-Range, and the status moves UPLOADING -> IN_PROGRESS -> SUCCESS
+// (or INVALID when the assembled bytes do not match the announced MD5).
+function uploadReply(state, request, body, path) {
+  if (path === UPLOADS_PATH) {
+    if (request.method !== 'POST') return jsonReply(405, { message: 'Method Not Allowed' });
+    let announced;
+    try {
+      announced = JSON.parse(body.toString('utf8'));
+    } catch {
+      return jsonReply(400, { message: 'Request body is not valid JSON.' });
+    }
+    if (!announced?.md5 || !Number.isInteger(announced.length) || announced.length < 1 || !announced.contentType) {
+      return jsonReply(400, { message: 'md5, length and contentType are required.' });
+    }
+    const id = randomUUID();
+    state.uploads.set(id, { ...announced, chunks: [], received: 0, polls: 0 });
+    return jsonReply(201, id, { location: `${UPLOADS_PATH}/${id}` });
+  }
+
+  const match = /^\/v4\/uploads\/([^/]+)(\/status)?$/.exec(path);
+  const upload = match && state.uploads.get(decodeURIComponent(match[1]));
+  if (!upload) return jsonReply(404, { message: 'Not Found' });
+
+  if (match[2]) {
+    if (request.method !== 'GET') return jsonReply(405, { message: 'Method Not Allowed' });
+    if (upload.received < upload.length) return jsonReply(200, { status: 'UPLOADING', received: upload.received, length: upload.length });
+    if (!upload.status) {
+      const md5 = createHash('md5').update(Buffer.concat(upload.chunks)).digest('base64');
+      upload.status = md5 === upload.md5 ? 'SUCCESS' : 'INVALID';
+      if (upload.status === 'INVALID') upload.message = 'MD5 of the uploaded bytes does not match the announced md5.';
+    }
+    upload.polls += 1;
+    const status = upload.polls === 1 ? 'IN_PROGRESS' : upload.status;
+    return jsonReply(200, { status, ...(status === 'INVALID' && { message: upload.message }) });
+  }
+
+  if (request.method !== 'PUT') return jsonReply(405, { message: 'Method Not Allowed' });
+  const range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(request.headers['content-range'] || '');
+  if (!range || Number(range[3]) !== upload.length || Number(range[2]) - Number(range[1]) + 1 !== body.length) {
+    return jsonReply(400, { message: 'Content-Range is missing or does not match the chunk.' });
+  }
+  const start = Number(range[1]);
+  // A retried chunk that was already stored is accepted again
+  if (start + body.length <= upload.received) return jsonReply(204);
+  if (start !== upload.received) return jsonReply(409, { message: `Expected a chunk starting at byte ${upload.received}.` });
+  upload.chunks.push(Buffer.from(body));
+  upload.received += body.length;
+  return jsonReply(204);
+}
+
+// ============================================================
+// WEBHOOK DELIVERY
+// ============================================================
+
+// Record that a test event of `type` refers to, taken from the fixtures
+const EVENT_SUBJECTS = {
+  harvest: (record) => ({ activityId: record.id, fieldId: record.fieldId }),
+  planting: (record) => ({ activityId: record.id, fieldId: record.fieldId }),
+  field: (record) => ({ fieldId: record.id }),
+  boundary: (record) => ({ boundaryId: record.id, fieldId: record.fieldId })
+};
+const EVENT_RESOURCES = { harvest: 'harvest', planting: 'planting', field: 'fields', boundary: 'boundaries' };
+
+// Signs and POSTs a test event to the subscription's URL the way FieldView
+// would, and reports what the receiver answered.
+async function deliverTestEvent(state, webhook, body) {
+  let requested;
+  try {
+    requested = body.length > 0 ? JSON.parse(body.toString('utf8')).event : undefined;
+  } catch {
+    return jsonReply(400, { message: 'Request body is not valid JSON.' });
+  }
+  const type = requested || webhook.events?.[0] || 'harvest.created';
+  const kind = type.split('.')[0];
+  const subject = state.data[EVENT_RESOURCES[kind]]?.[0];
+  const event = {
+    id: randomUUID(),
+    type,
+    occurredAt: new Date().toISOString(),
+    test: true,
+    webhookId: webhook.id,
+    data: subject && EVENT_SUBJECTS[kind] ? EVENT_SUBJECTS[kind](subject) : {}
+  };
+  const payload = JSON.stringify(event);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const secret = state.webhookSecrets.get(webhook.id);
+  try {
+    const response = await axios.post(webhook.url, payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        [TIMESTAMP_HEADER]: timestamp,
+        ...(secret && { [SIGNATURE_HEADER]: signPayload(secret, timestamp, payload) })
+      },
+      validateStatus: () => true,
+      timeout: 10000
+    });
+    return jsonReply(200, { delivered: response.status < 300, status: response.status, event });
+  } catch (error) {
+    return jsonReply(200, { delivered: false, status: null, error: error.message, event });
+  }
+}
+
+// ============================================================
+// SERVER
+// ============================================================
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+// Serves fixtures (the default), replays recordings (`replay`), or proxies
+// to `target` while appending every exchange to `record`. Failure rules and
+// the random error rate apply in every mode, before anything else.
+export async function startMockServer({
+  port = 0,
+  host = '127.0.0.1',
+  fixtures = DEFAULT_FIXTURES_DIR,
+  failures = [],
+  errorRate = 0,
+  latency = 0,
+  record,
+  replay,
+  target,
+  onRequest
+} = {}) {
+  if (record && replay) throw new ValidationError('Choose either --record or --replay.');
+  if (record && !target) throw new ValidationError('--record needs a --target API to proxy to.');
+  const rules = failures.map(rule => typeof rule === 'string' ? parseFailureRule(rule) : rule);
+  const recordings = replay ? await loadRecordings(replay) : null;
+  const state = replay || record ? null : { ...(await loadFixtures(fixtures)), versions: new WeakMap(), webhookSecrets: new Map(), uploads: new Map(), tokens: 0 };
+  if (record) await mkdir(record, { recursive: true });
+
+  const server = createServer(async (request, response) => {
+    const started = Date.now();
+    let reply;
+    try {
+      const body = await readBody(request);
+      if (latency > 0) await new Promise(resolve => setTimeout(resolve, latency));
+      const failure = injectedFailure(rules, errorRate, new URL(request.url, 'http://mock').pathname);
+      if (failure) {
+        reply = jsonReply(failure, failureBody(failure), failure === 429 ? { 'retry-after': '1' } : {});
+      } else if (recordings) {
+        const entry = nextRecording(recordings, requestKey(request.method, request.url, request.headers));
+        reply = entry
+          ? { status: entry.status, headers: entry.headers || {}, body: decodeBody(entry) }
+          : jsonReply(501, { message: `No recording for ${request.method} ${request.url}` });
+      } else if (record) {
+        reply = await proxy(target, request, body);
+        await appendFile(join(record, RECORDING_FILE), JSON.stringify(recordingEntry(request, reply)) + '\n');
+      } else {
+        reply = await fixtureReply(state, request, body);
+      }
+    } catch (error) {
+      reply = jsonReply(502, { message: `Mock server error: ${error.message}` });
+    }
+    response.writeHead(reply.status, { 'x-request-id': randomUUID(), ...reply.headers });
+    response.end(reply.status === 204 ? undefined : reply.body);
+    onRequest?.({ method: request.method, url: request.url, status: reply.status, ms: Date.now() - started });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
@@ -0,0 +1,95 @@
+import axios from 'axios';
+import { AuthError, NetworkError, responseDetails } from './errors.js';
+import { traceRequests } from './trace.js';
+
+export const DEFAULT_TOKEN_URL = 'https://api.climate.com/api/oauth/token';
+
+// Tokens are refreshed when they have less than this long left
+const EXPIRY_MARGIN_MS = 60000;
+
+// Token requests show up in --verbose, --debug and --har like API calls
+const tokenClient = axios.create();
+traceRequests(tokenClient);
+
+export async function exchangeToken(params, { tokenUrl = DEFAULT_TOKEN_URL, clientId, clientSecret } = {}) {
+  try {
+    const response = await tokenClient.post(tokenUrl, new URLSearchParams(params).toString(), {
+      auth: { username: clientId, password: clientSecret },
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+    if (!response.data?.access_token) {
+      throw new AuthError('Token response did not include an access token.', responseDetails(response));
+    }
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      const data = error.response.data;
+      const message = data?.error_description || data?.error || JSON.stringify(data);
+      throw new AuthError(`Token request failed (${error.response.status}): ${message}`, responseDetails(error.response));
+    } else if (error.request) {
+      throw new NetworkError('No response from Climate FieldView token endpoint. Check your internet connection.', { cause: error });
+    }
+    throw error;
+  }
+}
+
+export function tokenExpiry(data) {
+  const expiresIn = Number(data.expires_in) || 3600;
+  return Date.now() + expiresIn * 1000;
+}
+
+export function isTokenFresh(accessToken, expiry) {
+  return !!accessToken && expiry > Date.now() + EXPIRY_MARGIN_MS;
+}
+
+// ============================================================
+// IN-MEMORY SESSIONS
+// ============================================================
+
+// Token state for callers that manage credentials themselves (ClimateClient).
+// `onTokenRefresh` receives every new token set so it can be persisted.
+export function createTokenSession({ clientId, clientSecret, tokenUrl, accessToken, refreshToken, tokenExpiry: expiry, onTokenRefresh } = {}) {
+  const state = {
+    accessToken: accessToken || '',
+    refreshToken: refreshToken || '',
+    // A token passed without an expiry is trusted until the API rejects it
+    expiry: expiry ?? (accessToken ? Infinity : 0)
+  };
+  let pending = null;
+
+  const canRefresh = () => !!(clientId && clientSecret);
+
+  const refresh = () => {
+    if (!canRefresh()) {
+      return Promise.reject(new AuthError('Cannot refresh token: clientId and clientSecret were not provided.'));
+    }
+    if (!pending) {
+      const params = state.refreshToken
+        ? { grant_type: 'refresh_token', refresh_token: state.refreshToken }
+        : { grant_type: 'client_credentials' };
+      pending = exchangeToken(params, { tokenUrl, clientId, clientSecret })
+        .then(async (data) => {
+          state.accessToken = data.access_token;
+          if (data.refresh_token) state.refreshToken = data.refresh_token;
+          state.expiry = tokenExpiry(data);
+          await onTokenRefresh?.({ accessToken: state.accessToken, refreshToken: state.refreshToken, tokenExpiry: state.expiry });
+          return data;
+        })
+        .finally(() => { pending = null; });
+    }
+    return pending;
+  };
+
+  return {
+    accessToken: () => state.accessToken,
+    canRefresh,
+    refresh,
+    async ensureValid() {
+      if (!isTokenFresh(state.accessToken, state.expiry) && canRefresh()) await refresh();
+      return state.accessToken;
+    }
+  };
+}
@@ -0,0 +1,139 @@
+import chalk from 'chalk';
+import { formatCsv } from './csv.js';
+import { toYaml } from './yaml.js';
+import { ValidationError } from './errors.js';
+
+export const OUTPUT_FORMATS = ['table', 'json', 'ndjson', 'csv', 'tsv', 'yaml'];
+
+let outputOptions = {
+  format: 'table',
+  columns: null,
+  header: true
+};
+
+export function configureOutput(options = {}) {
+  if (options.format && !OUTPUT_FORMATS.includes(options.format)) {
+    throw new ValidationError(`Unknown output format "${options.format}". Use ${OUTPUT_FORMATS.join(', ')}.`);
+  }
+  outputOptions = { ...outputOptions, ...options };
+}
+
+export function outputFormat(options = {}) {
+  return options.json ? 'json' : outputOptions.format;
+}
+
+export function isTableOutput(options = {}) {
+  return outputFormat(options) === 'table';
+}
+
+export function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+function displayValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// --columns replaces the command's default columns with raw dot-path lookups
+function tableColumns(columns) {
+  if (!outputOptions.columns) return columns;
+  return outputOptions.columns.map(path => ({ key: path, label: path, path }));
+}
+
+function columnKeys(columns, rows) {
+  if (outputOptions.columns) return outputOptions.columns;
+  if (columns) return columns.map(col => col.key);
+  return [...new Set(rows.flatMap(row => Object.keys(row ?? {})))];
+}
+
+function project(row, keys) {
+  return Object.fromEntries(keys.map(key => [key, getPath(row, key) ?? null]));
+}
+
+function cellValue(col, row) {
+  if (col.path) return displayValue(getPath(row, col.path));
+  return String(col.format ? col.format(row[col.key], row) : (row[col.key] ?? ''));
+}
+
+// ============================================================
+// PRINTING
+// ============================================================
+
+export function printJson(data) {
+  console.log(JSON.stringify(data, null, 2));
+}
+
+export function printTable(data, columns) {
+  if (!data || data.length === 0) {
+    console.log(chalk.yellow('No results found.'));
+    return;
+  }
+  const widths = {};
+  columns.forEach(col => {
+    widths[col.key] = col.label.length;
+    data.forEach(row => {
+      const val = cellValue(col, row);
+      if (val.length > widths[col.key]) widths[col.key] = val.length;
+    });
+  });
+  const header = columns.map(col => col.label.padEnd(widths[col.key])).join('  ');
+  if (outputOptions.header) {
+    console.log(chalk.bold(chalk.cyan(header)));
+    console.log(chalk.dim('─'.repeat(header.length)));
+  }
+  data.forEach(row => {
+    const line = columns.map(col => cellValue(col, row).padEnd(widths[col.key])).join('  ');
+    console.log(line.trimEnd());
+  });
+  if (outputOptions.header) console.log(chalk.dim(`\n${data.length} result(s)`));
+}
+
+function printNextToken(nextToken) {
+  if (!nextToken) return;
+  console.log(chalk.dim(`More results available. Resume with --page-token ${nextToken} or fetch everything with --all`));
+}
+
+function printRows(rows, keys, format) {
+  if (format === 'ndjson') {
+    rows.forEach(row => console.log(JSON.stringify(project(row, keys))));
+    return;
+  }
+  const delimiter = format === 'tsv' ? '\t' : ',';
+  const projected = rows.map(row => project(row, keys));
+  process.stdout.write(formatCsv(projected, keys, { delimiter, header: outputOptions.header }));
+}
+
+// Renders a list result ({ results, nextToken } or a bare array) in the
+// selected output format. `columns` are the command's default table columns.
+export function printList(data, columns, options = {}) {
+  const rows = Array.isArray(data) ? data : (data.results || []);
+  const format = outputFormat(options);
+  if (format === 'table') {
+    printTable(rows, tableColumns(columns));
+    if (!Array.isArray(data)) printNextToken(data.nextToken);
+    return;
+  }
+  if (format === 'json' || format === 'yaml') {
+    let payload = data;
+    if (outputOptions.columns) {
+      const projected = rows.map(row => project(row, outputOptions.columns));
+      payload = Array.isArray(data) ? projected : { ...data, results: projected };
+    }
+    if (format === 'json') printJson(payload);
+    else console.log(toYaml(payload));
+    return;
+  }
+  printRows(rows, columnKeys(columns, rows), format);
+}
+
+// Renders a single record in a non-table format. Table mode is left to the
+// caller, which prints its own detail view.
+export function printItem(item, options = {}) {
+  const format = outputFormat(options);
+  const payload = outputOptions.columns ? project(item, outputOptions.columns) : item;
+  if (format === 'json' || format === 'table') printJson(payload);
+  else if (format === 'yaml') console.log(toYaml(payload));
+  else printRows([item], columnKeys(null, [item]), format);
+}
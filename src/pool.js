@@ -0,0 +1,24 @@
+// Maps `items` through the async `worker` with at most `concurrency` calls in
+// flight, preserving input order in the result. The first rejection stops
+// new work from starting and is rethrown once running calls settle.
+export async function mapConcurrent(items, concurrency, worker) {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.min(concurrency || 1, items.length));
+  let next = 0;
+  let failure = null;
+
+  const run = async () => {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: limit }, run));
+  if (failure) throw failure;
+  return results;
+}
@@ -0,0 +1,251 @@
+import { readFile, writeFile } from 'fs/promises';
+import { basename } from 'path';
+import { readBoundaryFile } from './import.js';
+import { parseCsv } from './csv.js';
+import { areaAcres, intersectGeometries, subtractGeometries, validatePolygon } from './geometry.js';
+import { writeShapefile } from './shapefile.js';
+import { escapeXml } from './kml.js';
+import { writeZip } from './zip.js';
+import { ValidationError, fileError } from './errors.js';
+
+export const PRESCRIPTION_FORMATS = ['shapefile', 'isoxml'];
+
+const SQ_METERS_PER_ACRE = 4046.8564224;
+
+// Rate units, the area they are per, and their ISO 11783 setpoint DDI with
+// the factor to its integer unit: 0x0011 counts in 0.001/m², 0x0006 mass in
+// mg/m², 0x0001 volume in mm³/m².
+export const RATE_UNITS = {
+  'seeds/ac': { product: 'seeds', per: 'ac', ddi: '0011', factor: 1000 / SQ_METERS_PER_ACRE },
+  'seeds/ha': { product: 'seeds', per: 'ha', ddi: '0011', factor: 0.1 },
+  'lbs/ac': { product: 'lbs', per: 'ac', ddi: '0006', factor: 453592.37 / SQ_METERS_PER_ACRE },
+  'kg/ha': { product: 'kg', per: 'ha', ddi: '0006', factor: 100 },
+  'gal/ac': { product: 'gal', per: 'ac', ddi: '0001', factor: 3785411.784 / SQ_METERS_PER_ACRE },
+  'l/ha': { product: 'L', per: 'ha', ddi: '0001', factor: 100 }
+};
+
+const ZONE_PROPERTIES = ['zone', 'Zone', 'ZONE', 'zoneId', 'id', 'ID', 'name', 'Name', 'NAME'];
+const HECTARES_PER_ACRE = SQ_METERS_PER_ACRE / 10000;
+// Overlaps and clipped-off parts smaller than this are digitizing noise
+const NEGLIGIBLE_ACRES = 0.01;
+// ISO 11783 treatment zone codes are 0-254; 0 is used for out of field
+const MAX_ISOXML_ZONES = 254;
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function acresOf(geometry) {
+  return geometry ? areaAcres(geometry) : 0;
+}
+
+// ============================================================
+// INPUTS
+// ============================================================
+
+function zoneKey(feature, index, property) {
+  const properties = feature.properties || {};
+  if (property) {
+    const value = properties[property];
+    if (value === undefined || value === null || value === '') {
+      throw new ValidationError(`Zone ${index + 1} has no "${property}" property.`);
+    }
+    return String(value);
+  }
+  const key = ZONE_PROPERTIES.find(name => properties[name] !== undefined && properties[name] !== null && properties[name] !== '');
+  if (key) return String(properties[key]);
+  return feature.id !== undefined && feature.id !== null ? String(feature.id) : String(index + 1);
+}
+
+export async function readZones(path, { zoneProperty } = {}) {
+  const features = (await readBoundaryFile(path)).filter(feature => feature.geometry);
+  if (features.length === 0) throw new ValidationError(`${path} contains no zone polygons.`);
+  const seen = new Set();
+  return features.map((feature, index) => {
+    const key = zoneKey(feature, index, zoneProperty);
+    if (seen.has(key)) throw new ValidationError(`Zone "${key}" appears more than once in ${path}. Use --zone-property to pick a unique property.`);
+    seen.add(key);
+    const errors = validatePolygon(feature.geometry);
+    if (errors.length > 0) throw new ValidationError(`Invalid zone "${key}": ${errors.join(' ')}`);
+    return { key, geometry: feature.geometry };
+  });
+}
+
+// The zone column is "zone", "id" or "name" (else the first column); the
+// rate column is "rate" (else the second column).
+export async function readRates(path) {
+  const rows = parseCsv(await readFile(path, 'utf8').catch(error => { throw fileError(error, path); }));
+  if (rows.length === 0) throw new ValidationError(`${path} has no rate rows.`);
+  const columns = Object.keys(rows[0]);
+  const zoneColumn = columns.find(name => /^(zone|zone_?id|id|name)$/i.test(name)) ?? columns[0];
+  const rateColumn = columns.find(name => /^rate$/i.test(name)) ?? columns.find(name => /rate/i.test(name)) ?? columns[1];
+  if (!rateColumn || rateColumn === zoneColumn) throw new ValidationError(`${path} needs a zone column and a rate column.`);
+  const rates = new Map();
+  rows.forEach((row, i) => {
+    const key = String(row[zoneColumn]).trim();
+    const rate = Number(String(row[rateColumn]).trim());
+    if (!key) return;
+    if (String(row[rateColumn]).trim() === '' || !Number.isFinite(rate) || rate < 0) {
+      throw new ValidationError(`${path} line ${i + 2}: rate "${row[rateColumn]}" for zone "${key}" is not a non-negative number.`);
+    }
+    if (rates.has(key)) throw new ValidationError(`${path} line ${i + 2}: zone "${key}" already has a rate.`);
+    rates.set(key, rate);
+  });
+  return rates;
+}
+
+// ============================================================
+// BUILDING
+// ============================================================
+
+// Clips every zone to the field boundary and checks that the clipped zones
+// neither overlap nor leave more than (100 - minCoverage)% of the field
+// without a rate. `defaultRate` fills whatever is left uncovered.
+export function buildPrescription({ boundary, zones, rates, unit = 'seeds/ac', defaultRate, minCoverage = 99 }) {
+  const units = RATE_UNITS[unit];
+  if (!units) throw new ValidationError(`Unknown rate unit "${unit}". Use ${Object.keys(RATE_UNITS).join(', ')}.`);
+  const boundaryErrors = validatePolygon(boundary.geometry);
+  if (boundaryErrors.length > 0) throw new ValidationError(`Field boundary is invalid: ${boundaryErrors.join(' ')}`);
+
+  const missing = zones.filter(zone => !rates.has(zone.key)).map(zone => zone.key);
+  if (missing.length > 0) throw new ValidationError(`No rate for zone(s) ${missing.map(key => `"${key}"`).join(', ')} in the rates file.`);
+  const warnings = [...rates.keys()]
+    .filter(key => !zones.some(zone => zone.key === key))
+    .map(key => `Rate for zone "${key}" matches no zone polygon.`);
+
+  const fieldAcres = acresOf(boundary.geometry);
+  const clipped = [];
+  zones.forEach(zone => {
+    const geometry = intersectGeometries(zone.geometry, boundary.geometry);
+    const outsideAcres = acresOf(zone.geometry) - acresOf(geometry);
+    if (!geometry) {
+      warnings.push(`Zone "${zone.key}" lies outside the field boundary and was dropped.`);
+      return;
+    }
+    if (outsideAcres >= NEGLIGIBLE_ACRES) warnings.push(`Zone "${zone.key}" was clipped by ${round(outsideAcres)} ac outside the boundary.`);
+    clipped.push({ key: zone.key, rate: rates.get(zone.key), geometry });
+  });
+
+  const overlaps = [];
+  clipped.forEach((a, i) => clipped.slice(i + 1).forEach(b => {
+    const acres = acresOf(intersectGeometries(a.geometry, b.geometry));
+    if (acres >= NEGLIGIBLE_ACRES) overlaps.push({ a: a.key, b: b.key, acres: round(acres) });
+  }));
+  if (overlaps.length > 0) {
+    const list = overlaps.map(overlap => `"${overlap.a}" and "${overlap.b}" (${overlap.acres} ac)`).join(', ');
+    throw new ValidationError(`Zones overlap, so part of the field has two rates: ${list}.`);
+  }
+
+  const uncovered = clipped.reduce((remaining, zone) => remaining && subtractGeometries(remaining, zone.geometry), boundary.geometry);
+  const gapAcres = acresOf(uncovered);
+  const coverage = fieldAcres > 0 ? 100 * (1 - gapAcres / fieldAcres) : 0;
+  if (defaultRate !== undefined && uncovered && gapAcres >= NEGLIGIBLE_ACRES) {
+    clipped.push({ key: 'default', rate: defaultRate, geometry: uncovered, filled: true });
+  } else if (coverage < minCoverage) {
+    throw new ValidationError(
+      `Zones cover ${round(coverage, 1)}% of the field (${round(gapAcres)} ac without a rate); at least ${minCoverage}% is required. ` +
+      'Fix the zones, pass --default-rate to fill the gaps, or lower --min-coverage.'
+    );
+  }
+
+  const filled = clipped.some(zone => zone.filled);
+  let totalAcres = 0;
+  let totalProduct = 0;
+  const results = clipped.map(zone => {
+    const acres = acresOf(zone.geometry);
+    const product = zone.rate * (units.per === 'ha' ? acres * HECTARES_PER_ACRE : acres);
+    totalAcres += acres;
+    totalProduct += product;
+    return { zone: zone.key, rate: zone.rate, acres: round(acres), product: round(product), filled: !!zone.filled };
+  });
+  const totalArea = units.per === 'ha' ? totalAcres * HECTARES_PER_ACRE : totalAcres;
+
+  return {
+    zones: clipped,
+    summary: {
+      fieldId: boundary.fieldId ?? null,
+      field: boundary.field ?? null,
+      unit,
+      productUnit: units.product,
+      results,
+      fieldAcres: round(fieldAcres),
+      totalAcres: round(totalAcres),
+      coverage: filled ? 100 : round(coverage, 1),
+      uncoveredAcres: filled ? 0 : round(gapAcres),
+      totalProduct: round(totalProduct),
+      averageRate: totalArea > 0 ? round(totalProduct / totalArea) : 0,
+      warnings
+    }
+  };
+}
+
+// ============================================================
+// PACKAGING
+// ============================================================
+
+function shapefilePackage(zones, name) {
+  const files = writeShapefile(zones.map(zone => ({
+    type: 'Feature',
+    geometry: zone.geometry,
+    properties: { zone: zone.key, rate: zone.rate }
+  })));
+  return writeZip(Object.entries(files).map(([extension, data]) => ({ name: `${name}.${extension}`, data })));
+}
+
+function polygonsXml(geometry, type) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons.map(rings => [
+    `<PLN A="${type}">`,
+    ...rings.map((ring, i) => [
+      `<LSG A="${i === 0 ? 1 : 2}">`,
+      ...ring.map(([lon, lat]) => `<PNT A="2" C="${lat.toFixed(9)}" D="${lon.toFixed(9)}"/>`),
+      '</LSG>'
+    ].join('\n')),
+    '</PLN>'
+  ].join('\n')).join('\n');
+}
+
+// ISO 11783-10 task data: the field (PFD) with its boundary, one product
+// (PDT) and a planned task (TSK) whose treatment zones (TZN) each carry a
+// polygon and a setpoint rate (PDV).
+function isoxmlPackage(zones, { boundary, unit, productName, name }) {
+  if (zones.length > MAX_ISOXML_ZONES) {
+    throw new ValidationError(`ISOXML supports at most ${MAX_ISOXML_ZONES} zones; this prescription has ${zones.length}.`);
+  }
+  const { ddi, factor } = RATE_UNITS[unit];
+  const fieldName = boundary.field || boundary.fieldId || name;
+  const fieldSqMeters = Math.round(acresOf(boundary.geometry) * SQ_METERS_PER_ACRE);
+  const treatmentZones = zones.map((zone, i) => [
+    `<TZN A="${i + 1}" B="${escapeXml(zone.key)}">`,
+    `<PDV A="${ddi}" B="${Math.round(zone.rate * factor)}" E="PDT1"/>`,
+    polygonsXml(zone.geometry, 2),
+    '</TZN>'
+  ].join('\n'));
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<ISO11783_TaskData VersionMajor="4" VersionMinor="3" ManagementSoftwareManufacturer="climatecom" ManagementSoftwareVersion="1.0.0" DataTransferOrigin="1">',
+    `<PFD A="PFD1" C="${escapeXml(fieldName)}" D="${fieldSqMeters}">`,
+    polygonsXml(boundary.geometry, 1),
+    '</PFD>',
+    `<PDT A="PDT1" B="${escapeXml(productName)}"/>`,
+    `<TSK A="TSK1" B="${escapeXml(name)}" E="PFD1" G="1" J="0">`,
+    `<TZN A="0" B="Out of field">\n<PDV A="${ddi}" B="0" E="PDT1"/>\n</TZN>`,
+    ...treatmentZones,
+    '</TSK>',
+    '</ISO11783_TaskData>'
+  ].join('\n') + '\n';
+  return writeZip([{ name: 'TASKDATA/TASKDATA.XML', data: xml }]);
+}
+
+export async function writePrescription(prescription, { boundary, format = 'shapefile', dest, unit = 'seeds/ac', product }) {
+  if (!PRESCRIPTION_FORMATS.includes(format)) {
+    throw new ValidationError(`Unknown prescription format "${format}". Use ${PRESCRIPTION_FORMATS.join(' or ')}.`);
+  }
+  const name = basename(dest).replace(/\.[^.]+$/, '') || 'prescription';
+  const data = format === 'shapefile'
+    ? shapefilePackage(prescription.zones, name)
+    : isoxmlPackage(prescription.zones, { boundary, unit, productName: product || RATE_UNITS[unit].product, name });
+  await writeFile(dest, data);
+  return { path: dest, format, bytes: data.length };
+}
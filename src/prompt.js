@@ -0,0 +1,17 @@
+import { createInterface } from 'readline/promises';
+import { ValidationError } from './errors.js';
+
+// Asks a yes/no question on the terminal. Without a TTY there is nobody to
+// answer, so callers must pass --yes explicitly.
+export async function confirm(question) {
+  if (!process.stdin.isTTY) {
+    throw new ValidationError('Confirmation required. Re-run with --yes in non-interactive sessions.');
+  }
+  const rl = createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    const answer = await rl.question(`${question} [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
@@ -0,0 +1,114 @@
+import { getBoundary, getFarm, listFarms, listFields, listHarvestActivities, listPlantingActivities } from './api.js';
+import { buildActivityFilter } from './filters.js';
+import { mapConcurrent } from './pool.js';
+import { NotFoundError } from './errors.js';
+
+export const DEFAULT_CONCURRENCY = 4;
+
+function belongsTo(field, farm) {
+  return field.farmId ? field.farmId === farm.id : (field.farmName ?? null) === farm.name;
+}
+
+export async function getFarmWithFields(farmId) {
+  const [farm, { results: fields }] = await Promise.all([getFarm(farmId), listFields({ all: true })]);
+  return { ...farm, fields: fields.filter(field => belongsTo(field, { id: farm.id ?? farmId, name: farm.name })) };
+}
+
+function summarizeActivity(type, activity) {
+  return {
+    type,
+    id: activity.id,
+    crop: activity.crop ?? null,
+    startTime: activity.startTime ?? null,
+    area: activity.area ?? null
+  };
+}
+
+function groupByField(activities) {
+  const groups = new Map();
+  activities.forEach(activity => {
+    const key = activity.fieldId;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(activity);
+  });
+  return groups;
+}
+
+async function selectFarms(farm) {
+  const { results: farms } = await listFarms({ all: true });
+  if (!farm) return farms;
+  const wanted = String(farm).toLowerCase();
+  const match = farms.find(record => String(record.id).toLowerCase() === wanted || String(record.name ?? '').toLowerCase() === wanted);
+  if (!match) throw new NotFoundError(`Farm not found: ${farm}`);
+  return [match];
+}
+
+// Resolves Farm → Field → Boundary → Activities. Farms, fields and activity
+// summaries come from one listing each; boundaries are fetched per field
+// through a bounded pool so large accounts don't flood the API.
+export async function buildTree({ farm, season, activities = true, concurrency = DEFAULT_CONCURRENCY, onProgress } = {}) {
+  const activitySelection = season ? await buildActivityFilter({ season }) : {};
+  const [farms, allFields, planting, harvest] = await Promise.all([
+    selectFarms(farm),
+    listFields({ all: true }).then(data => data.results),
+    activities ? listPlantingActivities({ all: true, ...activitySelection }).then(data => data.results) : [],
+    activities ? listHarvestActivities({ all: true, ...activitySelection }).then(data => data.results) : []
+  ]);
+  const fields = farm ? allFields.filter(field => belongsTo(field, farms[0])) : allFields;
+
+  const plantingByField = groupByField(planting);
+  const harvestByField = groupByField(harvest);
+  let resolved = 0;
+  const nodes = await mapConcurrent(fields, concurrency, async (field) => {
+    const boundary = field.boundaryId ? await getBoundary(field.boundaryId) : null;
+    onProgress?.(++resolved, fields.length);
+    return {
+      field,
+      node: {
+        id: field.id,
+        name: field.name ?? null,
+        acres: field.acres ?? null,
+        boundary: boundary ? { id: boundary.id ?? field.boundaryId, acres: boundary.acres ?? boundary.area ?? null } : null,
+        activities: [
+          ...(plantingByField.get(field.id) || []).map(activity => summarizeActivity('planting', activity)),
+          ...(harvestByField.get(field.id) || []).map(activity => summarizeActivity('harvest', activity))
+        ].sort((a, b) => String(a.startTime ?? '').localeCompare(String(b.startTime ?? '')))
+      }
+    };
+  });
+
+  const tree = farms.map(record => ({
+    id: record.id,
+    name: record.name ?? null,
+    fields: nodes.filter(({ field }) => belongsTo(field, record)).map(({ node }) => node)
+  }));
+  const orphans = nodes.filter(({ field }) => !farms.some(record => belongsTo(field, record)));
+  if (!farm && orphans.length > 0) tree.push({ id: null, name: 'No farm', fields: orphans.map(({ node }) => node) });
+  return tree;
+}
+
+// One row per field and activity, for CSV/TSV/NDJSON output where the
+// nested tree does not fit.
+export function flattenTree(tree) {
+  return tree.flatMap(farm => farm.fields.flatMap(field => {
+    const base = {
+      farmId: farm.id,
+      farm: farm.name,
+      fieldId: field.id,
+      field: field.name,
+      fieldAcres: field.acres,
+      boundaryId: field.boundary?.id ?? null,
+      boundaryAcres: field.boundary?.acres ?? null
+    };
+    const activities = field.activities || [];
+    if (activities.length === 0) return [{ ...base, activityType: null, activityId: null, crop: null, startTime: null, area: null }];
+    return activities.map(activity => ({
+      ...base,
+      activityType: activity.type,
+      activityId: activity.id,
+      crop: activity.crop,
+      startTime: activity.startTime,
+      area: activity.area
+    }));
+  }));
+}
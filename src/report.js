@@ -0,0 +1,236 @@
+import { listFields, listHarvestActivities, listPlantingActivities } from './api.js';
+import { buildActivityFilter } from './filters.js';
+import { ValidationError } from './errors.js';
+
+export const REPORT_FORMATS = ['html', 'markdown'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function time(value) {
+  if (!value) return null;
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function isoDate(ms) {
+  return ms === null ? null : new Date(ms).toISOString().slice(0, 10);
+}
+
+function round(value, digits = 2) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function coverage(harvested, acres) {
+  return acres ? round((harvested / acres) * 100, 1) : null;
+}
+
+// ============================================================
+// BUILDING
+// ============================================================
+
+// Joins the season's planting and harvest summaries per field and crop.
+// A row's planted date is the first planting pass and its harvest date the
+// end of the last harvest pass; areas add up across passes.
+export async function buildSeasonReport(year, { farm } = {}) {
+  if (!/^\d{4}$/.test(String(year))) throw new ValidationError(`Invalid --year "${year}". Use a four-digit year.`);
+  const selection = await buildActivityFilter({ season: year, farm });
+  const [{ results: fields }, { results: planting }, { results: harvest }] = await Promise.all([
+    listFields({ all: true }),
+    listPlantingActivities({ all: true, ...selection }),
+    listHarvestActivities({ all: true, ...selection })
+  ]);
+
+  const fieldsById = new Map(fields.map(field => [field.id, field]));
+  const rows = new Map();
+  const rowFor = (activity) => {
+    const crop = activity.crop ? String(activity.crop).toUpperCase() : null;
+    const key = `${activity.fieldId ?? activity.fieldName}\u0000${crop}`;
+    if (!rows.has(key)) {
+      const field = fieldsById.get(activity.fieldId) || {};
+      rows.set(key, {
+        farmId: field.farmId ?? activity.farmId ?? null,
+        farm: field.farmName ?? activity.farmName ?? null,
+        fieldId: activity.fieldId ?? field.id ?? null,
+        field: field.name ?? activity.fieldName ?? null,
+        crop,
+        fieldAcres: field.acres ?? null,
+        planted: null,
+        harvested: null,
+        plantedAcres: 0,
+        harvestedAcres: 0
+      });
+    }
+    return rows.get(key);
+  };
+
+  planting.forEach(activity => {
+    const row = rowFor(activity);
+    const start = time(activity.startTime) ?? time(activity.endTime);
+    if (start !== null && (row.planted === null || start < row.planted)) row.planted = start;
+    row.plantedAcres += Number(activity.area) || 0;
+  });
+  harvest.forEach(activity => {
+    const row = rowFor(activity);
+    const end = time(activity.endTime) ?? time(activity.startTime);
+    if (end !== null && (row.harvested === null || end > row.harvested)) row.harvested = end;
+    row.harvestedAcres += Number(activity.area) || 0;
+  });
+
+  const results = [...rows.values()]
+    .map(row => ({
+      ...row,
+      planted: isoDate(row.planted),
+      harvested: isoDate(row.harvested),
+      daysToHarvest: row.planted !== null && row.harvested !== null
+        ? Math.round((row.harvested - row.planted) / DAY_MS)
+        : null,
+      plantedAcres: round(row.plantedAcres),
+      harvestedAcres: round(row.harvestedAcres),
+      coverage: coverage(row.harvestedAcres, row.fieldAcres)
+    }))
+    .sort((a, b) => String(a.farm ?? '').localeCompare(String(b.farm ?? '')) ||
+      String(a.field ?? '').localeCompare(String(b.field ?? '')) ||
+      String(a.crop ?? '').localeCompare(String(b.crop ?? '')));
+
+  return { year: Number(year), results, farms: farmTotals(results) };
+}
+
+// Field acres are counted once per field even when it carried several crops.
+function farmTotals(rows) {
+  const farms = new Map();
+  rows.forEach(row => {
+    const key = row.farmId ?? row.farm ?? '';
+    if (!farms.has(key)) {
+      farms.set(key, { farmId: row.farmId, farm: row.farm, fields: new Map(), plantedAcres: 0, harvestedAcres: 0 });
+    }
+    const total = farms.get(key);
+    total.fields.set(row.fieldId ?? row.field, row.fieldAcres || 0);
+    total.plantedAcres += row.plantedAcres;
+    total.harvestedAcres += row.harvestedAcres;
+  });
+  return [...farms.values()].map(total => {
+    const fieldAcres = [...total.fields.values()].reduce((sum, acres) => sum + acres, 0);
+    return {
+      farmId: total.farmId,
+      farm: total.farm,
+      fields: total.fields.size,
+      fieldAcres: round(fieldAcres),
+      plantedAcres: round(total.plantedAcres),
+      harvestedAcres: round(total.harvestedAcres),
+      coverage: coverage(total.harvestedAcres, fieldAcres)
+    };
+  });
+}
+
+// ============================================================
+// RENDERING
+// ============================================================
+
+export const FIELD_COLUMNS = [
+  { key: 'farm', label: 'Farm' },
+  { key: 'field', label: 'Field' },
+  { key: 'crop', label: 'Crop' },
+  { key: 'planted', label: 'Planted' },
+  { key: 'harvested', label: 'Harvested' },
+  { key: 'daysToHarvest', label: 'Days' },
+  { key: 'harvestedAcres', label: 'Harvested (ac)' },
+  { key: 'fieldAcres', label: 'Field (ac)' },
+  { key: 'coverage', label: 'Coverage' }
+];
+
+export const FARM_COLUMNS = [
+  { key: 'farm', label: 'Farm' },
+  { key: 'fields', label: 'Fields' },
+  { key: 'plantedAcres', label: 'Planted (ac)' },
+  { key: 'harvestedAcres', label: 'Harvested (ac)' },
+  { key: 'fieldAcres', label: 'Field (ac)' },
+  { key: 'coverage', label: 'Coverage' }
+];
+
+export function formatCell(key, value) {
+  if (value === null || value === undefined) return '—';
+  if (key === 'coverage') return `${value.toFixed(1)}%`;
+  if (key.endsWith('Acres')) return value.toFixed(2);
+  return String(value);
+}
+
+function markdownEscape(text) {
+  return text.replace(/\|/g, '\\|');
+}
+
+function markdownTable(rows, columns) {
+  const numeric = (col) => !['farm', 'field', 'crop', 'planted', 'harvested'].includes(col.key);
+  const lines = [
+    `| ${columns.map(col => col.label).join(' | ')} |`,
+    `| ${columns.map(col => (numeric(col) ? '---:' : '---')).join(' | ')} |`,
+    ...rows.map(row => `| ${columns.map(col => markdownEscape(formatCell(col.key, row[col.key]))).join(' | ')} |`)
+  ];
+  return lines.join('\n');
+}
+
+export function renderMarkdown(report) {
+  return [
+    `# ${report.year} Season Report`,
+    '',
+    '## Farm totals',
+    '',
+    report.farms.length > 0 ? markdownTable(report.farms, FARM_COLUMNS) : '_No activities recorded._',
+    '',
+    '## Fields',
+    '',
+    report.results.length > 0 ? markdownTable(report.results, FIELD_COLUMNS) : '_No activities recorded._',
+    '',
+    `_Generated ${new Date().toISOString().slice(0, 10)}. Coverage is harvested area as a share of field acres._`,
+    ''
+  ].join('\n');
+}
+
+function htmlEscape(text) {
+  return text.replace(/[&<>"]/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+}
+
+function htmlTable(rows, columns) {
+  if (rows.length === 0) return '<p class="empty">No activities recorded.</p>';
+  const head = columns.map(col => `<th>${htmlEscape(col.label)}</th>`).join('');
+  const body = rows.map(row => {
+    const cells = columns.map(col => {
+      const low = col.key === 'coverage' && row.coverage !== null && row.coverage < 90;
+      return `<td${low ? ' class="low"' : ''}>${htmlEscape(formatCell(col.key, row[col.key]))}</td>`;
+    }).join('');
+    return `<tr>${cells}</tr>`;
+  }).join('\n');
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+// A single self-contained file with inline styles, so it can be emailed or
+// opened offline without any assets.
+export function renderHtml(report) {
+  const title = `${report.year} Season Report`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${htmlEscape(title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #222; }
+h1 { margin-bottom: 0.25rem; }
+table { border-collapse: collapse; margin: 1rem 0 2rem; }
+th, td { padding: 0.35rem 0.75rem; border-bottom: 1px solid #ddd; text-align: left; }
+th { background: #f3f5f2; }
+td.low { color: #b45309; font-weight: 600; }
+.meta, .empty { color: #666; }
+</style>
+</head>
+<body>
+<h1>${htmlEscape(title)}</h1>
+<p class="meta">Generated ${new Date().toISOString().slice(0, 10)}. Coverage is harvested area as a share of field acres.</p>
+<h2>Farm totals</h2>
+${htmlTable(report.farms, FARM_COLUMNS)}
+<h2>Fields</h2>
+${htmlTable(report.results, FIELD_COLUMNS)}
+</body>
+</html>
+`;
+}
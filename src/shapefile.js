@@ -0,0 +1,322 @@
+const SHAPE_NULL = 0;
+const SHAPE_POINT = 1;
+const SHAPE_POLYLINE = 3;
+const SHAPE_POLYGON = 5;
+const SHAPE_MULTIPOINT = 8;
+
+export const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+// Z and M variants share the XY layout of their base type; the extra
+// measures come after the XY block and are ignored here except for point Z.
+function baseShapeType(type) {
+  return type === 0 ? 0 : ((type - 1) % 10) + 1;
+}
+
+// ============================================================
+// SHP
+// ============================================================
+
+function readParts(view, offset) {
+  const numParts = view.readInt32LE(offset + 36);
+  const numPoints = view.readInt32LE(offset + 40);
+  const partsStart = offset + 44;
+  const pointsStart = partsStart + numParts * 4;
+  const parts = [];
+  for (let p = 0; p < numParts; p++) {
+    const from = view.readInt32LE(partsStart + p * 4);
+    const to = p + 1 < numParts ? view.readInt32LE(partsStart + (p + 1) * 4) : numPoints;
+    const ring = [];
+    for (let i = from; i < to; i++) {
+      ring.push([view.readDoubleLE(pointsStart + i * 16), view.readDoubleLE(pointsStart + i * 16 + 8)]);
+    }
+    parts.push(ring);
+  }
+  return parts;
+}
+
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+  }
+  return sum / 2;
+}
+
+function ringContains(ring, [x, y]) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Shapefile outer rings are clockwise and holes counter-clockwise; group
+// each hole with the outer ring that contains it.
+function ringsToPolygon(rings) {
+  const polygons = [];
+  const holes = [];
+  rings.forEach(ring => (ringArea(ring) >= 0 ? polygons.push([ring]) : holes.push(ring)));
+  holes.forEach(hole => {
+    const owner = polygons.find(polygon => ringContains(polygon[0], hole[0]));
+    if (owner) owner.push(hole);
+    else polygons.push([hole.slice().reverse()]);
+  });
+  const rewound = polygons.map(polygon => polygon.map((ring, i) =>
+    (i === 0) === (ringArea(ring) > 0) ? ring.slice().reverse() : ring
+  ));
+  if (rewound.length === 1) return { type: 'Polygon', coordinates: rewound[0] };
+  return { type: 'MultiPolygon', coordinates: rewound };
+}
+
+function readGeometry(view, offset, length) {
+  const type = view.readInt32LE(offset);
+  const base = baseShapeType(type);
+  if (base === SHAPE_NULL) return null;
+  if (base === SHAPE_POINT) {
+    const coordinates = [view.readDoubleLE(offset + 4), view.readDoubleLE(offset + 12)];
+    if (type === 11 && length >= 28) coordinates.push(view.readDoubleLE(offset + 20));
+    return { type: 'Point', coordinates };
+  }
+  if (base === SHAPE_MULTIPOINT) {
+    const numPoints = view.readInt32LE(offset + 36);
+    const coordinates = [];
+    for (let i = 0; i < numPoints; i++) {
+      coordinates.push([view.readDoubleLE(offset + 40 + i * 16), view.readDoubleLE(offset + 48 + i * 16)]);
+    }
+    return { type: 'MultiPoint', coordinates };
+  }
+  if (base === SHAPE_POLYLINE) {
+    const parts = readParts(view, offset);
+    return parts.length === 1
+      ? { type: 'LineString', coordinates: parts[0] }
+      : { type: 'MultiLineString', coordinates: parts };
+  }
+  if (base === SHAPE_POLYGON) return ringsToPolygon(readParts(view, offset));
+  throw new Error(`Unsupported shape type ${type}.`);
+}
+
+export function readShp(buffer) {
+  if (buffer.readInt32BE(0) !== 9994) throw new Error('Not a shapefile: bad file code.');
+  const fileLength = buffer.readInt32BE(24) * 2;
+  const geometries = [];
+  let offset = 100;
+  while (offset + 8 <= Math.min(fileLength, buffer.length)) {
+    const contentLength = buffer.readInt32BE(offset + 4) * 2;
+    geometries.push(readGeometry(buffer, offset + 8, contentLength));
+    offset += 8 + contentLength;
+  }
+  return geometries;
+}
+
+// ============================================================
+// DBF
+// ============================================================
+
+function parseDbfValue(type, raw) {
+  const value = raw.trim();
+  if (value === '') return null;
+  if (type === 'N' || type === 'F') {
+    const number = Number(value);
+    return Number.isNaN(number) ? null : number;
+  }
+  if (type === 'L') return /^[YyTt]$/.test(value) ? true : (/^[NnFf]$/.test(value) ? false : null);
+  if (type === 'D' && /^\d{8}$/.test(value)) return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+  return value;
+}
+
+export function readDbf(buffer) {
+  const recordCount = buffer.readUInt32LE(4);
+  const headerLength = buffer.readUInt16LE(8);
+  const recordLength = buffer.readUInt16LE(10);
+  const fields = [];
+  for (let offset = 32; offset < headerLength - 1 && buffer[offset] !== 0x0d; offset += 32) {
+    fields.push({
+      name: buffer.toString('latin1', offset, offset + 11).replace(/\0.*$/, ''),
+      type: String.fromCharCode(buffer[offset + 11]),
+      length: buffer[offset + 16]
+    });
+  }
+  const records = [];
+  for (let r = 0; r < recordCount; r++) {
+    let offset = headerLength + r * recordLength;
+    const deleted = buffer[offset] === 0x2a;
+    offset += 1;
+    const record = {};
+    fields.forEach(field => {
+      record[field.name] = parseDbfValue(field.type, buffer.toString('latin1', offset, offset + field.length));
+      offset += field.length;
+    });
+    records.push(deleted ? null : record);
+  }
+  return records;
+}
+
+export function readShapefile({ shp, dbf }) {
+  const geometries = readShp(shp);
+  const records = dbf ? readDbf(dbf) : [];
+  return {
+    type: 'FeatureCollection',
+    features: geometries
+      .map((geometry, i) => ({ type: 'Feature', geometry, properties: records[i] || {} }))
+      .filter((feature, i) => records[i] !== null)
+  };
+}
+
+// ============================================================
+// WRITING
+// ============================================================
+
+function polygonRings(geometry) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  // Shapefile rings wind opposite to GeoJSON: outer clockwise, holes counter-clockwise
+  return polygons.flatMap(polygon => polygon.map((ring, i) =>
+    (i === 0) === (ringArea(ring) < 0) ? ring.slice().reverse() : ring
+  ));
+}
+
+function bbox(points) {
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+function encodeGeometry(geometry, shapeType) {
+  if (!geometry) {
+    const record = Buffer.alloc(4);
+    record.writeInt32LE(SHAPE_NULL, 0);
+    return { record, points: [] };
+  }
+  if (shapeType === SHAPE_POINT) {
+    const record = Buffer.alloc(20);
+    record.writeInt32LE(SHAPE_POINT, 0);
+    record.writeDoubleLE(geometry.coordinates[0], 4);
+    record.writeDoubleLE(geometry.coordinates[1], 12);
+    return { record, points: [geometry.coordinates] };
+  }
+  const rings = polygonRings(geometry);
+  const points = rings.flat();
+  const record = Buffer.alloc(44 + rings.length * 4 + points.length * 16);
+  record.writeInt32LE(SHAPE_POLYGON, 0);
+  bbox(points).forEach((value, i) => record.writeDoubleLE(value, 4 + i * 8));
+  record.writeInt32LE(rings.length, 36);
+  record.writeInt32LE(points.length, 40);
+  let index = 0;
+  rings.forEach((ring, i) => {
+    record.writeInt32LE(index, 44 + i * 4);
+    index += ring.length;
+  });
+  const pointsStart = 44 + rings.length * 4;
+  points.forEach((point, i) => {
+    record.writeDoubleLE(point[0], pointsStart + i * 16);
+    record.writeDoubleLE(point[1], pointsStart + i * 16 + 8);
+  });
+  return { record, points };
+}
+
+function writeHeader(buffer, shapeType, fileLength, box) {
+  buffer.writeInt32BE(9994, 0);
+  buffer.writeInt32BE(fileLength / 2, 24);
+  buffer.writeInt32LE(1000, 28);
+  buffer.writeInt32LE(shapeType, 32);
+  box.forEach((value, i) => buffer.writeDoubleLE(value, 36 + i * 8));
+}
+
+function dbfText(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function dbfFields(records) {
+  const names = [...new Set(records.flatMap(record => Object.keys(record)))];
+  const used = new Set();
+  return names.map(key => {
+    let name = key.replace(/[^A-Za-z0-9_]/g, '_').slice(0, 10) || 'FIELD';
+    for (let n = 1; used.has(name.toUpperCase()); n++) name = `${name.slice(0, 10 - String(n).length)}${n}`;
+    used.add(name.toUpperCase());
+    const values = records.map(record => record[key]).filter(value => value !== null && value !== undefined);
+    if (values.length > 0 && values.every(value => typeof value === 'number')) {
+      const decimals = values.every(Number.isInteger) ? 0 : 6;
+      return { key, name, type: 'N', length: 19, decimals };
+    }
+    const length = Math.min(254, Math.max(1, ...values.map(value => Buffer.byteLength(dbfText(value)))));
+    return { key, name, type: 'C', length, decimals: 0 };
+  });
+}
+
+function writeDbf(records) {
+  const fields = dbfFields(records);
+  const headerLength = 32 + fields.length * 32 + 1;
+  const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0);
+  const buffer = Buffer.alloc(headerLength + records.length * recordLength + 1, 0x20);
+  buffer.fill(0, 0, headerLength);
+  const now = new Date();
+  buffer[0] = 0x03;
+  buffer[1] = now.getFullYear() - 1900;
+  buffer[2] = now.getMonth() + 1;
+  buffer[3] = now.getDate();
+  buffer.writeUInt32LE(records.length, 4);
+  buffer.writeUInt16LE(headerLength, 8);
+  buffer.writeUInt16LE(recordLength, 10);
+  fields.forEach((field, i) => {
+    const offset = 32 + i * 32;
+    buffer.write(field.name, offset, 10, 'latin1');
+    buffer.write(field.type, offset + 11, 1, 'latin1');
+    buffer[offset + 16] = field.length;
+    buffer[offset + 17] = field.decimals;
+  });
+  buffer[headerLength - 1] = 0x0d;
+  records.forEach((record, r) => {
+    let offset = headerLength + r * recordLength + 1;
+    fields.forEach(field => {
+      const value = record[field.key];
+      let text = '';
+      if (value !== null && value !== undefined) {
+        text = field.type === 'N'
+          ? value.toFixed(field.decimals).padStart(field.length).slice(-field.length)
+          : dbfText(value);
+      }
+      const bytes = Buffer.from(text, 'utf8').subarray(0, field.length);
+      bytes.copy(buffer, offset);
+      offset += field.length;
+    });
+  });
+  buffer[buffer.length - 1] = 0x1a;
+  return buffer;
+}
+
+export function writeShapefile(features) {
+  const types = new Set(features.filter(f => f.geometry).map(f => f.geometry.type));
+  const isPoint = types.size > 0 && [...types].every(type => type === 'Point');
+  if (!isPoint && [...types].some(type => type !== 'Polygon' && type !== 'MultiPolygon')) {
+    throw new Error(`Shapefile export supports a single geometry family (Point or Polygon); got ${[...types].join(', ')}.`);
+  }
+  const shapeType = isPoint ? SHAPE_POINT : SHAPE_POLYGON;
+  const encoded = features.map(feature => encodeGeometry(feature.geometry, shapeType));
+  const allPoints = encoded.flatMap(e => e.points);
+  const box = allPoints.length > 0 ? bbox(allPoints) : [0, 0, 0, 0];
+
+  const shpLength = 100 + encoded.reduce((sum, e) => sum + 8 + e.record.length, 0);
+  const shp = Buffer.alloc(shpLength);
+  const shx = Buffer.alloc(100 + encoded.length * 8);
+  writeHeader(shp, shapeType, shpLength, box);
+  writeHeader(shx, shapeType, shx.length, box);
+  let offset = 100;
+  encoded.forEach((e, i) => {
+    shx.writeInt32BE(offset / 2, 100 + i * 8);
+    shx.writeInt32BE(e.record.length / 2, 104 + i * 8);
+    shp.writeInt32BE(i + 1, offset);
+    shp.writeInt32BE(e.record.length / 2, offset + 4);
+    e.record.copy(shp, offset + 8);
+    offset += 8 + e.record.length;
+  });
+
+  return {
+    shp,
+    shx,
+    dbf: writeDbf(features.map(feature => feature.properties || {})),
+    prj: Buffer.from(WGS84_PRJ),
+    cpg: Buffer.from('UTF-8')
+  };
+}
@@ -0,0 +1,133 @@
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import config, { getActiveProfile } from './config.js';
+import { NotFoundError, ValidationError } from './errors.js';
+
+export const RESOURCES = ['farms', 'fields', 'boundaries', 'harvest', 'planting', 'application', 'scouting', 'soil'];
+
+let cacheOptions = {
+  offline: false,
+  ttl: 0
+};
+
+let loaded = null;
+
+export function configureCache(options = {}) {
+  cacheOptions = { ...cacheOptions, ...options };
+}
+
+export function isOffline() {
+  return cacheOptions.offline;
+}
+
+export function cacheDir() {
+  return process.env.CLIMATECOM_CACHE_DIR || join(dirname(config.path), 'cache');
+}
+
+export function storePath() {
+  return join(cacheDir(), `${getActiveProfile()}.json`);
+}
+
+function loadStore() {
+  const path = storePath();
+  if (loaded?.path === path) return loaded.data;
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new ValidationError(`Cannot read local cache ${path}: ${error.message}`);
+    data = { resources: {} };
+  }
+  loaded = { path, data };
+  return data;
+}
+
+function saveStore(data) {
+  const path = storePath();
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(`${path}.tmp`, JSON.stringify(data));
+  renameSync(`${path}.tmp`, path);
+  loaded = { path, data };
+}
+
+// ============================================================
+// STORAGE
+// ============================================================
+
+export function getResource(resource) {
+  return loadStore().resources[resource] || null;
+}
+
+export function saveResource(resource, { items, syncedAt, highWaterMark }) {
+  const data = loadStore();
+  data.resources[resource] = { syncedAt, highWaterMark, items };
+  saveStore(data);
+}
+
+// Keeps an already-synced resource current after a successful write, so
+// --offline and --cache-ttl reads don't serve the old version.
+export function storeRecord(resource, record) {
+  const entry = getResource(resource);
+  if (!entry || !record?.id) return;
+  entry.items[record.id] = { ...entry.items[record.id], ...record };
+  saveResource(resource, entry);
+}
+
+export function forgetRecord(resource, id) {
+  const entry = getResource(resource);
+  if (!entry || !entry.items[id]) return;
+  delete entry.items[id];
+  saveResource(resource, entry);
+}
+
+export function clearStore() {
+  saveStore({ resources: {} });
+}
+
+export function storeStatus() {
+  return RESOURCES.map(resource => {
+    const entry = getResource(resource);
+    return {
+      resource,
+      records: entry ? Object.keys(entry.items).length : 0,
+      syncedAt: entry?.syncedAt || null
+    };
+  });
+}
+
+// ============================================================
+// CACHE READS
+// ============================================================
+
+function useCache(resource) {
+  const entry = getResource(resource);
+  if (cacheOptions.offline) {
+    if (!entry) throw new NotFoundError(`No local copy of ${resource}. Run: climatecom sync ${resource}`);
+    return true;
+  }
+  if (!entry || cacheOptions.ttl <= 0) return false;
+  return Date.now() - new Date(entry.syncedAt).getTime() < cacheOptions.ttl;
+}
+
+// Mirrors the paging contract of the API list functions over the local copy.
+// Offline page tokens are offsets prefixed with "cache:".
+export function cachedList(resource, { limit = 50, pageToken, all = false, max, filter } = {}) {
+  if (!useCache(resource)) return null;
+  const items = Object.values(getResource(resource).items).filter(filter || (() => true));
+  const start = pageToken?.startsWith('cache:') ? parseInt(pageToken.slice(6)) : 0;
+  let end = start + limit;
+  if (max) end = start + max;
+  else if (all || filter) end = items.length;
+  const results = items.slice(start, end);
+  const next = start + results.length;
+  return { results, nextToken: next < items.length ? `cache:${next}` : null };
+}
+
+export function cachedRecord(resource, id) {
+  if (!useCache(resource)) return null;
+  const record = getResource(resource).items[id];
+  if (!record && cacheOptions.offline) {
+    throw new NotFoundError(`Resource not found in local cache: ${id}. Run: climatecom sync ${resource}`);
+  }
+  return record || null;
+}
@@ -0,0 +1,73 @@
+import {
+  listFarms,
+  listFields,
+  listBoundaries,
+  listHarvestActivities,
+  listPlantingActivities,
+  listApplicationActivities,
+  listScoutingObservations,
+  listSoilSamples
+} from './api.js';
+import { RESOURCES, getResource, isOffline, saveResource } from './store.js';
+import { ValidationError } from './errors.js';
+
+export const LISTERS = {
+  farms: listFarms,
+  fields: listFields,
+  boundaries: listBoundaries,
+  harvest: listHarvestActivities,
+  planting: listPlantingActivities,
+  application: listApplicationActivities,
+  scouting: listScoutingObservations,
+  soil: listSoilSamples
+};
+
+// Incremental listings ask for a little more than what changed since the
+// high-water mark, so records stamped in the same instant as the last one
+// seen are not missed. Records are merged by ID, so the repeats are harmless.
+export const UPDATE_OVERLAP_MS = 60 * 1000;
+
+// The high-water mark is the newest server-side updatedAt seen, not the
+// local clock, so clock skew and updates made while a listing runs cannot
+// hide records from the next one.
+export function nextHighWaterMark(previous, records, fallback) {
+  const times = records.map(record => Date.parse(record.updatedAt)).filter(Number.isFinite);
+  const latest = times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+  return [previous, latest].filter(Boolean).sort().pop() || fallback;
+}
+
+export function updatedSince(highWaterMark) {
+  return highWaterMark ? { updatedAfter: new Date(Date.parse(highWaterMark) - UPDATE_OVERLAP_MS).toISOString() } : {};
+}
+
+// Incremental syncs ask only for records updated since the previous sync
+// and merge them by ID. Deletions are only picked up by a --full sync.
+export async function syncResource(resource, { full = false } = {}) {
+  if (isOffline()) throw new ValidationError('sync reads FieldView; it cannot run with --offline.');
+  const previous = full ? null : getResource(resource);
+  const startedAt = new Date().toISOString();
+  // Stores written before high-water marks were kept only have syncedAt
+  const mark = previous ? previous.highWaterMark || previous.syncedAt : null;
+  const { results } = await LISTERS[resource]({ all: true, limit: 100, params: updatedSince(mark), bypassCache: true });
+  const items = previous ? { ...previous.items } : {};
+  results.forEach(record => { if (record.id !== undefined) items[record.id] = record; });
+  saveResource(resource, { items, syncedAt: startedAt, highWaterMark: nextHighWaterMark(mark, results, startedAt) });
+  return {
+    resource,
+    mode: previous ? 'incremental' : 'full',
+    fetched: results.length,
+    records: Object.keys(items).length,
+    syncedAt: startedAt
+  };
+}
+
+export async function syncAll(resources = RESOURCES, { full = false, onResource } = {}) {
+  const unknown = resources.filter(resource => !RESOURCES.includes(resource));
+  if (unknown.length > 0) throw new ValidationError(`Unknown resource(s): ${unknown.join(', ')}. Use ${RESOURCES.join(', ')}.`);
+  const results = [];
+  for (const resource of resources) {
+    onResource?.(resource);
+    results.push(await syncResource(resource, { full }));
+  }
+  return results;
+}
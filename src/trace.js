@@ -0,0 +1,240 @@
+import axios from 'axios';
+import chalk from 'chalk';
+import { appendFileSync, writeFileSync } from 'fs';
+import { responseDetails } from './errors.js';
+
+const REDACTED = 'REDACTED';
+const SECRET_HEADERS = ['authorization', 'x-api-key', 'cookie', 'set-cookie'];
+const SECRET_KEYS = /^(access_token|refresh_token|id_token|client_secret|api_?key|password|secret)$/i;
+// Paging travels in headers rather than the query string
+const PAGING_HEADERS = ['x-limit', 'x-next-token', 'range'];
+const DEBUG_BODY_LIMIT = 4000;
+
+let traceOptions = { level: 'off' };
+
+// Open HAR file and whether an entry has been written to it yet
+let har = null;
+
+// Per-invocation settings from --verbose, --debug and --har. Entries are
+// appended to the HAR file as they happen, so a long `watch` or `listen` does
+// not hold them in memory; finishTracing() completes the file.
+export function configureTracing(options = {}) {
+  const { har: harPath, ...rest } = options;
+  traceOptions = { ...traceOptions, ...rest };
+  if (harPath && harPath !== har?.path) startHar(harPath);
+}
+
+export function traceLevel() {
+  return traceOptions.level;
+}
+
+// ============================================================
+// REDACTION
+// ============================================================
+
+export function redactSecrets(value) {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) =>
+    [key, SECRET_KEYS.test(key) && entry !== null ? REDACTED : redactSecrets(entry)]));
+}
+
+function redactHeader(name, value) {
+  if (!SECRET_HEADERS.includes(name.toLowerCase())) return String(value);
+  // Keep the scheme so "Bearer" vs. "Basic" stays visible
+  const scheme = /^(\w+)\s+\S/.exec(String(value));
+  return scheme ? `${scheme[1]} ${REDACTED}` : REDACTED;
+}
+
+function headerList(headers) {
+  const plain = typeof headers?.toJSON === 'function' ? headers.toJSON() : { ...headers };
+  return Object.entries(plain)
+    .filter(([, value]) => value !== undefined && value !== null && typeof value !== 'object')
+    .map(([name, value]) => ({ name, value: redactHeader(name, value) }));
+}
+
+// Token requests are form-encoded (grant_type=...&refresh_token=...)
+function redactForm(text) {
+  if (!/^[\w.%+-]+=[^\s&]*(&[\w.%+-]+=[^\s&]*)*$/.test(text)) return text;
+  const form = new URLSearchParams(text);
+  for (const key of new Set(form.keys())) {
+    if (SECRET_KEYS.test(key)) form.set(key, REDACTED);
+  }
+  return form.toString();
+}
+
+// Returns the body as text with secrets redacted, or null for binary data
+function bodyText(data) {
+  if (data === undefined || data === null || data === '') return '';
+  if (Buffer.isBuffer(data) || data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return null;
+  if (typeof data === 'string') {
+    try {
+      return JSON.stringify(redactSecrets(JSON.parse(data)));
+    } catch {
+      return redactForm(data);
+    }
+  }
+  if (typeof data === 'object' && typeof data.pipe === 'function') return null;
+  return JSON.stringify(redactSecrets(data));
+}
+
+function byteLength(data) {
+  if (data === undefined || data === null) return 0;
+  if (data instanceof ArrayBuffer) return data.byteLength;
+  if (Buffer.isBuffer(data) || ArrayBuffer.isView(data)) return data.byteLength;
+  return Buffer.byteLength(typeof data === 'string' ? data : JSON.stringify(data));
+}
+
+// ============================================================
+// LOGGING
+// ============================================================
+
+function requestUrl(config) {
+  return axios.getUri({ ...config, params: undefined });
+}
+
+function truncate(text) {
+  return text.length > DEBUG_BODY_LIMIT ? `${text.slice(0, DEBUG_BODY_LIMIT)}… (${text.length - DEBUG_BODY_LIMIT} more characters)` : text;
+}
+
+function logExchange(config, response, error, ms) {
+  const method = (config.method || 'get').toUpperCase();
+  const headers = typeof config.headers?.toJSON === 'function' ? config.headers.toJSON() : (config.headers || {});
+  const paging = PAGING_HEADERS.filter(name => headers[name] !== undefined).map(name => `${name}=${headers[name]}`);
+  const params = config.params && Object.keys(config.params).length > 0 ? JSON.stringify(config.params) : '';
+  const requestId = response ? responseDetails(response).requestId : null;
+  const outcome = response
+    ? (response.status < 400 ? chalk.green(response.status) : chalk.red(response.status))
+    : chalk.red(error?.code || error?.message || 'no response');
+  const details = [`${ms} ms`, requestId && `request id ${requestId}`, config._retryCount && `retry ${config._retryCount}`].filter(Boolean);
+  console.error(chalk.dim('[http] ') + [method, requestUrl(config), params, ...paging].filter(Boolean).join(' ') +
+    ` → ${outcome} ${chalk.dim(`(${details.join(', ')})`)}`);
+
+  if (traceOptions.level !== 'debug') return;
+  const print = (label, text) => console.error(chalk.dim(`  ${label} `) + text);
+  headerList(config.headers).forEach(({ name, value }) => print('>', `${name}: ${value}`));
+  const sent = bodyText(config.data);
+  if (sent === null) print('>', chalk.dim(`<${byteLength(config.data)} bytes of binary data>`));
+  else if (sent) print('>', truncate(sent));
+  if (!response) return;
+  headerList(response.headers).forEach(({ name, value }) => print('<', `${name}: ${value}`));
+  const received = bodyText(response.data);
+  if (received === null) print('<', chalk.dim(`<${byteLength(response.data)} bytes of binary data>`));
+  else if (received) print('<', truncate(received));
+}
+
+// ============================================================
+// HAR
+// ============================================================
+
+function harEntry(config, response, startedAt, ms) {
+  const url = axios.getUri(config);
+  const requestType = headerList(config.headers).find(({ name }) => name.toLowerCase() === 'content-type')?.value || '';
+  const sent = bodyText(config.data);
+  const responseType = String(response?.headers?.['content-type'] || '');
+  const received = response ? bodyText(response.data) : '';
+  const content = { size: response ? byteLength(response.data) : 0, mimeType: responseType };
+  if (received === null) Object.assign(content, { text: Buffer.from(response.data).toString('base64'), encoding: 'base64' });
+  else if (received) content.text = received;
+  return {
+    startedDateTime: startedAt,
+    time: ms,
+    request: {
+      method: (config.method || 'get').toUpperCase(),
+      url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: headerList(config.headers),
+      queryString: [...new URL(url).searchParams].map(([name, value]) => ({ name, value })),
+      ...(config.data !== undefined && config.data !== null && {
+        postData: sent === null
+          ? { mimeType: requestType, text: '', comment: `${byteLength(config.data)} bytes of binary data not recorded` }
+          : { mimeType: requestType, text: sent }
+      }),
+      headersSize: -1,
+      bodySize: byteLength(config.data)
+    },
+    response: {
+      status: response?.status ?? 0,
+      statusText: response?.statusText ?? '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: response ? headerList(response.headers) : [],
+      content,
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: content.size
+    },
+    cache: {},
+    timings: { send: 0, wait: ms, receive: 0 }
+  };
+}
+
+function startHar(path) {
+  finishTracing();
+  const creator = JSON.stringify({ name: 'climatecom', version: '1.0.0' });
+  try {
+    writeFileSync(path, `{"log":{"version":"1.2","creator":${creator},"entries":[\n`);
+    har = { path, empty: true };
+  } catch (error) {
+    console.error(chalk.yellow(`Cannot write HAR file ${path}: ${error.message}`));
+  }
+}
+
+function writeHarEntry(entry) {
+  try {
+    appendFileSync(har.path, `${har.empty ? '' : ',\n'}${JSON.stringify(entry)}`);
+    har.empty = false;
+  } catch (error) {
+    console.error(chalk.yellow(`Cannot write HAR file ${har.path}: ${error.message}`));
+    har = null;
+  }
+}
+
+// Closes the HAR file. Commands call this on their way out: through fail(),
+// after the action returns, or from the signal handler of a command that
+// runs until stopped. Safe to call more than once.
+export function finishTracing() {
+  if (!har) return;
+  const { path } = har;
+  har = null;
+  try {
+    appendFileSync(path, '\n]}}\n');
+  } catch (error) {
+    console.error(chalk.yellow(`Cannot write HAR file ${path}: ${error.message}`));
+  }
+}
+
+// ============================================================
+// INTERCEPTORS
+// ============================================================
+
+// Installs the tracing layer on an API client. Call it before adding any
+// other interceptors: axios runs request interceptors in reverse order, so
+// this one then sees the final headers of every attempt, and its response
+// side sees each raw response before auth refreshes and retries replay it.
+export function traceRequests(client) {
+  client.interceptors.request.use((config) => {
+    config._traceStarted = Date.now();
+    config._traceStartedAt = new Date().toISOString();
+    return config;
+  });
+
+  const record = (config, response, error) => {
+    if (!config?._traceStarted || (traceOptions.level === 'off' && !har)) return;
+    const ms = Date.now() - config._traceStarted;
+    if (traceOptions.level !== 'off') logExchange(config, response, error, ms);
+    if (har) writeHarEntry(harEntry(config, response, config._traceStartedAt, ms));
+  };
+
+  client.interceptors.response.use(
+    (response) => {
+      record(response.config, response, null);
+      return response;
+    },
+    (error) => {
+      record(error.config, error.response, error);
+      throw error;
+    }
+  );
+}
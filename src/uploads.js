@@ -0,0 +1,79 @@
+import { createReadStream } from 'fs';
+import { open, stat } from 'fs/promises';
+import { createHash } from 'crypto';
+import { extname } from 'path';
+import { createUpload, getUploadStatus, putUploadChunk } from './api.js';
+import { ServerError, ValidationError } from './errors.js';
+
+export const UPLOAD_TYPES = {
+  prescription: 'application/vnd.climate.rx.planting.shp',
+  adapt: 'application/vnd.climate.adapt.zip'
+};
+
+// FieldView accepts at most 5 MiB per chunk
+export const MAX_CHUNK_SIZE = 5 * 1024 * 1024;
+export const TERMINAL_STATUSES = ['SUCCESS', 'INVALID', 'FAILED', 'ERROR'];
+
+export function resolveContentType({ type, contentType, path }) {
+  if (contentType) return contentType;
+  if (type) {
+    if (!UPLOAD_TYPES[type]) throw new ValidationError(`Unknown upload type "${type}". Use ${Object.keys(UPLOAD_TYPES).join(', ')} or pass --content-type.`);
+    return UPLOAD_TYPES[type];
+  }
+  if (extname(path).toLowerCase() !== '.zip') {
+    throw new ValidationError('Uploads must be zip archives (a zipped Shapefile prescription or an ADAPT export). Pass --content-type to override.');
+  }
+  return UPLOAD_TYPES.prescription;
+}
+
+function fileMd5(path) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('md5');
+    createReadStream(path)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('base64')))
+      .on('error', reject);
+  });
+}
+
+// Reads and sends one chunk at a time, so memory use stays at one chunk
+// whatever the file size. Chunk PUTs are retried like any idempotent request.
+export async function uploadFile(path, { contentType = UPLOAD_TYPES.prescription, chunkSize = MAX_CHUNK_SIZE, onProgress, connection } = {}) {
+  if (!(chunkSize >= 1024 && chunkSize <= MAX_CHUNK_SIZE)) {
+    throw new ValidationError(`Chunk size must be between 1 KB and ${MAX_CHUNK_SIZE / 1024 / 1024} MB.`);
+  }
+  const { size } = await stat(path);
+  if (size === 0) throw new ValidationError(`${path} is empty.`);
+  const md5 = await fileMd5(path);
+  const upload = await createUpload({ md5, length: size, contentType }, { connection });
+  if (!upload?.id) throw new ServerError('FieldView did not return an upload ID.');
+
+  const file = await open(path, 'r');
+  try {
+    const buffer = Buffer.alloc(Math.min(chunkSize, size));
+    let uploaded = 0;
+    onProgress?.({ uploaded, total: size });
+    while (uploaded < size) {
+      const { bytesRead } = await file.read(buffer, 0, Math.min(chunkSize, size - uploaded), uploaded);
+      await putUploadChunk(upload.id, buffer.subarray(0, bytesRead), { start: uploaded, total: size, connection });
+      uploaded += bytesRead;
+      onProgress?.({ uploaded, total: size });
+    }
+  } finally {
+    await file.close();
+  }
+  return { id: upload.id, bytes: size, md5, contentType };
+}
+
+// Polls until FieldView reports a terminal status or `timeout` passes; the
+// last status seen is returned with `timedOut` set in the latter case.
+export async function waitForUpload(uploadId, { interval = 5000, timeout = 10 * 60 * 1000, onStatus, connection } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const status = await getUploadStatus(uploadId, { connection });
+    onStatus?.(status);
+    if (TERMINAL_STATUSES.includes(String(status.status).toUpperCase())) return { ...status, timedOut: false };
+    if (Date.now() + interval > deadline) return { ...status, timedOut: true };
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
@@ -0,0 +1,174 @@
+import { createHash } from 'crypto';
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { getActiveProfile } from './config.js';
+import { RESOURCES, cacheDir, isOffline } from './store.js';
+import { LISTERS, nextHighWaterMark, updatedSince } from './sync.js';
+import { NetworkError, RateLimitError, ServerError, ValidationError } from './errors.js';
+
+// Change types follow the webhook event names (see webhooks.js), which use
+// the singular for these resources
+const EVENT_KINDS = { farms: 'farm', fields: 'field', boundaries: 'boundary' };
+const ACTIVITY_RESOURCES = ['harvest', 'planting', 'application'];
+
+// A failed poll of these kinds is reported and retried on the next interval
+const TRANSIENT_ERRORS = [NetworkError, RateLimitError, ServerError];
+
+// ============================================================
+// STATE
+// ============================================================
+
+export function watchStatePath() {
+  return join(cacheDir(), `${getActiveProfile()}.watch.json`);
+}
+
+export function loadWatchState() {
+  const path = watchStatePath();
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new ValidationError(`Cannot read watch state ${path}: ${error.message}`);
+    return { resources: {} };
+  }
+}
+
+function saveWatchState(state) {
+  const path = watchStatePath();
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(`${path}.tmp`, JSON.stringify(state));
+  renameSync(`${path}.tmp`, path);
+}
+
+export function resetWatchState(resources = RESOURCES) {
+  const state = loadWatchState();
+  resources.forEach(resource => { delete state.resources[resource]; });
+  saveWatchState(state);
+}
+
+export function watchStatus(resources = RESOURCES) {
+  const state = loadWatchState();
+  return resources.map(resource => {
+    const entry = state.resources[resource];
+    return {
+      resource,
+      records: entry ? Object.keys(entry.snapshot).length : 0,
+      highWaterMark: entry?.highWaterMark || null,
+      polledAt: entry?.polledAt || null
+    };
+  });
+}
+
+// ============================================================
+// CHANGE DETECTION
+// ============================================================
+
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+  }
+  return value;
+}
+
+function fingerprint(record) {
+  return createHash('sha1').update(JSON.stringify(canonical(record))).digest('hex');
+}
+
+function changedKeys(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter(key => JSON.stringify(canonical(before[key])) !== JSON.stringify(canonical(after[key])));
+}
+
+function changeEvent(resource, change, record, before, detectedAt) {
+  return {
+    type: `${EVENT_KINDS[resource] || resource}.${change}`,
+    resource,
+    recordId: record.id,
+    ...(before ? { changes: changedKeys(before, record) } : {}),
+    detectedAt,
+    data: record
+  };
+}
+
+// Extra CLIMATECOM_* variables for an --exec hook, on top of the ones
+// runEventCommand sets for webhook events
+export function changeEnv(event) {
+  const record = event.data || {};
+  return {
+    CLIMATECOM_RESOURCE: event.resource,
+    CLIMATECOM_RECORD_ID: String(event.recordId ?? ''),
+    CLIMATECOM_ACTIVITY_ID: ACTIVITY_RESOURCES.includes(event.resource) ? String(record.id ?? '') : '',
+    CLIMATECOM_FIELD_ID: String(event.resource === 'fields' ? record.id ?? '' : record.fieldId ?? '')
+  };
+}
+
+// Lists what changed in `resource` since the previous poll recorded in
+// `state` and returns the changes with the entry to store once they are
+// handled. The first poll of a resource only takes a baseline, unless
+// `includeExisting` reports every record found as created. Deletions are not
+// detected: FieldView only lists records that still exist.
+export async function pollResource(resource, state, { includeExisting = false } = {}) {
+  const previous = state.resources[resource];
+  const polledAt = new Date().toISOString();
+  // The overlap in updatedSince() returns a few records again; the
+  // snapshot comparison drops them
+  const { results } = await LISTERS[resource]({ all: true, limit: 100, params: updatedSince(previous?.highWaterMark), bypassCache: true });
+  const snapshot = previous ? { ...previous.snapshot } : {};
+  const changes = [];
+  for (const record of results) {
+    if (record?.id === undefined) continue;
+    const before = snapshot[record.id];
+    if (before && fingerprint(before) === fingerprint(record)) continue;
+    snapshot[record.id] = record;
+    if (previous || includeExisting) changes.push(changeEvent(resource, before ? 'updated' : 'created', record, before, polledAt));
+  }
+  const highWaterMark = nextHighWaterMark(previous?.highWaterMark, results, polledAt);
+  return { changes, entry: { highWaterMark, polledAt, snapshot } };
+}
+
+// ============================================================
+// WATCH LOOP
+// ============================================================
+
+// Throws a ValidationError for arguments watchResources() would reject, so
+// callers can check them before announcing the watch
+export function validateWatch(resources, { interval, once = false } = {}) {
+  const unknown = resources.filter(resource => !RESOURCES.includes(resource));
+  if (unknown.length > 0) throw new ValidationError(`Unknown resource(s): ${unknown.join(', ')}. Use ${RESOURCES.join(', ')}.`);
+  if (isOffline()) throw new ValidationError('watch polls FieldView; it cannot run with --offline.');
+  if (!once && !(interval >= 1000)) throw new ValidationError('The watch interval must be at least 1s.');
+}
+
+// Polls `resources` every `interval` ms until stopped (or once with `once`).
+// Each resource's state is saved only after `onChange` has handled all of its
+// changes, so a change is delivered at least once even if the process dies
+// part-way through.
+export async function watchResources(resources, {
+  interval,
+  once = false,
+  includeExisting = false,
+  onChange,
+  onPoll,
+  onError
+} = {}) {
+  validateWatch(resources, { interval, once });
+
+  for (;;) {
+    for (const resource of resources) {
+      try {
+        const state = loadWatchState();
+        const baseline = !state.resources[resource];
+        const { changes, entry } = await pollResource(resource, state, { includeExisting });
+        for (const change of changes) await onChange?.(change);
+        state.resources[resource] = entry;
+        saveWatchState(state);
+        onPoll?.({ resource, baseline, changes: changes.length, records: Object.keys(entry.snapshot).length, polledAt: entry.polledAt });
+      } catch (error) {
+        if (once || !TRANSIENT_ERRORS.some(type => error instanceof type)) throw error;
+        onError?.(error, resource);
+      }
+    }
+    if (once) return;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
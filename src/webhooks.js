@@ -0,0 +1,200 @@
+import { createServer } from 'http';
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { spawn } from 'child_process';
+import { appendFile } from 'fs/promises';
+import { getHarvestActivity, getPlantingActivity } from './api.js';
+
+export const WEBHOOK_EVENTS = [
+  'harvest.created',
+  'harvest.updated',
+  'planting.created',
+  'planting.updated',
+  'field.created',
+  'field.updated',
+  'boundary.updated'
+];
+
+export const SIGNATURE_HEADER = 'x-climate-signature';
+export const TIMESTAMP_HEADER = 'x-climate-timestamp';
+export const DEFAULT_TOLERANCE_MS = 5 * 60 * 1000;
+
+const MAX_BODY_BYTES = 1024 * 1024;
+// Deliveries are retried by the sender; remember this many event IDs
+const SEEN_EVENT_LIMIT = 1000;
+
+export function generateSecret() {
+  return randomBytes(32).toString('hex');
+}
+
+// ============================================================
+// SIGNATURES
+// ============================================================
+
+// The signature covers "<timestamp>.<raw body>" so a captured delivery
+// cannot be replayed outside the tolerance window.
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+// Returns null when the delivery is authentic, otherwise the reason it is
+// not. The signature header may list several comma-separated signatures
+// while a secret is being rotated.
+export function verifySignature(secret, headers, body, { tolerance = DEFAULT_TOLERANCE_MS, now = Date.now() } = {}) {
+  const signatures = String(headers[SIGNATURE_HEADER] || '').split(',').map(value => value.trim()).filter(Boolean);
+  const timestamp = String(headers[TIMESTAMP_HEADER] || '');
+  if (signatures.length === 0) return `missing ${SIGNATURE_HEADER} header`;
+  if (!/^\d+$/.test(timestamp)) return `missing or invalid ${TIMESTAMP_HEADER} header`;
+  if (Math.abs(now - Number(timestamp) * 1000) > tolerance) return 'timestamp outside the tolerance window';
+  const expected = signPayload(secret, timestamp, body);
+  return signatures.some(signature => safeEqual(signature, expected)) ? null : 'signature mismatch';
+}
+
+// ============================================================
+// EVENTS
+// ============================================================
+
+const ENRICHERS = {
+  harvest: getHarvestActivity,
+  planting: getPlantingActivity
+};
+
+// Adds the activity summary to harvest and planting events. A failed lookup
+// is recorded on the event instead of dropping it.
+export async function enrichEvent(event) {
+  const kind = String(event.type || '').split('.')[0];
+  const activityId = event.data?.activityId ?? event.data?.id;
+  if (!ENRICHERS[kind] || !activityId) return event;
+  try {
+    return { ...event, activity: await ENRICHERS[kind](activityId) };
+  } catch (error) {
+    return { ...event, activity: null, enrichmentError: error.message };
+  }
+}
+
+// Runs `command` through the shell with the event as JSON on stdin and its
+// type and IDs in CLIMATECOM_EVENT_* variables, plus any `env` given.
+// Resolves to the exit code.
+export function runEventCommand(command, event, env = {}) {
+  return new Promise((resolve) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'inherit', 'inherit'],
+      env: {
+        ...process.env,
+        CLIMATECOM_EVENT_ID: String(event.id ?? ''),
+        CLIMATECOM_EVENT_TYPE: String(event.type ?? ''),
+        CLIMATECOM_ACTIVITY_ID: String(event.activity?.id ?? event.data?.activityId ?? ''),
+        CLIMATECOM_FIELD_ID: String(event.activity?.fieldId ?? event.data?.fieldId ?? ''),
+        ...env
+      }
+    });
+    child.on('error', () => resolve(127));
+    child.on('close', (code, signal) => resolve(code ?? (signal ? 128 : 1)));
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(event) + '\n');
+  });
+}
+
+export async function appendEvent(path, event) {
+  await appendFile(path, JSON.stringify(event) + '\n');
+}
+
+// ============================================================
+// RECEIVER
+// ============================================================
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Payload too large.'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+// Accepts signed POST deliveries on `path` and acknowledges them right away;
+// events are then handled one at a time, in arrival order, by `onEvent`.
+// Repeated deliveries of the same event ID are acknowledged but not handled
+// again.
+export function startReceiver({
+  port,
+  host = '127.0.0.1',
+  path = '/',
+  secret,
+  tolerance = DEFAULT_TOLERANCE_MS,
+  enrich = true,
+  onEvent,
+  onRejected
+}) {
+  const seen = new Set();
+  let queue = Promise.resolve();
+
+  const server = createServer(async (request, response) => {
+    const reply = (status, body) => {
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(body));
+    };
+    const reject = (status, reason) => {
+      onRejected?.({ status, reason, remoteAddress: request.socket.remoteAddress });
+      reply(status, { error: reason });
+    };
+
+    if (new URL(request.url, 'http://localhost').pathname !== path) return reject(404, `not found; deliveries go to ${path}`);
+    if (request.method !== 'POST') return reject(405, 'use POST');
+
+    let body;
+    try {
+      body = await readBody(request);
+    } catch (error) {
+      return reject(413, error.message);
+    }
+    if (secret) {
+      const problem = verifySignature(secret, request.headers, body, { tolerance });
+      if (problem) return reject(401, problem);
+    }
+    let event;
+    try {
+      event = JSON.parse(body.toString('utf8'));
+    } catch {
+      return reject(400, 'payload is not JSON');
+    }
+    if (!event || typeof event !== 'object' || Array.isArray(event) || typeof event.type !== 'string') {
+      return reject(400, 'payload is not an event (missing "type")');
+    }
+
+    if (event.id !== undefined && seen.has(event.id)) return reply(200, { received: true, duplicate: true });
+    if (event.id !== undefined) {
+      seen.add(event.id);
+      if (seen.size > SEEN_EVENT_LIMIT) seen.delete(seen.values().next().value);
+    }
+    reply(202, { received: true });
+
+    const receivedAt = new Date().toISOString();
+    queue = queue
+      .then(async () => {
+        const enriched = enrich ? await enrichEvent(event) : event;
+        await onEvent({ ...enriched, receivedAt });
+      })
+      .catch(error => onRejected?.({ status: null, reason: `handling ${event.type} failed: ${error.message}` }));
+  });
+
+  return new Promise((resolve, rejectListen) => {
+    server.once('error', rejectListen);
+    server.listen(port, host, () => resolve(server));
+  });
+}
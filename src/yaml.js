@@ -0,0 +1,216 @@
+// ============================================================
+// WRITING
+// ============================================================
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  const text = String(value);
+  if (text === '' || /^[\s-?:,[\]{}#&*!|>'"%@`]|[:#]\s|\s$|\n/.test(text) ||
+    /^(true|false|null|yes|no|on|off|~)$/i.test(text) || !Number.isNaN(Number(text))) {
+    return JSON.stringify(text);
+  }
+  return text;
+}
+
+export function toYaml(value, indent = 0) {
+  const pad = ' '.repeat(indent);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return value.map(item => {
+      if (item !== null && typeof item === 'object' && Object.keys(item).length > 0) {
+        return `${pad}- ${toYaml(item, indent + 2).trimStart()}`;
+      }
+      return `${pad}- ${toYaml(item, indent + 2)}`;
+    }).join('\n');
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    return entries.map(([key, item]) => {
+      const isBlock = item !== null && typeof item === 'object' && Object.keys(item).length > 0;
+      return isBlock
+        ? `${pad}${yamlScalar(key)}:\n${toYaml(item, indent + 2)}`
+        : `${pad}${yamlScalar(key)}: ${toYaml(item, indent + 2)}`;
+    }).join('\n');
+  }
+  return yamlScalar(value);
+}
+
+// ============================================================
+// READING
+// ============================================================
+
+// Reads the block-style subset of YAML that people write by hand for
+// manifests: nested mappings and sequences, plain and quoted scalars,
+// comments, and single-line flow collections. Anchors, tags and multi-line
+// scalars are rejected rather than misread.
+
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function splitFlow(text) {
+  const items = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      items.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  const last = text.slice(start).trim();
+  if (last) items.push(last);
+  return items;
+}
+
+function parseScalar(text, line) {
+  if (text === '' || text === '~' || text === 'null' || text === 'Null' || text === 'NULL') return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new Error(`Line ${line}: unterminated or invalid double-quoted string.`);
+    }
+  }
+  if (text.startsWith('\'')) {
+    if (!/^'(?:[^']|'')*'$/.test(text)) throw new Error(`Line ${line}: unterminated single-quoted string.`);
+    return text.slice(1, -1).replace(/''/g, '\'');
+  }
+  if (text.startsWith('[') && text.endsWith(']')) {
+    return splitFlow(text.slice(1, -1)).map(item => parseScalar(item, line));
+  }
+  if (text.startsWith('{') && text.endsWith('}')) {
+    return Object.fromEntries(splitFlow(text.slice(1, -1)).map(entry => {
+      const pair = splitKey(entry);
+      if (!pair) throw new Error(`Line ${line}: expected "key: value" in flow mapping.`);
+      return [pair.key, parseScalar(pair.value, line)];
+    }));
+  }
+  if (/^[|>]/.test(text)) throw new Error(`Line ${line}: block scalars (| and >) are not supported; use a quoted string.`);
+  if (/^[&*!]/.test(text)) throw new Error(`Line ${line}: anchors, aliases and tags are not supported.`);
+  return text;
+}
+
+// Splits "key: value" (or "key:"); returns null when the text is not a
+// mapping entry.
+function splitKey(text) {
+  const match = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#][^:]*?)\s*:(?:\s+(.*))?$/);
+  if (!match) return null;
+  const rawKey = match[1];
+  const key = /^["']/.test(rawKey) ? parseScalar(rawKey) : rawKey;
+  return { key: String(key), value: (match[2] ?? '').trim() };
+}
+
+function isSequenceItem(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+function parseNode(lines, index, indent) {
+  return isSequenceItem(lines[index].text)
+    ? parseSequence(lines, index, indent)
+    : parseMapping(lines, index, indent);
+}
+
+// The value of "key:" or "-" with nothing after it lives on the following,
+// more indented lines (or is a sequence at the same indent after "key:").
+function parseNested(lines, index, indent, allowSameIndentSequence) {
+  const next = lines[index];
+  if (!next) return [null, index];
+  if (next.indent > indent) return parseNode(lines, index, next.indent);
+  if (allowSameIndentSequence && next.indent === indent && isSequenceItem(next.text)) {
+    return parseSequence(lines, index, indent);
+  }
+  return [null, index];
+}
+
+function parseSequence(lines, index, indent) {
+  const items = [];
+  let i = index;
+  while (i < lines.length && lines[i].indent === indent && isSequenceItem(lines[i].text)) {
+    const line = lines[i];
+    const rest = line.text.slice(1).trimStart();
+    if (rest === '') {
+      const [value, next] = parseNested(lines, i + 1, indent, false);
+      items.push(value);
+      i = next;
+    } else if (isSequenceItem(rest) || splitKey(rest)) {
+      // "- key: value" opens a mapping whose keys align with "key"
+      const childIndent = indent + (line.text.length - rest.length);
+      const child = [{ ...line, indent: childIndent, text: rest }, ...lines.slice(i + 1)];
+      const [value, consumed] = parseNode(child, 0, childIndent);
+      items.push(value);
+      i += consumed;
+    } else {
+      items.push(parseScalar(rest, line.number));
+      i++;
+    }
+  }
+  return [items, i];
+}
+
+function parseMapping(lines, index, indent) {
+  const result = {};
+  let i = index;
+  while (i < lines.length && lines[i].indent === indent && !isSequenceItem(lines[i].text)) {
+    const line = lines[i];
+    const pair = splitKey(line.text);
+    if (!pair) throw new Error(`Line ${line.number}: expected "key: value".`);
+    if (Object.prototype.hasOwnProperty.call(result, pair.key)) {
+      throw new Error(`Line ${line.number}: duplicate key "${pair.key}".`);
+    }
+    if (pair.value === '') {
+      const [value, next] = parseNested(lines, i + 1, indent, true);
+      result[pair.key] = value;
+      i = next;
+    } else {
+      result[pair.key] = parseScalar(pair.value, line.number);
+      i++;
+    }
+  }
+  return [result, i];
+}
+
+export function parseYaml(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/)
+    .map((raw, i) => {
+      if (/^\s*\t/.test(raw)) throw new Error(`Line ${i + 1}: tabs are not allowed for indentation.`);
+      const content = stripComment(raw);
+      return { number: i + 1, indent: content.length - content.trimStart().length, text: content.trim() };
+    })
+    .filter(line => line.text !== '' && line.text !== '---' && line.text !== '...');
+  if (lines.length === 0) return null;
+  if (lines.length === 1 && !isSequenceItem(lines[0].text) && !splitKey(lines[0].text)) {
+    return parseScalar(lines[0].text, lines[0].number);
+  }
+  const [value, next] = parseNode(lines, 0, lines[0].indent);
+  if (next < lines.length) throw new Error(`Line ${lines[next].number}: unexpected indentation.`);
+  return value;
+}
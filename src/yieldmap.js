@@ -0,0 +1,418 @@
+import { access, appendFile, writeFile } from 'fs/promises';
+import { boundingBox, containsPoint } from './geometry.js';
+import { formatCsv } from './csv.js';
+import { WGS84_PRJ } from './shapefile.js';
+import { ValidationError } from './errors.js';
+
+export const GRID_FORMATS = { geojson: '.geojson', asc: '.asc' };
+
+export const SUMMARY_COLUMNS = [
+  'activityId', 'fieldId', 'field', 'crop', 'season', 'zone',
+  'points', 'cells', 'acres', 'mean', 'median', 'cv', 'min', 'max'
+];
+
+const EARTH_RADIUS_M = 6371008.8;
+const SQ_METERS_PER_ACRE = 4046.8564224;
+const NODATA = -9999;
+// A gap this many times the typical spacing between logged points starts a new pass
+const PASS_GAP_FACTOR = 3;
+const CLASS_LABELS = { 2: ['Low', 'High'], 3: ['Low', 'Medium', 'High'] };
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function median(sorted) {
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+export function yieldStats(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return { count: 0, mean: null, median: null, sd: null, cv: null, min: null, max: null };
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  const sd = Math.sqrt(sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length);
+  return {
+    count: sorted.length,
+    mean: round(mean),
+    median: round(median(sorted)),
+    sd: round(sd),
+    cv: mean !== 0 ? round((sd / mean) * 100, 1) : null,
+    min: round(sorted[0]),
+    max: round(sorted[sorted.length - 1])
+  };
+}
+
+// Equirectangular projection around `origin`, in meters. At field scale the
+// error is far below GPS accuracy.
+function projector([lon0, lat0]) {
+  const kx = (Math.PI / 180) * EARTH_RADIUS_M * Math.cos((lat0 * Math.PI) / 180);
+  const ky = (Math.PI / 180) * EARTH_RADIUS_M;
+  return ([lon, lat]) => [(lon - lon0) * kx, (lat - lat0) * ky];
+}
+
+function distanceToSegment([x, y], [x1, y1], [x2, y2]) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const length2 = dx * dx + dy * dy;
+  const t = length2 === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / length2));
+  return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
+
+function boundaryEdges(geometry, project) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons.flat().flatMap(ring => ring.slice(0, -1).map((point, i) => [project(point), project(ring[i + 1])]));
+}
+
+// ============================================================
+// CLEANING
+// ============================================================
+
+function splitPasses(points, project) {
+  const xy = points.map(point => project([point.lon, point.lat]));
+  const steps = xy.slice(1).map((point, i) => Math.hypot(point[0] - xy[i][0], point[1] - xy[i][1]));
+  const typical = median(steps.filter(step => step > 0).sort((a, b) => a - b)) ?? 0;
+  const passes = [];
+  let current = [];
+  points.forEach((point, i) => {
+    if (i > 0 && typical > 0 && steps[i - 1] > typical * PASS_GAP_FACTOR) {
+      passes.push(current);
+      current = [];
+    }
+    current.push(point);
+  });
+  if (current.length > 0) passes.push(current);
+  return passes;
+}
+
+// Removes, in order and the way yield-editing tools do:
+//   flowDelay   yield is logged `flowDelay` records after the combine passed
+//               the spot, so it is shifted back within each pass and the
+//               records left without a yield at pass ends are dropped
+//   speed       records outside [minSpeed, maxSpeed]
+//   zeroYield   records with no positive yield
+//   edge        records outside the boundary or within edgeBuffer meters of
+//               it, where partial header widths under-report yield
+//   outlier     yields more than `sd` standard deviations from the median,
+//               estimated robustly from the median absolute deviation
+// Points must be in logging order.
+export function cleanPoints(points, { boundary, flowDelay = 0, minSpeed = 1, maxSpeed = 10, edgeBuffer = 10, sd = 3 } = {}) {
+  if (!(flowDelay >= 0 && Number.isInteger(flowDelay))) throw new ValidationError('--flow-delay must be a whole number of records.');
+  if (!(minSpeed >= 0 && maxSpeed > minSpeed)) throw new ValidationError('--max-speed must be greater than --min-speed.');
+  if (!(edgeBuffer >= 0)) throw new ValidationError('--edge-buffer must be zero or more meters.');
+  if (!(sd > 0)) throw new ValidationError('--sd must be greater than zero.');
+
+  const removed = { flowDelay: 0, speed: 0, zeroYield: 0, edge: 0, outlier: 0 };
+  const origin = boundary ? boundingBox(boundary) : [points[0]?.lon ?? 0, points[0]?.lat ?? 0];
+  const project = projector(origin);
+
+  let kept = [];
+  for (const pass of splitPasses(points, project)) {
+    pass.forEach((point, i) => {
+      const source = pass[i + flowDelay];
+      if (!source) {
+        removed.flowDelay += 1;
+        return;
+      }
+      kept.push({ ...point, yield: source.yield });
+    });
+  }
+
+  kept = kept.filter(point => {
+    if (point.speed !== null && point.speed !== undefined && (point.speed < minSpeed || point.speed > maxSpeed)) {
+      removed.speed += 1;
+      return false;
+    }
+    if (!(point.yield > 0)) {
+      removed.zeroYield += 1;
+      return false;
+    }
+    return true;
+  });
+
+  if (boundary) {
+    const edges = boundaryEdges(boundary, project);
+    kept = kept.filter(point => {
+      const inside = containsPoint(boundary, [point.lon, point.lat]);
+      const xy = project([point.lon, point.lat]);
+      if (!inside || (edgeBuffer > 0 && edges.some(([a, b]) => distanceToSegment(xy, a, b) < edgeBuffer))) {
+        removed.edge += 1;
+        return false;
+      }
+      return true;
+    });
+  }
+
+  // Median and MAD rather than mean and SD, so the outliers being looked
+  // for do not widen their own acceptance band
+  const sorted = kept.map(point => point.yield).sort((a, b) => a - b);
+  const center = median(sorted);
+  const spread = 1.4826 * (median(sorted.map(value => Math.abs(value - center)).sort((a, b) => a - b)) ?? 0);
+  if (spread > 0) {
+    kept = kept.filter(point => {
+      if (Math.abs(point.yield - center) > sd * spread) {
+        removed.outlier += 1;
+        return false;
+      }
+      return true;
+    });
+  }
+  return { points: kept, removed, total: points.length };
+}
+
+// ============================================================
+// GRIDDING
+// ============================================================
+
+// Typical distance from a point to its nearest neighbour, from a sample
+function pointSpacing(xy, bucketSize) {
+  const buckets = bucketPoints(xy, bucketSize);
+  const sample = xy.filter((_, i) => i % Math.max(1, Math.floor(xy.length / 500)) === 0);
+  const nearest = sample.map(point => {
+    let best = Infinity;
+    nearby(buckets, point, bucketSize, 1).forEach(other => {
+      const distance = Math.hypot(other[0] - point[0], other[1] - point[1]);
+      if (distance > 0 && distance < best) best = distance;
+    });
+    return best;
+  }).filter(Number.isFinite).sort((a, b) => a - b);
+  return median(nearest);
+}
+
+function bucketPoints(xy, size) {
+  const buckets = new Map();
+  xy.forEach(point => {
+    const key = `${Math.floor(point[0] / size)},${Math.floor(point[1] / size)}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(point);
+  });
+  return buckets;
+}
+
+function nearby(buckets, [x, y], size, reach) {
+  const bx = Math.floor(x / size);
+  const by = Math.floor(y / size);
+  const found = [];
+  for (let i = -reach; i <= reach; i++) {
+    for (let j = -reach; j <= reach; j++) found.push(...(buckets.get(`${bx + i},${by + j}`) || []));
+  }
+  return found;
+}
+
+// Inverse-distance-weighted yield on a grid of `cell`-meter squares over the
+// boundary (or the points' extent). Cells whose center lies outside the
+// boundary, or with no point within `radius` meters, have no value. The
+// default radius is twice the typical point spacing, and at least 1.5 cells.
+export function gridYield(points, { boundary, cell = 10, radius, power = 2 } = {}) {
+  if (!(cell > 0)) throw new ValidationError('--cell must be a positive number of meters.');
+  if (radius !== undefined && !(radius > 0)) throw new ValidationError('--radius must be a positive number of meters.');
+  if (!(power > 0)) throw new ValidationError('--power must be a positive number.');
+  if (points.length === 0) throw new ValidationError('No harvest points are left after cleaning; relax the cleaning options.');
+
+  const [minLon, minLat, maxLon, maxLat] = boundary
+    ? boundingBox(boundary)
+    : [Math.min(...points.map(p => p.lon)), Math.min(...points.map(p => p.lat)), Math.max(...points.map(p => p.lon)), Math.max(...points.map(p => p.lat))];
+  const project = projector([minLon, minLat]);
+  const xy = points.map(point => [...project([point.lon, point.lat]), point.yield]);
+  const [width, height] = project([maxLon, maxLat]);
+  const spacing = pointSpacing(xy, Math.max(cell, 2 * Math.sqrt((width * height) / xy.length))) ?? cell;
+  const searchRadius = radius ?? Math.max(2 * spacing, 1.5 * cell);
+  const buckets = bucketPoints(xy, searchRadius);
+
+  const columns = Math.max(1, Math.ceil(width / cell));
+  const rows = Math.max(1, Math.ceil(height / cell));
+  const dx = (maxLon - minLon) / (width / cell || 1);
+  const dy = (maxLat - minLat) / (height / cell || 1);
+  const cells = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const center = [(column + 0.5) * cell, (row + 0.5) * cell];
+      const lonLat = [minLon + (column + 0.5) * dx, minLat + (row + 0.5) * dy];
+      if (boundary && !containsPoint(boundary, lonLat)) continue;
+      let weights = 0;
+      let total = 0;
+      let count = 0;
+      let exact = null;
+      for (const [x, y, value] of nearby(buckets, center, searchRadius, 1)) {
+        const distance = Math.hypot(x - center[0], y - center[1]);
+        if (distance > searchRadius) continue;
+        count += 1;
+        if (distance === 0) { exact = value; break; }
+        const weight = 1 / distance ** power;
+        weights += weight;
+        total += weight * value;
+      }
+      cells.push({
+        row,
+        column,
+        lon: lonLat[0],
+        lat: lonLat[1],
+        yield: exact ?? (count > 0 ? total / weights : null),
+        samples: count
+      });
+    }
+  }
+  return {
+    cell,
+    radius: round(searchRadius, 1),
+    columns,
+    rows,
+    origin: [minLon, minLat],
+    dx,
+    dy,
+    cellAcres: (cell * cell) / SQ_METERS_PER_ACRE,
+    cells
+  };
+}
+
+// ============================================================
+// ZONES
+// ============================================================
+
+function zoneRow(key, cells, cellAcres) {
+  const stats = yieldStats(cells.map(cell => cell.yield));
+  return {
+    zone: key,
+    cells: cells.length,
+    acres: round(cells.length * cellAcres),
+    mean: stats.mean,
+    median: stats.median,
+    cv: stats.cv,
+    min: stats.min,
+    max: stats.max
+  };
+}
+
+// Per-zone statistics over the gridded cells: by the given zone polygons, or
+// by `classes` equal-count yield classes when there are none.
+export function zoneStats(grid, { zones, classes = 3 } = {}) {
+  const mapped = grid.cells.filter(cell => Number.isFinite(cell.yield));
+  if (zones) {
+    return zones.map(zone => zoneRow(zone.key, mapped.filter(cell => containsPoint(zone.geometry, [cell.lon, cell.lat])), grid.cellAcres));
+  }
+  if (!(Number.isInteger(classes) && classes >= 1)) throw new ValidationError('--classes must be a whole number of at least 1.');
+  const sorted = mapped.map(cell => cell.yield).sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+  const breaks = Array.from({ length: classes - 1 }, (_, i) => quantile(sorted, (i + 1) / classes));
+  const labels = CLASS_LABELS[classes] ?? Array.from({ length: classes }, (_, i) => `Class ${i + 1}`);
+  const groups = labels.map(() => []);
+  mapped.forEach(cell => {
+    const index = breaks.findIndex(value => cell.yield < value);
+    groups[index === -1 ? classes - 1 : index].push(cell);
+  });
+  return groups.map((cells, i) => ({
+    ...zoneRow(labels[i], cells, grid.cellAcres),
+    range: [i === 0 ? round(sorted[0]) : round(breaks[i - 1]), i === classes - 1 ? round(sorted[sorted.length - 1]) : round(breaks[i])]
+  }));
+}
+
+export function analyzeYield(points, options = {}) {
+  const cleaning = cleanPoints(points, options);
+  const grid = gridYield(cleaning.points, options);
+  const mapped = grid.cells.filter(cell => cell.yield !== null);
+  const { count, ...stats } = yieldStats(mapped.map(cell => cell.yield));
+  return {
+    cleaning: { total: cleaning.total, kept: cleaning.points.length, removed: cleaning.removed },
+    grid,
+    stats: {
+      ...stats,
+      cells: count,
+      emptyCells: grid.cells.length - mapped.length,
+      acres: round(mapped.length * grid.cellAcres)
+    },
+    zones: zoneStats(grid, options)
+  };
+}
+
+// ============================================================
+// OUTPUT
+// ============================================================
+
+function cellPolygon(grid, cell) {
+  const west = grid.origin[0] + cell.column * grid.dx;
+  const south = grid.origin[1] + cell.row * grid.dy;
+  const east = west + grid.dx;
+  const north = south + grid.dy;
+  return [[[west, south], [east, south], [east, north], [west, north], [west, south]]];
+}
+
+// GeoJSON cell polygons, or an ESRI ASCII grid (with a .prj next to it).
+// Cells are square in meters, so the grid has separate dx/dy cell sizes in
+// degrees, which GDAL and QGIS read.
+export async function writeGrid(grid, path) {
+  if (/\.asc$/i.test(path)) {
+    const values = new Map(grid.cells.map(cell => [`${cell.row},${cell.column}`, cell.yield]));
+    const lines = [
+      `ncols ${grid.columns}`,
+      `nrows ${grid.rows}`,
+      `xllcorner ${grid.origin[0]}`,
+      `yllcorner ${grid.origin[1]}`,
+      `dx ${grid.dx}`,
+      `dy ${grid.dy}`,
+      `NODATA_value ${NODATA}`
+    ];
+    for (let row = grid.rows - 1; row >= 0; row--) {
+      const cells = [];
+      for (let column = 0; column < grid.columns; column++) {
+        const value = values.get(`${row},${column}`);
+        cells.push(value === null || value === undefined ? NODATA : round(value));
+      }
+      lines.push(cells.join(' '));
+    }
+    await writeFile(path, lines.join('\n') + '\n');
+    await writeFile(path.replace(/\.asc$/i, '.prj'), WGS84_PRJ);
+    return { path, format: 'asc' };
+  }
+  if (!/\.(geo)?json$/i.test(path)) {
+    throw new ValidationError(`Cannot tell the grid format from "${path}". Use a .geojson or .asc file name.`);
+  }
+  const features = grid.cells.filter(cell => cell.yield !== null).map(cell => ({
+    type: 'Feature',
+    geometry: { type: 'Polygon', coordinates: cellPolygon(grid, cell) },
+    properties: { row: cell.row, column: cell.column, yield: round(cell.yield), samples: cell.samples }
+  }));
+  await writeFile(path, JSON.stringify({ type: 'FeatureCollection', features }) + '\n');
+  return { path, format: 'geojson' };
+}
+
+async function exists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// One row for the whole field plus one per zone, keyed by activity so
+// summaries from several seasons can be appended into one file. Only the
+// field row has a point count; zones are summarized from grid cells.
+export async function writeSummary(analysis, activity, path, { append = false } = {}) {
+  const base = {
+    activityId: activity.id,
+    fieldId: activity.fieldId ?? null,
+    field: activity.fieldName ?? null,
+    crop: activity.crop ?? null,
+    season: activity.startTime ? new Date(activity.startTime).getUTCFullYear() : null
+  };
+  const { stats } = analysis;
+  const rows = [
+    { ...base, zone: 'field', points: analysis.cleaning.kept, cells: stats.cells, acres: stats.acres, mean: stats.mean, median: stats.median, cv: stats.cv, min: stats.min, max: stats.max },
+    ...analysis.zones.map(zone => ({ ...base, points: null, ...zone }))
+  ];
+  if (append && await exists(path)) {
+    await appendFile(path, formatCsv(rows, SUMMARY_COLUMNS, { header: false }));
+  } else {
+    await writeFile(path, formatCsv(rows, SUMMARY_COLUMNS));
+  }
+  return { path, rows: rows.length };
+}
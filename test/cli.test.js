@@ -0,0 +1,401 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { readFile, stat, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { BIN, IDS, mockContext, waitForOutput } from './helpers.js';
+
+const SQUARE = {
+  type: 'Feature',
+  properties: { name: 'Test Square' },
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[-93.50, 42.00], [-93.49, 42.00], [-93.49, 42.01], [-93.50, 42.01], [-93.50, 42.00]]]
+  }
+};
+
+describe('read commands', () => {
+  let mock;
+  before(async () => { mock = await mockContext(); });
+  after(() => mock.close());
+
+  test('fields list pages with --limit and --page-token', async () => {
+    const first = await mock.run(['fields', 'list', '--limit', '2', '--json']);
+    assert.equal(first.code, 0, first.stderr);
+    const page = first.json();
+    assert.equal(page.results.length, 2);
+    assert.ok(page.nextToken);
+    const rest = (await mock.run(['fields', 'list', '--page-token', page.nextToken, '--all', '--json'])).json();
+    assert.equal(page.results.length + rest.results.length, 5);
+  });
+
+  test('fields get, farms list and farms get', async () => {
+    assert.equal((await mock.run(['fields', 'get', IDS.field, '--json'])).json().name, 'North 80');
+    assert.equal((await mock.run(['farms', 'list', '--json'])).json().results.length, 2);
+    const farm = (await mock.run(['farms', 'get', IDS.farm, '--fields', '--json'])).json();
+    assert.equal(farm.name, 'Home Farm');
+    assert.ok(farm.fields.length > 0);
+  });
+
+  test('tree nests fields and boundaries under farms', async () => {
+    const tree = (await mock.run(['tree', '--no-activities', '--json'])).json();
+    assert.equal(tree.length, 2);
+    assert.equal(tree[0].fields[0].boundary.id, IDS.boundary);
+    for (const concurrency of ['abc', '0', '-3']) {
+      assert.equal((await mock.run(['tree', '--concurrency', concurrency])).code, 2);
+    }
+  });
+
+  test('boundaries list, get, export and analyze', async () => {
+    assert.equal((await mock.run(['boundaries', 'list', '--json'])).json().results.length, 5);
+    assert.equal((await mock.run(['boundaries', 'get', IDS.boundary, '--json'])).json().geometry.type, 'Polygon');
+    const exported = await mock.run(['boundaries', 'export', '--dest', 'boundaries.geojson']);
+    assert.equal(exported.code, 0, exported.stderr);
+    const collection = JSON.parse(await readFile(join(mock.dir, 'boundaries.geojson'), 'utf8'));
+    assert.equal(collection.features.length, 5);
+    const analysis = (await mock.run(['boundaries', 'analyze', '--json'])).json();
+    assert.equal(analysis.results[0].computedAcres, 127.41);
+    assert.equal((await mock.run(['boundaries', 'analyze', '--tolerance', 'abc'])).code, 2);
+  });
+
+  test('fields export writes KML and zipped Shapefiles', async () => {
+    assert.equal((await mock.run(['fields', 'export', IDS.field, '--format', 'kml', '--dest', 'north.kml'])).code, 0);
+    assert.match(await readFile(join(mock.dir, 'north.kml'), 'utf8'), /<kml/);
+    assert.equal((await mock.run(['fields', 'export', '--format', 'shapefile', '--dest', 'fields.zip'])).code, 0);
+    assert.ok((await stat(join(mock.dir, 'fields.zip'))).size > 0);
+  });
+
+  test('activity lists, gets and filters', async () => {
+    assert.equal((await mock.run(['harvest', 'list', '--json'])).json().results.length, 3);
+    assert.equal((await mock.run(['harvest', 'get', IDS.harvest, '--json'])).json().crop, 'CORN');
+    assert.equal((await mock.run(['planting', 'list', '--json'])).json().results.length, 4);
+    assert.equal((await mock.run(['planting', 'get', IDS.planting, '--json'])).json().id, IDS.planting);
+    assert.equal((await mock.run(['application', 'list', '--json'])).json().results.length, 2);
+    assert.equal((await mock.run(['application', 'get', IDS.application, '--json'])).json().id, IDS.application);
+    const soybeans = (await mock.run(['harvest', 'list', '--crop', 'soybeans', '--json'])).json();
+    assert.ok(soybeans.results.every(activity => activity.crop === 'SOYBEANS'));
+  });
+
+  test('harvest, planting and application layer downloads', async () => {
+    for (const kind of ['harvest', 'planting', 'application']) {
+      const result = await mock.run([kind, 'download', IDS[kind], '--dest', `${kind}.csv`, '--parse', '--json']);
+      assert.equal(result.code, 0, result.stderr);
+      assert.ok((await stat(join(mock.dir, `${kind}.csv`))).size > 0);
+    }
+    for (const size of ['0', '-1', 'abc', '0.0000001', '6']) {
+      assert.equal((await mock.run(['harvest', 'download', IDS.harvest, '--chunk-size', size])).code, 2);
+    }
+  });
+
+  test('harvest analyze grids the cleaned yield points', async () => {
+    const result = await mock.run(['harvest', 'analyze', IDS.harvest, '--json']);
+    assert.equal(result.code, 0, result.stderr);
+    const analysis = result.json();
+    assert.ok(analysis.stats.mean > 0);
+    assert.ok(analysis.zones.length > 0);
+    assert.ok((await stat(join(mock.dir, `harvest-${IDS.harvest}-grid.geojson`))).size > 0);
+    assert.equal((await mock.run(['harvest', 'analyze', IDS.harvest, '--power', 'abc'])).code, 2);
+  });
+
+  test('scouting list, get, attachments and download', async () => {
+    assert.equal((await mock.run(['scouting', 'list', '--json'])).json().results.length, 2);
+    assert.equal((await mock.run(['scouting', 'get', IDS.scouting, '--json'])).json().id, IDS.scouting);
+    const attachments = (await mock.run(['scouting', 'attachments', IDS.scouting, '--json'])).json();
+    assert.ok(attachments.results.some(attachment => attachment.id === IDS.attachment));
+    const download = await mock.run(['scouting', 'download', IDS.scouting, '--dest', 'photos', '--json']);
+    assert.equal(download.code, 0, download.stderr);
+  });
+
+  test('soil list and get', async () => {
+    assert.equal((await mock.run(['soil', 'list', '--json'])).json().results.length, 1);
+    assert.equal((await mock.run(['soil', 'get', IDS.soil, '--json'])).json().sampleCount, 3);
+  });
+
+  test('report season joins planting and harvest', async () => {
+    const report = (await mock.run(['report', 'season', '--year', '2025', '--json'])).json();
+    assert.equal(report.year, 2025);
+    assert.ok(report.results.length > 0);
+    const markdown = await mock.run(['report', 'season', '--year', '2025', '--format', 'markdown']);
+    assert.match(markdown.stdout, /\|/);
+  });
+
+  test('output formats', async () => {
+    const csv = await mock.run(['--output', 'csv', '--columns', 'id,name', 'fields', 'list']);
+    assert.equal(csv.stdout.trim().split('\n')[0], 'id,name');
+    const ndjson = await mock.run(['--output', 'ndjson', 'farms', 'list']);
+    assert.equal(ndjson.stdout.trim().split('\n').length, 2);
+  });
+
+  test('--verbose logs each request and --har records it', async () => {
+    const result = await mock.run(['--verbose', '--har', 'trace.har', 'fields', 'get', IDS.field, '--json']);
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stderr, /\[http\] GET \S+\/v4\/fields\/\S+ → 200/);
+    const har = JSON.parse(await readFile(join(mock.dir, 'trace.har'), 'utf8'));
+    assert.equal(har.log.entries[0].response.status, 200);
+    assert.doesNotMatch(JSON.stringify(har), /mock-key/);
+  });
+
+  test('unknown IDs exit 4 with a JSON error', async () => {
+    const result = await mock.run(['fields', 'get', 'missing', '--json']);
+    assert.equal(result.code, 4);
+    assert.equal(JSON.parse(result.stderr.trim().split('\n').pop()).error.type, 'NotFoundError');
+  });
+
+  test('invalid flags exit 2', async () => {
+    assert.equal((await mock.run(['fields', 'list', '--limit', 'abc'])).code, 2);
+    assert.equal((await mock.run(['--retries', 'abc', 'fields', 'list'])).code, 2);
+    assert.equal((await mock.run(['fields', 'list', '--no-such-flag'])).code, 2);
+  });
+});
+
+describe('write commands', () => {
+  let mock;
+  before(async () => {
+    mock = await mockContext();
+    await writeFile(join(mock.dir, 'square.geojson'), JSON.stringify(SQUARE));
+  });
+  after(() => mock.close());
+
+  test('farms create, update and delete', async () => {
+    const created = (await mock.run(['farms', 'create', '--name', 'Test Farm', '--yes', '--json'])).json();
+    assert.equal(created.name, 'Test Farm');
+    const updated = (await mock.run(['farms', 'update', created.id, '--name', 'Renamed Farm', '--yes', '--json'])).json();
+    assert.equal(updated.name, 'Renamed Farm');
+    assert.equal((await mock.run(['farms', 'delete', created.id, '--yes'])).code, 0);
+    assert.equal((await mock.run(['farms', 'get', created.id])).code, 4);
+  });
+
+  test('fields create, update and delete', async () => {
+    const created = (await mock.run(['fields', 'create', '--name', 'Square', '--boundary', 'square.geojson', '--json'])).json();
+    assert.equal(created.name, 'Square');
+    assert.ok(created.acres > 0);
+    const dryRun = await mock.run(['fields', 'update', created.id, '--name', 'Other', '--dry-run']);
+    assert.equal(dryRun.code, 0);
+    assert.equal((await mock.run(['fields', 'get', created.id, '--json'])).json().name, 'Square');
+    const updated = (await mock.run(['fields', 'update', created.id, '--acres', '42', '--yes', '--json'])).json();
+    assert.equal(updated.acres, 42);
+    for (const acres of ['abc', '0']) {
+      assert.equal((await mock.run(['fields', 'update', created.id, '--acres', acres, '--yes'])).code, 2);
+    }
+    assert.equal((await mock.run(['fields', 'create', '--name', 'Bad', '--acres', 'abc'])).code, 2);
+    assert.equal((await mock.run(['fields', 'delete', created.id, '--yes'])).code, 0);
+  });
+
+  test('fields import creates one field per polygon', async () => {
+    const collection = { type: 'FeatureCollection', features: [SQUARE, { ...SQUARE, properties: { name: 'Second' } }] };
+    await writeFile(join(mock.dir, 'import.geojson'), JSON.stringify(collection));
+    const result = await mock.run(['fields', 'import', 'import.geojson', '--json']);
+    assert.equal(result.code, 0, result.stderr);
+    assert.equal((await mock.run(['fields', 'import', 'missing.geojson', '--json'])).code, 2);
+    const point = { ...SQUARE, geometry: { type: 'Point', coordinates: [-93.5, 42] } };
+    await writeFile(join(mock.dir, 'point.geojson'), JSON.stringify(point));
+    const invalid = await mock.run(['fields', 'import', 'point.geojson', '--dry-run', '--json']);
+    assert.equal(invalid.code, 1);
+    assert.equal(invalid.json().failed, 1);
+    assert.match(JSON.parse(invalid.stderr.trim().split('\n').pop()).error.message, /not imported/);
+  });
+
+  test('fields create rejects an unreadable boundary file', async () => {
+    await writeFile(join(mock.dir, 'bad.txt'), 'not a boundary');
+    assert.equal((await mock.run(['fields', 'create', '--name', 'Bad', '--boundary', 'bad.txt'])).code, 2);
+  });
+
+  test('boundaries update replaces the geometry', async () => {
+    const result = await mock.run(['boundaries', 'update', IDS.boundary, '--boundary', 'square.geojson', '--yes', '--json']);
+    assert.equal(result.code, 0, result.stderr);
+    assert.deepEqual(result.json().geometry.coordinates, SQUARE.geometry.coordinates);
+    assert.equal((await mock.run(['boundaries', 'update', IDS.boundary, '--boundary', 'square.geojson', '--acres', 'abc', '--yes'])).code, 2);
+  });
+
+  test('apply plans and applies a manifest', async () => {
+    const manifest = { farms: [{ name: 'Apply Farm', fields: [{ name: 'Apply Field', acres: 12 }] }] };
+    await writeFile(join(mock.dir, 'manifest.json'), JSON.stringify(manifest));
+    assert.equal((await mock.run(['apply', 'manifest.json', '--concurrency', '0', '--yes'])).code, 2);
+    const plan = (await mock.run(['apply', 'manifest.json', '--dry-run', '--json'])).json();
+    assert.deepEqual(plan.summary, { create: 2, update: 0, unchanged: 0, errors: 0 });
+    const applied = await mock.run(['apply', 'manifest.json', '--yes', '--json']);
+    assert.equal(applied.code, 0, applied.stderr);
+    assert.deepEqual(applied.json().results.map(item => item.status), ['created', 'created']);
+    const again = (await mock.run(['apply', 'manifest.json', '--dry-run', '--json'])).json();
+    assert.equal(again.summary.unchanged, 2);
+  });
+
+  test('uploads create and status', async () => {
+    await writeFile(join(mock.dir, 'rx.zip'), Buffer.alloc(4096, 7));
+    const upload = await mock.run(['uploads', 'create', 'rx.zip', '--chunk-size', '0.001', '--no-wait', '--json']);
+    assert.equal(upload.code, 0, upload.stderr);
+    const { id } = upload.json();
+    assert.match((await mock.run(['uploads', 'status', id, '--json'])).json().status, /^(IN_PROGRESS|SUCCESS)$/);
+  });
+
+  test('prescriptions create writes and uploads a Shapefile package', async () => {
+    // Covers North 80 both before and after the boundaries update test above
+    const zone = {
+      type: 'Feature',
+      properties: { zone: 'A' },
+      geometry: { type: 'Polygon', coordinates: [[[-93.53, 41.99], [-93.48, 41.99], [-93.48, 42.03], [-93.53, 42.03], [-93.53, 41.99]]] }
+    };
+    await writeFile(join(mock.dir, 'zones.geojson'), JSON.stringify({ type: 'FeatureCollection', features: [zone] }));
+    await writeFile(join(mock.dir, 'rates.csv'), 'zone,rate\nA,32000\n');
+    const result = await mock.run(['prescriptions', 'create', '--field', IDS.field, '--zones', 'zones.geojson',
+      '--rates', 'rates.csv', '--dest', 'rx-north.zip', '--upload', '--json']);
+    assert.equal(result.code, 0, result.stderr);
+    assert.ok((await stat(join(mock.dir, 'rx-north.zip'))).size > 0);
+    const isoxml = await mock.run(['prescriptions', 'create', '--field', IDS.field, '--zones', 'zones.geojson',
+      '--rates', 'rates.csv', '--format', 'isoxml', '--dest', 'rx-north-iso.zip']);
+    assert.equal(isoxml.code, 0, isoxml.stderr);
+  });
+});
+
+describe('config and auth commands', () => {
+  let mock;
+  before(async () => { mock = await mockContext(); });
+  after(() => mock.close());
+
+  test('config set, show and profiles', async () => {
+    const env = { CLIMATECOM_API_KEY: '', CLIMATECOM_BASE_URL: '' };
+    assert.equal((await mock.run(['config', 'set', '--max-retries', '2'], { env })).code, 0);
+    assert.equal((await mock.run(['config', 'set', '--max-retries', 'abc'], { env })).code, 2);
+    assert.equal((await mock.run(['config', 'profile', 'add', 'mock', '--base-url', mock.baseUrl, '--api-key', 'mock-key'], { env })).code, 0);
+    const profiles = (await mock.run(['config', 'profile', 'list', '--json'], { env })).json();
+    assert.ok(profiles.some(profile => profile.name === 'mock'));
+    const fields = await mock.run(['--profile', 'mock', 'fields', 'list', '--json'], { env });
+    assert.equal(fields.json().results.length, 5);
+    assert.equal((await mock.run(['config', 'profile', 'use', 'mock'], { env })).code, 0);
+    assert.match((await mock.run(['config', 'show'], { env })).stdout, /mock/);
+    assert.equal((await mock.run(['config', 'profile', 'use', 'default'], { env })).code, 0);
+    assert.equal((await mock.run(['config', 'profile', 'remove', 'mock'], { env })).code, 0);
+  });
+
+  test('auth login, status, refresh and logout', async () => {
+    const env = { CLIMATECOM_API_KEY: '', CLIMATECOM_CLIENT_ID: 'client', CLIMATECOM_CLIENT_SECRET: 'secret' };
+    const login = await mock.run(['auth', 'login', '--refresh-token', 'mock-refresh-0', '--json'], { env });
+    assert.equal(login.code, 0, login.stderr);
+    const status = (await mock.run(['auth', 'status', '--json'], { env })).json();
+    assert.equal(status.hasToken ?? status.authenticated ?? true, true);
+    assert.equal((await mock.run(['auth', 'refresh', '--json'], { env })).code, 0);
+    assert.equal((await mock.run(['fields', 'list', '--json'], { env })).code, 0);
+    assert.equal((await mock.run(['auth', 'logout'], { env })).code, 0);
+  });
+
+  test('token requests are traced with secrets redacted', async () => {
+    const env = { CLIMATECOM_API_KEY: '', CLIMATECOM_CLIENT_ID: 'client', CLIMATECOM_CLIENT_SECRET: 'secret' };
+    const login = await mock.run(['--verbose', '--har', 'login.har', 'auth', 'login', '--refresh-token', 'mock-refresh-0'], { env });
+    assert.equal(login.code, 0, login.stderr);
+    assert.match(login.stderr, /POST \S+\/api\/oauth\/token/);
+    const har = await readFile(join(mock.dir, 'login.har'), 'utf8');
+    assert.match(JSON.parse(har).log.entries[0].request.url, /\/api\/oauth\/token$/);
+    assert.doesNotMatch(har, /mock-refresh-0|mock-access-|Basic Y2xp/);
+  });
+
+  test('missing credentials exit 3 with the setup hint on stderr only', async () => {
+    const env = { CLIMATECOM_API_KEY: '', XDG_CONFIG_HOME: join(mock.dir, 'empty-config') };
+    const result = await mock.run(['fields', 'list'], { env });
+    assert.equal(result.code, 3);
+    assert.equal(result.stdout, '');
+    assert.match(result.stderr, /climatecom config set --api-key/);
+  });
+
+  test('auth refresh without client credentials exits 3', async () => {
+    const result = await mock.run(['auth', 'refresh', '--json'], { env: { CLIMATECOM_API_KEY: '' } });
+    assert.equal(result.code, 3);
+    assert.equal(JSON.parse(result.stderr.trim().split('\n').pop()).error.type, 'AuthError');
+  });
+});
+
+describe('sync, watch and offline reads', () => {
+  let mock;
+  before(async () => { mock = await mockContext(); });
+  after(() => mock.close());
+
+  test('sync mirrors resources for --offline reads', async () => {
+    assert.equal((await mock.run(['--offline', 'fields', 'list'])).code, 4);
+    assert.equal((await mock.run(['--offline', 'sync', 'fields'])).code, 2);
+    const sync = (await mock.run(['sync', 'fields', 'harvest', '--json'])).json();
+    assert.deepEqual(sync.map(result => result.mode), ['full', 'full']);
+    assert.equal((await mock.run(['--offline', 'fields', 'list', '--json'])).json().results.length, 5);
+    assert.equal((await mock.run(['sync', 'fields', '--json'])).json()[0].mode, 'incremental');
+    assert.ok((await mock.run(['sync', '--status', '--json'])).json().some(entry => entry.resource === 'fields' && entry.records === 5));
+    assert.equal((await mock.run(['sync', '--clear'])).code, 0);
+  });
+
+  test('watch validates its arguments', async () => {
+    assert.equal((await mock.run(['watch', 'bogus', '--once'])).code, 2);
+    const fast = await mock.run(['watch', 'fields', '--interval', '0.5s']);
+    assert.equal(fast.code, 2);
+    assert.doesNotMatch(fast.stderr, /Watching/);
+  });
+
+  test('watch reports a new record once', async () => {
+    const baseline = await mock.run(['watch', 'farms', '--once', '--json']);
+    assert.equal(baseline.code, 0, baseline.stderr);
+    assert.equal(baseline.stdout, '');
+    const created = (await mock.run(['farms', 'create', '--name', 'Watched Farm', '--yes', '--json'])).json();
+    const changes = (await mock.run(['watch', 'farms', '--once', '--json'])).stdout.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(changes.map(change => [change.type, change.recordId]), [['farm.created', created.id]]);
+    assert.equal((await mock.run(['watch', 'farms', '--once', '--json'])).stdout, '');
+    assert.equal((await mock.run(['watch', '--status', '--json'])).code, 0);
+  });
+
+  test('Ctrl-C stops watch and completes the HAR file', async () => {
+    const watcher = spawn(process.execPath, [BIN, '--har', 'watch.har', 'watch', 'boundaries', '--interval', '1s'], { env: mock.env, cwd: mock.dir });
+    const exited = new Promise(resolve => watcher.once('close', resolve));
+    await waitForOutput(watcher, /baseline of \d+ record/);
+    watcher.kill('SIGINT');
+    assert.equal(await exited, 130);
+    const har = JSON.parse(await readFile(join(mock.dir, 'watch.har'), 'utf8'));
+    assert.match(har.log.entries[0].request.url, /\/v4\/boundaries/);
+  });
+});
+
+describe('webhooks, listen and serve', () => {
+  let mock;
+  before(async () => { mock = await mockContext(); });
+  after(() => mock.close());
+
+  test('webhooks test delivers a signed event to listen', async () => {
+    const listener = spawn(process.execPath, [BIN, 'listen', '--port', '0', '--secret', 'shh', '--json'], { env: mock.env });
+    try {
+      const [, url] = await waitForOutput(listener, /Listening for webhook events on (\S+)/);
+      const created = await mock.run(['webhooks', 'create', '--url', url, '--events', 'harvest.created', '--secret', 'shh', '--yes', '--json']);
+      assert.equal(created.code, 0, created.stderr);
+      const { id } = created.json();
+      assert.equal((await mock.run(['webhooks', 'list', '--json'])).json().results.length, 1);
+      const delivered = waitForOutput(listener, /^(\{.*\})$/m, 'stdout');
+      assert.equal((await mock.run(['webhooks', 'test', id, '--json'])).code, 0);
+      const event = JSON.parse((await delivered)[1]);
+      assert.equal(event.type, 'harvest.created');
+      assert.ok(event.activity?.id);
+      assert.equal((await mock.run(['webhooks', 'delete', id, '--yes'])).code, 0);
+    } finally {
+      listener.kill();
+    }
+  });
+
+  test('serve --stdio answers MCP tool calls', async () => {
+    const requests = [
+      { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} },
+      { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+      { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'get_field', arguments: { id: IDS.field } } },
+      { jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'get_field', arguments: { id: '00000000-0000-4000-8000-000000000000' } } }
+    ];
+    const result = await mock.run(['serve', '--stdio'], { input: requests.map(request => JSON.stringify(request)).join('\n') + '\n' });
+    assert.equal(result.code, 0, result.stderr);
+    const replies = Object.fromEntries(result.stdout.trim().split('\n').map(line => JSON.parse(line)).map(reply => [reply.id, reply]));
+    assert.ok(replies[2].result.tools.some(tool => tool.name === 'list_fields'));
+    assert.match(replies[3].result.content[0].text, /North 80/);
+    assert.equal(replies[4].result.isError, true);
+    assert.deepEqual([replies[4].result.structuredContent.error.type, replies[4].result.structuredContent.error.exitCode], ['NotFoundError', 4]);
+  });
+
+  test('mock-server command serves the bundled fixtures', async () => {
+    const server = spawn(process.execPath, [BIN, 'mock-server', '--port', '0', '--quiet'], { env: mock.env });
+    try {
+      const [, url] = await waitForOutput(server, /Mock FieldView API on (\S+)/);
+      const fields = await mock.run(['fields', 'list', '--json'], { env: { CLIMATECOM_BASE_URL: url } });
+      assert.equal(fields.json().results.length, 5);
+    } finally {
+      server.kill();
+    }
+  });
+});
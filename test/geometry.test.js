@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { areaSqMeters, centroid, polygonsOverlap } from '../src/geometry.js';
+
+// A square `side` degrees wide with its south-west corner at (lon, lat)
+function square(lon, lat, side, holes = []) {
+  const ring = (x, y, s) => [[x, y], [x + s, y], [x + s, y + s], [x, y + s], [x, y]];
+  return { type: 'Polygon', coordinates: [ring(lon, lat, side), ...holes.map(([x, y, s]) => ring(x, y, s).reverse())] };
+}
+
+// One kilometer in degrees along the equator of the sphere areaSqMeters uses
+const KM = (1000 / 6378137) * (180 / Math.PI);
+
+test('areaSqMeters of a 1 km square on the equator is 1 km²', () => {
+  assert.ok(Math.abs(areaSqMeters(square(0, 0, KM)) - 1e6) < 1);
+});
+
+test('areaSqMeters subtracts holes and adds up multipolygons', () => {
+  const full = areaSqMeters(square(0, 0, KM));
+  const holed = square(0, 0, KM, [[KM / 4, KM / 4, KM / 2]]);
+  assert.ok(Math.abs(areaSqMeters(holed) - 0.75 * full) < 1);
+  const multi = { type: 'MultiPolygon', coordinates: [square(0, 0, KM).coordinates, square(2 * KM, 0, KM).coordinates] };
+  assert.ok(Math.abs(areaSqMeters(multi) - 2 * full) < 1);
+  assert.throws(() => areaSqMeters({ type: 'Point', coordinates: [0, 0] }), { name: 'ValidationError' });
+});
+
+test('centroid of a square, an L shape and a square with a hole', () => {
+  assert.deepEqual(centroid(square(0, 0, 2)), { lon: 1, lat: 1 });
+  // 2×1 rectangle centered on (1, 0.5) plus a 1×1 square centered on (0.5, 1.5)
+  const lShape = { type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2], [0, 0]]] };
+  const { lon, lat } = centroid(lShape);
+  assert.ok(Math.abs(lon - 5 / 6) < 1e-12 && Math.abs(lat - 5 / 6) < 1e-12);
+  // 16 around (2, 2) less 1 around (1.5, 1.5)
+  const holed = centroid(square(0, 0, 4, [[1, 1, 1]]));
+  assert.ok(Math.abs(holed.lon - 30.5 / 15) < 1e-12 && Math.abs(holed.lat - 30.5 / 15) < 1e-12);
+});
+
+test('polygonsOverlap counts shared interiors but not shared edges', () => {
+  assert.equal(polygonsOverlap(square(0, 0, 2), square(1, 1, 2)), true);
+  assert.equal(polygonsOverlap(square(0, 0, 4), square(1, 1, 1)), true);
+  assert.equal(polygonsOverlap(square(0, 0, 1), square(1, 0, 1)), false);
+  assert.equal(polygonsOverlap(square(0, 0, 1), square(1, 1, 1)), false);
+  assert.equal(polygonsOverlap(square(0, 0, 1), square(3, 3, 1)), false);
+});
@@ -0,0 +1,85 @@
+import { spawn } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { startMockServer } from '../src/mock.js';
+
+export const BIN = fileURLToPath(new URL('../bin/climatecom.js', import.meta.url));
+
+// IDs from the bundled fixtures in fixtures/mock
+export const IDS = {
+  farm: '8f1c2a4e-0000-4000-8000-000000000001',
+  field: '3b7d9e10-0000-4000-8000-000000000001',
+  boundary: 'c4a1f0d2-0000-4000-8000-000000000001',
+  harvest: '9e2b6c71-0000-4000-8000-000000000001',
+  planting: '5d0a8f33-0000-4000-8000-000000000001',
+  application: '7a3e5b90-0000-4000-8000-000000000001',
+  scouting: 'e61d4b28-0000-4000-8000-000000000001',
+  attachment: 'f2b9c7a1-0000-4000-8000-000000000001',
+  soil: 'b83f0e57-0000-4000-8000-000000000001'
+};
+
+// An environment with no trace of the developer's own configuration
+export function cleanEnv(extra = {}) {
+  const env = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('CLIMATECOM_')));
+  return { ...env, FORCE_COLOR: '0', ...extra };
+}
+
+// Runs the CLI and resolves with its exit code and output. The mock server
+// runs in this process, so the CLI must not be run synchronously.
+export function runCli(args, { env, input, cwd } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [BIN, ...args], { env, cwd, stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr, json: () => JSON.parse(stdout) }));
+    child.stdin.end(input ?? '');
+  });
+}
+
+// Starts a mock server on a free port with its own config and cache
+// directories, and returns a `run` bound to both.
+export async function mockContext(options = {}) {
+  const dir = await mkdtemp(join(tmpdir(), 'climatecom-test-'));
+  const server = await startMockServer({ port: 0, ...options });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const env = cleanEnv({
+    XDG_CONFIG_HOME: join(dir, 'config'),
+    CLIMATECOM_CACHE_DIR: join(dir, 'cache'),
+    CLIMATECOM_BASE_URL: baseUrl,
+    CLIMATECOM_API_KEY: 'mock-key',
+    CLIMATECOM_TOKEN_URL: `${baseUrl}/api/oauth/token`
+  });
+  return {
+    dir,
+    baseUrl,
+    env,
+    server,
+    run: (args, extra = {}) => runCli(args, { cwd: dir, ...extra, env: { ...env, ...extra.env } }),
+    close: async () => {
+      await new Promise(resolve => server.close(resolve));
+      await rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Resolves once `child` prints a line matching `pattern` on stderr
+export function waitForOutput(child, pattern, stream = 'stderr') {
+  return new Promise((resolve, reject) => {
+    let seen = '';
+    const onData = (chunk) => {
+      seen += chunk;
+      const match = pattern.exec(seen);
+      if (match) {
+        child[stream].off('data', onData);
+        resolve(match);
+      }
+    };
+    child[stream].on('data', onData);
+    child.once('close', code => reject(new Error(`exited with ${code} before printing ${pattern}: ${seen}`)));
+  });
+}
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { RECORDING_FILE } from '../src/mock.js';
+import { IDS, mockContext } from './helpers.js';
+
+function lastError(result) {
+  return JSON.parse(result.stderr.trim().split('\n').pop()).error;
+}
+
+async function withMock(options, fn) {
+  const mock = await mockContext(options);
+  try {
+    await fn(mock);
+  } finally {
+    await mock.close();
+  }
+}
+
+// ============================================================
+// FAILURE INJECTION
+// ============================================================
+
+test('transient 503s are retried away', () => withMock({ failures: ['503x2@/v4/fields'] }, async (mock) => {
+  const result = await mock.run(['fields', 'list', '--json']);
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(result.json().results.length, 5);
+}));
+
+test('persistent 5xx exits 8 once retries run out', () => withMock({ failures: ['503x*@/v4/fields'] }, async (mock) => {
+  const result = await mock.run(['--retries', '1', 'fields', 'list', '--json']);
+  assert.equal(result.code, 8);
+  assert.equal(lastError(result).type, 'ServerError');
+  assert.equal((await mock.run(['farms', 'list'])).code, 0);
+}));
+
+test('persistent 429 exits 5 with Retry-After', () => withMock({ failures: ['429x*'] }, async (mock) => {
+  const result = await mock.run(['--retries', '0', 'farms', 'list', '--json']);
+  assert.equal(result.code, 5);
+  assert.deepEqual([lastError(result).type, lastError(result).retryAfter], ['RateLimitError', '1']);
+}));
+
+test('401 with an API key exits 3', () => withMock({ failures: ['401x1'] }, async (mock) => {
+  const result = await mock.run(['fields', 'list', '--json']);
+  assert.equal(result.code, 3);
+  assert.equal(lastError(result).type, 'AuthError');
+}));
+
+test('401 with OAuth tokens refreshes and replays the request', () => withMock({ failures: ['401x1@/v4/fields'] }, async (mock) => {
+  const env = { CLIMATECOM_API_KEY: '', CLIMATECOM_CLIENT_ID: 'client', CLIMATECOM_CLIENT_SECRET: 'secret' };
+  assert.equal((await mock.run(['auth', 'login', '--refresh-token', 'mock-refresh-0'], { env })).code, 0);
+  const result = await mock.run(['fields', 'list', '--json'], { env });
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(result.json().results.length, 5);
+}));
+
+test('slow responses past --timeout exit 7', () => withMock({ latency: 300 }, async (mock) => {
+  const result = await mock.run(['--timeout', '0.05', '--retries', '0', 'farms', 'list', '--json']);
+  assert.equal(result.code, 7);
+  assert.equal(lastError(result).type, 'NetworkError');
+}));
+
+// ============================================================
+// RECORD AND REPLAY
+// ============================================================
+
+test('records through a proxy with credentials redacted, then replays', async () => {
+  const recordings = await mkdtemp(join(tmpdir(), 'climatecom-recordings-'));
+  const upstream = await mockContext();
+  try {
+    let live;
+    await withMock({ record: recordings, target: upstream.baseUrl }, async (recorder) => {
+      live = (await recorder.run(['fields', 'list', '--json'])).json();
+      assert.equal((await recorder.run(['fields', 'get', IDS.field, '--json'])).code, 0);
+      const env = { CLIMATECOM_API_KEY: '', CLIMATECOM_CLIENT_ID: 'client', CLIMATECOM_CLIENT_SECRET: 'secret' };
+      assert.equal((await recorder.run(['auth', 'login', '--refresh-token', 'mock-refresh-0'], { env })).code, 0);
+    });
+    const recorded = await readFile(join(recordings, RECORDING_FILE), 'utf8');
+    assert.equal(recorded.trim().split('\n').length, 3);
+    assert.doesNotMatch(recorded, /mock-key|mock-access-|mock-refresh-|client_secret=secret/i);
+    assert.match(recorded, /REDACTED/);
+
+    await withMock({ replay: recordings }, async (replayer) => {
+      const replayed = await replayer.run(['fields', 'list', '--json']);
+      assert.equal(replayed.code, 0, replayed.stderr);
+      assert.deepEqual(replayed.json(), live);
+      assert.equal((await replayer.run(['fields', 'get', IDS.field, '--json'])).json().id, IDS.field);
+      const missing = await replayer.run(['--retries', '0', 'farms', 'list', '--json']);
+      assert.equal(missing.code, 8);
+      assert.equal(lastError(missing).status, 501);
+    });
+  } finally {
+    await upstream.close();
+    await rm(recordings, { recursive: true, force: true });
+  }
+});
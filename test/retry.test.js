@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { AuthError, ClimateClient, NetworkError, RateLimitError, ServerError, ValidationError } from '../src/index.js';
+import { parseSetting } from '../src/api.js';
+import { createTokenSession } from '../src/oauth.js';
+
+// Answers each request with the next scripted reply (the last one repeats)
+// and counts what it received.
+async function stubServer(replies) {
+  const requests = [];
+  const server = createServer((request, response) => {
+    const reply = replies[Math.min(requests.length, replies.length - 1)];
+    requests.push({ method: request.method, url: request.url, at: Date.now() });
+    setTimeout(() => {
+      response.writeHead(reply.status, { 'content-type': 'application/json', ...reply.headers });
+      response.end(JSON.stringify(reply.body ?? { results: [] }));
+    }, reply.delay ?? 0);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const client = (options = {}) => new ClimateClient({
+    apiKey: 'test-key',
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    ...options
+  });
+  return { requests, client, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('retries a transient 503 and returns the eventual result', async () => {
+  const stub = await stubServer([{ status: 503 }, { status: 503 }, { status: 200, body: { results: [{ id: 'f1' }] } }]);
+  try {
+    const page = await stub.client().fields.list();
+    assert.deepEqual(page.results, [{ id: 'f1' }]);
+    assert.equal(stub.requests.length, 3);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('stops after maxRetries and raises ServerError', async () => {
+  const stub = await stubServer([{ status: 503 }]);
+  try {
+    await assert.rejects(stub.client({ maxRetries: 2 }).fields.list(), ServerError);
+    assert.equal(stub.requests.length, 3);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('does not retry with maxRetries 0', async () => {
+  const stub = await stubServer([{ status: 502 }]);
+  try {
+    await assert.rejects(stub.client({ maxRetries: 0 }).fields.list(), ServerError);
+    assert.equal(stub.requests.length, 1);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('honors Retry-After on 429', async () => {
+  const stub = await stubServer([{ status: 429, headers: { 'retry-after': '1' } }, { status: 200 }]);
+  try {
+    await stub.client().fields.list();
+    assert.equal(stub.requests.length, 2);
+    assert.ok(stub.requests[1].at - stub.requests[0].at >= 900, 'waited for Retry-After');
+  } finally {
+    await stub.close();
+  }
+});
+
+test('raises RateLimitError with retryAfter once retries run out', async () => {
+  const stub = await stubServer([{ status: 429, headers: { 'retry-after': '0' } }]);
+  try {
+    await assert.rejects(stub.client({ maxRetries: 1 }).fields.list(), (error) => {
+      assert.ok(error instanceof RateLimitError);
+      assert.equal(error.retryAfter, '0');
+      return true;
+    });
+    assert.equal(stub.requests.length, 2);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('retries a POST on 429 but not on 503', async () => {
+  const limited = await stubServer([{ status: 429, headers: { 'retry-after': '0' } }, { status: 201, body: { id: 'new' } }]);
+  try {
+    assert.equal((await limited.client().fields.create({ name: 'North' })).id, 'new');
+    assert.equal(limited.requests.length, 2);
+  } finally {
+    await limited.close();
+  }
+  const failing = await stubServer([{ status: 503 }]);
+  try {
+    await assert.rejects(failing.client().fields.create({ name: 'North' }), ServerError);
+    assert.equal(failing.requests.length, 1);
+  } finally {
+    await failing.close();
+  }
+});
+
+test('times out slow responses as NetworkError', async () => {
+  const stub = await stubServer([{ status: 200, delay: 500 }]);
+  try {
+    await assert.rejects(stub.client({ timeout: 0.1, maxRetries: 0 }).fields.list(), NetworkError);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('rejects invalid retry and timeout settings', () => {
+  assert.equal(parseSetting('maxRetries', '0'), 0);
+  assert.equal(parseSetting('timeout', '2.5'), 2.5);
+  for (const value of ['abc', '-1', '1.5', '']) {
+    assert.throws(() => parseSetting('maxRetries', value, '--retries'), ValidationError);
+  }
+  for (const value of ['abc', '0', '-3', '']) {
+    assert.throws(() => parseSetting('timeout', value, '--timeout'), ValidationError);
+  }
+  assert.throws(() => new ClimateClient({ apiKey: 'x', maxRetries: 'abc' }), ValidationError);
+});
+
+test('refreshing a token session without client credentials raises AuthError', async () => {
+  await assert.rejects(createTokenSession({ accessToken: 'expired' }).refresh(), AuthError);
+});
+
+test('an upload the server does not identify raises ServerError', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'climatecom-upload-'));
+  const stub = await stubServer([{ status: 201, body: {} }]);
+  try {
+    await writeFile(join(dir, 'rx.zip'), Buffer.alloc(2048, 1));
+    await assert.rejects(stub.client().uploads.upload(join(dir, 'rx.zip')), ServerError);
+  } finally {
+    await stub.close();
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SIGNATURE_HEADER, TIMESTAMP_HEADER, signPayload, verifySignature } from '../src/webhooks.js';
+
+const SECRET = 'test-secret';
+const BODY = '{"id":"evt_1"}';
+const TIMESTAMP = '1700000000';
+// HMAC-SHA256 of "1700000000.{"id":"evt_1"}" keyed with "test-secret"
+const SIGNATURE = 'sha256=c0b7fea967577b3e73bd69e865e3a4daeb36816fab0de39e128565fa68cbab61';
+const NOW = Number(TIMESTAMP) * 1000;
+
+function headers(signature = SIGNATURE, timestamp = TIMESTAMP) {
+  return { [SIGNATURE_HEADER]: signature, [TIMESTAMP_HEADER]: timestamp };
+}
+
+test('signPayload signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+  assert.equal(signPayload(SECRET, TIMESTAMP, BODY), SIGNATURE);
+  assert.equal(signPayload(SECRET, TIMESTAMP, Buffer.from(BODY)), SIGNATURE);
+});
+
+test('verifySignature accepts a fresh, correctly signed delivery', () => {
+  assert.equal(verifySignature(SECRET, headers(), BODY, { now: NOW }), null);
+  assert.equal(verifySignature(SECRET, headers(), BODY, { now: NOW + 5 * 60 * 1000 }), null);
+});
+
+test('verifySignature rejects a timestamp outside the tolerance window', () => {
+  const stale = 'timestamp outside the tolerance window';
+  assert.equal(verifySignature(SECRET, headers(), BODY, { now: NOW + 5 * 60 * 1000 + 1 }), stale);
+  assert.equal(verifySignature(SECRET, headers(), BODY, { now: NOW - 5 * 60 * 1000 - 1 }), stale);
+  assert.equal(verifySignature(SECRET, headers(), BODY, { now: NOW + 2000, tolerance: 1000 }), stale);
+});
+
+test('verifySignature accepts any of several comma-separated signatures', () => {
+  const rotated = `sha256=${'0'.repeat(64)}, ${SIGNATURE}`;
+  assert.equal(verifySignature(SECRET, headers(rotated), BODY, { now: NOW }), null);
+  assert.equal(verifySignature('old-secret', headers(rotated), BODY, { now: NOW }), 'signature mismatch');
+});
+
+test('verifySignature reports a mismatch or a missing header', () => {
+  assert.equal(verifySignature('other-secret', headers(), BODY, { now: NOW }), 'signature mismatch');
+  assert.equal(verifySignature(SECRET, headers(), '{"id":"evt_2"}', { now: NOW }), 'signature mismatch');
+  assert.equal(verifySignature(SECRET, headers(SIGNATURE.slice(0, -1)), BODY, { now: NOW }), 'signature mismatch');
+  assert.equal(verifySignature(SECRET, {}, BODY, { now: NOW }), `missing ${SIGNATURE_HEADER} header`);
+  assert.equal(verifySignature(SECRET, headers(SIGNATURE, 'soon'), BODY, { now: NOW }), `missing or invalid ${TIMESTAMP_HEADER} header`);
+});
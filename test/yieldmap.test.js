@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanPoints, gridYield, zoneStats } from '../src/yieldmap.js';
+
+// One meter in degrees at the equator, in the projection the yield grid uses
+const M = 180 / (Math.PI * 6371008.8);
+
+// Points logged every 2 m heading east along `y` meters north of the equator
+function pass(yields, y = 0) {
+  return yields.map((value, i) => ({ lon: i * 2 * M, lat: y * M, speed: 2, yield: value }));
+}
+
+function box(width, height = width, [x, y] = [0, 0]) {
+  const [west, south, east, north] = [x * M, y * M, (x + width) * M, (y + height) * M];
+  return { type: 'Polygon', coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]] };
+}
+
+function near(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('cleanPoints drops out-of-range speeds, zero yields and outliers', () => {
+  const points = pass([9, 10, 11, 9, 0, 11, 9, 10, 11, 100]);
+  points[2].speed = 12;
+  const result = cleanPoints(points);
+  assert.deepEqual(result.removed, { flowDelay: 0, speed: 1, zeroYield: 1, edge: 0, outlier: 1 });
+  assert.deepEqual(result.points.map(point => point.yield), [9, 10, 9, 11, 9, 10, 11]);
+  assert.equal(result.total, 10);
+});
+
+test('cleanPoints shifts yields back by the flow delay within each pass', () => {
+  const result = cleanPoints([...pass([1, 2, 3, 4, 5]), ...pass([6, 7, 8, 9, 10], 50)], { flowDelay: 2 });
+  assert.equal(result.removed.flowDelay, 4);
+  assert.deepEqual(result.points.map(point => point.yield), [3, 4, 5, 8, 9, 10]);
+  near(result.points[0].lon, 0);
+});
+
+test('cleanPoints drops points outside the boundary or inside the edge buffer', () => {
+  const result = cleanPoints(pass(Array(10).fill(10)), { boundary: box(100, 40, [0, -20]), edgeBuffer: 5 });
+  assert.equal(result.removed.edge, 3);
+  assert.deepEqual(result.points.map(point => Math.round(point.lon / M)), [6, 8, 10, 12, 14, 16, 18]);
+  assert.throws(() => cleanPoints([], { sd: 0 }), { name: 'ValidationError' });
+});
+
+test('gridYield weights points by inverse distance to the power', () => {
+  // Yields 10 and 40 at 1 m and 2 m from the center of a single 10 m cell
+  const points = [{ lon: 5 * M, lat: 4 * M, yield: 10 }, { lon: 5 * M, lat: 7 * M, yield: 40 }];
+  const squared = gridYield(points, { boundary: box(10), cell: 10, radius: 5 });
+  assert.equal(squared.cells.length, 1);
+  assert.equal(squared.cells[0].samples, 2);
+  near(squared.cells[0].yield, (10 / 1 + 40 / 4) / (1 / 1 + 1 / 4));
+  near(gridYield(points, { boundary: box(10), cell: 10, radius: 5, power: 1 }).cells[0].yield, (10 / 1 + 40 / 2) / (1 / 1 + 1 / 2));
+  assert.throws(() => gridYield(points, { power: 0 }), { name: 'ValidationError' });
+  assert.throws(() => gridYield(points, { power: NaN }), { name: 'ValidationError' });
+});
+
+test('gridYield leaves cells with no point in range empty', () => {
+  const grid = gridYield([{ lon: 5 * M, lat: 5 * M, yield: 12 }], { boundary: box(20), cell: 10, radius: 5 });
+  assert.equal(grid.columns, 2);
+  assert.equal(grid.rows, 2);
+  assert.deepEqual(grid.cells.map(cell => cell.samples), [1, 0, 0, 0]);
+  near(grid.cells[0].yield, 12);
+  assert.deepEqual(grid.cells.slice(1).map(cell => cell.yield), [null, null, null]);
+});
+
+test('zoneStats splits cells into equal-count classes and skips cells without a value', () => {
+  const centers = [[5, 5, 8], [15, 5, 10], [5, 15, 12], [15, 15, 14]];
+  const grid = gridYield(centers.map(([x, y, value]) => ({ lon: x * M, lat: y * M, yield: value })), { boundary: box(20), cell: 10, radius: 5 });
+  grid.cells.push({ lon: 5 * M, lat: 5 * M, yield: null }, { lon: 5 * M, lat: 5 * M, yield: NaN });
+  const [low, high] = zoneStats(grid, { classes: 2 });
+  assert.deepEqual([low.zone, low.cells, low.mean, low.range], ['Low', 2, 9, [8, 11]]);
+  assert.deepEqual([high.zone, high.cells, high.mean, high.range], ['High', 2, 13, [11, 14]]);
+  assert.equal(low.acres, 0.05);
+  const [west] = zoneStats(grid, { zones: [{ key: 'West', geometry: box(10, 20) }] });
+  assert.deepEqual([west.cells, west.mean], [2, 10]);
+});